@@ -29,13 +29,18 @@ const AudioEngine = (() => {
   let audioBuffers = {}
   let trackGainNodes = {}  // Per-track gain nodes for volume control
   let trackMixerSettings = {}  // Per-track mixer settings (timing, pan, pitch, etc.)
-  let trackAudioNodes = {}  // Per-track audio nodes { panNode, bassFilter, trebleFilter }
+  let trackAudioNodes = {}  // Per-track audio nodes { panNode, bassFilter, trebleFilter, inserts }
+  let trackSendNodes = {}  // Per-track post-fader send gains keyed by send bus id
   let isInitialized = false
   let instrumentLibrary = null  // Loaded from instruments.json
   let instrumentMap = {}  // Quick lookup: instrumentId -> instrument config
   let loadingPromises = {}  // Track loading promises to prevent duplicate loads
 
+  // Highest hit gain accepted by playDrum (headroom above 1.0 for accents)
+  const MAX_VELOCITY = 2.0
+
   // Default mixer settings per track
+  // (tracks with insert effects also hold inserts: [{ type, bypassed, params }], see Effects.normalizeInserts)
   const DEFAULT_MIXER_SETTINGS = {
     timingOffset: 0,    // -200 to +200 ms
     pan: 0,             // -1 (L) to +1 (R)
@@ -44,7 +49,9 @@ const AudioEngine = (() => {
     decay: 100,         // 0-100% of sample length
     length: 2,          // 0-2 seconds max playback length
     bass: 0,            // -12 to +12 dB at 100Hz
-    treble: 0           // -12 to +12 dB at 10kHz
+    treble: 0,          // -12 to +12 dB at 10kHz
+    sendA: 0,           // 0-1 send level to effects send bus A
+    sendB: 0            // 0-1 send level to effects send bus B
   }
 
   // Default drum sample configurations (fallback if instruments.json fails)
@@ -86,12 +93,14 @@ const AudioEngine = (() => {
       masterGainNode = audioContext.createGain()
       masterGainNode.gain.value = 0.8
 
+      // Initialize effects first so track gains can feed the send buses
+      Effects.init(audioContext)
+      // Send buses: track sends -> bus effects -> masterGain
+      Object.values(Effects.getSendOutputs()).forEach(output => output.connect(masterGainNode))
+
       // Create per-track gain nodes for each drum instrument
       for (const instrumentId of Object.keys(DRUM_SAMPLES)) {
-        const trackGain = audioContext.createGain()
-        trackGain.gain.value = 0.8  // Default volume
-        trackGain.connect(masterGainNode)
-        trackGainNodes[instrumentId] = trackGain
+        ensureTrackGain(instrumentId)
       }
 
       // Create analyser for visualizations
@@ -99,8 +108,6 @@ const AudioEngine = (() => {
       analyserNode.fftSize = 2048
       analyserNode.smoothingTimeConstant = 0.8
 
-      // Initialize effects and route audio through effects chain
-      Effects.init(audioContext)
       // Route: masterGain -> effects -> analyser -> destination
       masterGainNode.connect(Effects.getInputNode())
       Effects.getOutputNode().connect(analyserNode)
@@ -238,7 +245,7 @@ const AudioEngine = (() => {
   }
 
   /**
-   * Ensure a track gain node exists for an instrument
+   * Ensure a track gain node (and its post-fader sends) exists for an instrument
    * @param {string} instrumentId - The instrument ID
    */
   const ensureTrackGain = (instrumentId) => {
@@ -247,12 +254,24 @@ const AudioEngine = (() => {
       trackGain.gain.value = 0.8
       trackGain.connect(masterGainNode)
       trackGainNodes[instrumentId] = trackGain
+
+      const settings = trackMixerSettings[instrumentId] || DEFAULT_MIXER_SETTINGS
+      trackSendNodes[instrumentId] = Effects.connectSends(audioContext, trackGain, settings)
     }
   }
 
   /**
-   * Ensure extended audio nodes exist for a track (pan, bass, treble filters)
-   * Creates: bassFilter -> trebleFilter -> panNode -> trackGain
+   * Find the send bus a mixer parameter controls
+   * @param {string} param - Parameter name
+   * @returns {string|null} Send bus id, or null if the parameter is not a send level
+   */
+  const getSendBus = (param) => {
+    return Effects.SEND_BUSES.find(busId => Effects.getSendParam(busId) === param) || null
+  }
+
+  /**
+   * Ensure extended audio nodes exist for a track (pan, bass, treble filters, insert effects)
+   * Creates: bassFilter -> trebleFilter -> panNode -> inserts -> trackGain
    * @param {string} instrumentId - The instrument ID
    */
   const ensureTrackAudioNodes = (instrumentId) => {
@@ -262,31 +281,44 @@ const AudioEngine = (() => {
     ensureTrackGain(instrumentId)
 
     const settings = getTrackMixerSettings(instrumentId)
+    const inserts = Effects.createInsertChain(audioContext, settings.inserts)
+    inserts.output.connect(trackGainNodes[instrumentId])
+    trackAudioNodes[instrumentId] = { ...createStripNodes(audioContext, settings, inserts.input), inserts }
+  }
 
+  /**
+   * Create the per-track EQ and pan nodes
+   * Creates: bassFilter -> trebleFilter -> panNode -> destination
+   * @param {BaseAudioContext} context - Audio context (live or offline)
+   * @param {Object} settings - Track mixer settings
+   * @param {AudioNode} destination - Node the strip feeds (the track's insert chain)
+   * @returns {Object} { panNode, bassFilter, trebleFilter }
+   */
+  const createStripNodes = (context, settings, destination) => {
     // Create stereo panner node
-    const panNode = audioContext.createStereoPanner()
+    const panNode = context.createStereoPanner()
     panNode.pan.value = settings.pan
 
     // Create bass filter (peaking EQ at 100Hz)
-    const bassFilter = audioContext.createBiquadFilter()
+    const bassFilter = context.createBiquadFilter()
     bassFilter.type = 'peaking'
     bassFilter.frequency.value = 100
     bassFilter.Q.value = 1
     bassFilter.gain.value = settings.bass
 
     // Create treble filter (peaking EQ at 10kHz)
-    const trebleFilter = audioContext.createBiquadFilter()
+    const trebleFilter = context.createBiquadFilter()
     trebleFilter.type = 'peaking'
     trebleFilter.frequency.value = 10000
     trebleFilter.Q.value = 1
     trebleFilter.gain.value = settings.treble
 
-    // Connect: bassFilter -> trebleFilter -> panNode -> trackGain
+    // Connect: bassFilter -> trebleFilter -> panNode -> destination
     bassFilter.connect(trebleFilter)
     trebleFilter.connect(panNode)
-    panNode.connect(trackGainNodes[instrumentId])
+    panNode.connect(destination)
 
-    trackAudioNodes[instrumentId] = { panNode, bassFilter, trebleFilter }
+    return { panNode, bassFilter, trebleFilter }
   }
 
   /**
@@ -305,17 +337,28 @@ const AudioEngine = (() => {
    * Set a mixer parameter for a track
    * @param {string} instrumentId - The instrument ID
    * @param {string} param - Parameter name
-   * @param {number} value - Parameter value
+   * @param {number|Array<Object>} value - Parameter value (the insert effects array for 'inserts')
    */
   const setTrackMixerParam = (instrumentId, param, value) => {
     const settings = getTrackMixerSettings(instrumentId)
-    settings[param] = value
+    settings[param] = param === 'inserts' ? Effects.normalizeInserts(value) : value
 
-    // Ensure audio nodes exist for real-time parameter changes (pan, bass, treble)
-    if (['pan', 'bass', 'treble'].includes(param)) {
+    // Ensure audio nodes exist for real-time parameter changes (pan, bass, treble, inserts)
+    if (['pan', 'bass', 'treble', 'inserts'].includes(param)) {
       ensureTrackAudioNodes(instrumentId)
     }
 
+    // Send levels apply to the track's send gains
+    const busId = getSendBus(param)
+    if (busId) {
+      ensureTrackGain(instrumentId)
+      const send = trackSendNodes[instrumentId]?.[busId]
+      if (send) {
+        send.gain.value = Math.max(0, Math.min(1, value))
+      }
+      return
+    }
+
     // Apply to audio nodes if they exist
     const nodes = trackAudioNodes[instrumentId]
     if (nodes) {
@@ -329,6 +372,9 @@ const AudioEngine = (() => {
         case 'treble':
           nodes.trebleFilter.gain.value = Math.max(-12, Math.min(12, value))
           break
+        case 'inserts':
+          nodes.inserts.load(settings.inserts)
+          break
       }
     }
   }
@@ -361,6 +407,16 @@ const AudioEngine = (() => {
         }
       }
     }
+    // Tracks without inserts in the imported settings lose theirs
+    for (const [instrumentId, nodes] of Object.entries(trackAudioNodes)) {
+      nodes.inserts.load(trackMixerSettings[instrumentId]?.inserts || [])
+    }
+    // Send levels missing from the imported settings are off
+    for (const [instrumentId, sends] of Object.entries(trackSendNodes)) {
+      for (const [busId, send] of Object.entries(sends)) {
+        send.gain.value = trackMixerSettings[instrumentId]?.[Effects.getSendParam(busId)] || 0
+      }
+    }
   }
 
   /**
@@ -424,9 +480,10 @@ const AudioEngine = (() => {
    * Play a drum sample with full mixer support
    * @param {string} instrument - Name of the instrument to play
    * @param {number} time - Time to play (AudioContext time, defaults to now)
-   * @param {number} velocity - Hit velocity (0.0 - 1.0)
+   * @param {number} velocity - Hit velocity (0.0 - 1.0, accented hits may exceed 1.0)
+   * @param {Object} locks - Per-step parameter locks that override the track's mixer settings (optional)
    */
-  const playDrum = (instrument, time = null, velocity = 1.0) => {
+  const playDrum = (instrument, time = null, velocity = 1.0, locks = null) => {
     if (!audioContext) {
       console.warn('Audio context not initialized')
       return
@@ -437,7 +494,7 @@ const AudioEngine = (() => {
       // Lazy load and play immediately
       loadInstrument(instrument).then(() => {
         if (audioBuffers[instrument]) {
-          playDrum(instrument, null, velocity)
+          playDrum(instrument, null, velocity, locks)
         }
       })
       return
@@ -455,8 +512,55 @@ const AudioEngine = (() => {
     const settings = getTrackMixerSettings(instrument)
     const buffer = audioBuffers[instrument]
 
+    // Connect through extended audio chain (bassFilter is the first node)
+    const nodes = trackAudioNodes[instrument]
+    const trackGain = trackGainNodes[instrument] || masterGainNode
+    const destination = nodes ? nodes.bassFilter : trackGain
+
+    if (locks) {
+      const voice = routeLockedVoice(audioContext, settings, locks, destination, nodes ? nodes.inserts.input : trackGain)
+      scheduleVoice(audioContext, buffer, voice.destination, voice.settings, time, velocity)
+      return
+    }
+
+    scheduleVoice(audioContext, buffer, destination, settings, time, velocity)
+  }
+
+  /**
+   * Apply per-step parameter locks to a voice
+   * Pitch, decay and length are per-voice already; a pan or EQ lock gets the voice its own
+   * strip (built from the locked settings) that bypasses the track's EQ and pan into its inserts
+   * @param {BaseAudioContext} context - Audio context (live or offline)
+   * @param {Object} settings - Track mixer settings
+   * @param {Object} locks - Parameter locks { pitch, pan, decay, length, bass, treble }
+   * @param {AudioNode} stripInput - First node of the track's channel strip
+   * @param {AudioNode} stripOutput - Node the track's EQ and pan feed (its insert chain)
+   * @returns {Object} { settings, destination } for scheduleVoice
+   */
+  const routeLockedVoice = (context, settings, locks, stripInput, stripOutput) => {
+    const lockedSettings = { ...settings, ...locks }
+
+    if (!['pan', 'bass', 'treble'].some(param => param in locks)) {
+      return { settings: lockedSettings, destination: stripInput }
+    }
+
+    const voiceStrip = createStripNodes(context, lockedSettings, stripOutput)
+    return { settings: lockedSettings, destination: voiceStrip.bassFilter }
+  }
+
+  /**
+   * Schedule a single sample voice with the track's pitch, timing and envelope settings
+   * Shared by live playback and offline rendering
+   * @param {BaseAudioContext} context - Audio context (live or offline)
+   * @param {AudioBuffer} buffer - Sample to play
+   * @param {AudioNode} destination - First node of the track's channel strip
+   * @param {Object} settings - Track mixer settings
+   * @param {number} time - Time to play (context time, defaults to now)
+   * @param {number} velocity - Hit velocity (0.0 - 1.0, accented hits may exceed 1.0)
+   */
+  const scheduleVoice = (context, buffer, destination, settings, time, velocity) => {
     // Create source node
-    const source = audioContext.createBufferSource()
+    const source = context.createBufferSource()
     source.buffer = buffer
 
     // Apply pitch shift (playbackRate = 2^(semitones/12))
@@ -464,31 +568,25 @@ const AudioEngine = (() => {
     source.playbackRate.value = Math.pow(2, pitchSemitones / 12)
 
     // Create gain node for velocity and attack envelope
-    const gainNode = audioContext.createGain()
+    const gainNode = context.createGain()
+    const hitGain = Math.max(0, Math.min(MAX_VELOCITY, velocity))
 
     // Calculate start time with timing offset
     const timingOffset = settings.timingOffset || 0
-    const baseTime = time || audioContext.currentTime
-    const startTime = Math.max(audioContext.currentTime, baseTime + (timingOffset / 1000))
+    const baseTime = time || context.currentTime
+    const startTime = Math.max(context.currentTime, baseTime + (timingOffset / 1000))
 
     // Apply attack envelope
     const attackMs = settings.attack || 0
     if (attackMs > 0) {
       gainNode.gain.setValueAtTime(0, startTime)
-      gainNode.gain.linearRampToValueAtTime(velocity, startTime + (attackMs / 1000))
+      gainNode.gain.linearRampToValueAtTime(hitGain, startTime + (attackMs / 1000))
     } else {
-      gainNode.gain.value = Math.max(0, Math.min(1, velocity))
+      gainNode.gain.value = hitGain
     }
 
-    // Connect through extended audio chain
-    const nodes = trackAudioNodes[instrument]
-    if (nodes) {
-      source.connect(gainNode)
-      gainNode.connect(nodes.bassFilter)  // First node in extended chain
-    } else {
-      source.connect(gainNode)
-      gainNode.connect(trackGainNodes[instrument] || masterGainNode)
-    }
+    source.connect(gainNode)
+    gainNode.connect(destination)
 
     // Calculate buffer duration adjusted for pitch
     const adjustedDuration = buffer.duration / source.playbackRate.value
@@ -506,7 +604,7 @@ const AudioEngine = (() => {
     const fadeTime = playDuration - sustainTime
 
     // Set up the envelope
-    const peakGain = gainNode.gain.value
+    const peakGain = hitGain
     if (fadeTime > 0.001) {
       // Hold at peak until sustain ends, then fade to 0
       gainNode.gain.setValueAtTime(peakGain, startTime + sustainTime)
@@ -522,6 +620,73 @@ const AudioEngine = (() => {
     }
   }
 
+  /**
+   * Create an offline copy of the drum mixer graph
+   * Each instrument gets its own channel strip (EQ, pan, inserts, volume, sends) feeding a master gain,
+   * built from the current live volumes and mixer settings
+   * @param {BaseAudioContext} context - Audio context to build in (usually an OfflineAudioContext)
+   * @param {AudioNode} destination - Node the master gain feeds (e.g. an effects chain input)
+   * @param {Object} options - { withSends: build the effects send buses (default true), tempo: tempo synced
+   *   send effects start at (default the live tempo) }
+   * @returns {Object} { master, sends, playDrum(instrumentId, time, velocity, locks), setMixerSettings(settings),
+   *   setTempo(bpm, time) } - sends holds the send bus inputs, for the sample track graph to share;
+   *   setTempo moves the send buses' synced effects to a tempo
+   */
+  const createRenderGraph = (context, destination, options = {}) => {
+    const { withSends = true, tempo } = options
+
+    const master = context.createGain()
+    master.gain.value = masterGainNode ? masterGainNode.gain.value : 0.8
+    master.connect(destination)
+
+    const sendChains = withSends ? Effects.createSendChains(context, master, undefined, tempo) : null
+    const sends = sendChains ? sendChains.inputs : {}
+
+    let mixerSettings = exportMixerSettings()
+    let strips = {}
+
+    const getStrip = (instrumentId) => {
+      if (!strips[instrumentId]) {
+        const settings = { ...DEFAULT_MIXER_SETTINGS, ...mixerSettings[instrumentId] }
+        const gain = context.createGain()
+        gain.gain.value = getTrackVolume(instrumentId)
+        gain.connect(master)
+        Effects.connectSends(context, gain, settings, sends)
+        const inserts = Effects.createInsertChain(context, settings.inserts)
+        inserts.output.connect(gain)
+        strips[instrumentId] = { settings, gain, inserts, ...createStripNodes(context, settings, inserts.input) }
+      }
+      return strips[instrumentId]
+    }
+
+    const playDrumOffline = (instrumentId, time, velocity = 1.0, locks = null) => {
+      const buffer = audioBuffers[instrumentId]
+      if (!buffer) return
+
+      const strip = getStrip(instrumentId)
+      if (locks) {
+        const voice = routeLockedVoice(context, strip.settings, locks, strip.bassFilter, strip.inserts.input)
+        scheduleVoice(context, buffer, voice.destination, voice.settings, time, velocity)
+        return
+      }
+
+      scheduleVoice(context, buffer, strip.bassFilter, strip.settings, time, velocity)
+    }
+
+    // Switch to another set of mixer settings (e.g. the next pattern slot in a song)
+    // Hits already scheduled keep ringing through their old strips
+    const setMixerSettings = (settings) => {
+      mixerSettings = settings ? JSON.parse(JSON.stringify(settings)) : {}
+      strips = {}
+    }
+
+    const setTempo = (bpm, time) => {
+      if (sendChains) sendChains.setTempo(bpm, time)
+    }
+
+    return { master, sends, playDrum: playDrumOffline, setMixerSettings, setTempo }
+  }
+
   /**
    * Preview an instrument (play immediately without scheduling)
    * @param {string} instrumentId - The instrument ID to preview
@@ -575,6 +740,36 @@ const AudioEngine = (() => {
     return audioContext ? audioContext.currentTime : 0
   }
 
+  /**
+   * Convert an AudioContext time to a performance.now() timestamp (e.g. for MIDIOutput.send)
+   * @param {number} time - AudioContext time
+   * @returns {number} Timestamp in ms
+   */
+  const contextToPerformanceTime = (time) => {
+    if (audioContext && audioContext.getOutputTimestamp) {
+      const stamp = audioContext.getOutputTimestamp()
+      if (stamp.performanceTime) {
+        return stamp.performanceTime + (time - stamp.contextTime) * 1000
+      }
+    }
+    return performance.now() + (time - getCurrentTime()) * 1000
+  }
+
+  /**
+   * Convert a performance.now() timestamp (e.g. a MIDI event time) to an AudioContext time
+   * @param {number} timeStamp - Timestamp in ms
+   * @returns {number} AudioContext time
+   */
+  const performanceToContextTime = (timeStamp) => {
+    if (audioContext && audioContext.getOutputTimestamp) {
+      const stamp = audioContext.getOutputTimestamp()
+      if (stamp.performanceTime) {
+        return stamp.contextTime + (timeStamp - stamp.performanceTime) / 1000
+      }
+    }
+    return getCurrentTime() - (performance.now() - timeStamp) / 1000
+  }
+
   /**
    * Get analyser node for visualizations
    * @returns {AnalyserNode} Analyser node
@@ -638,6 +833,8 @@ const AudioEngine = (() => {
     setTrackVolume,
     getTrackVolume,
     getCurrentTime,
+    contextToPerformanceTime,
+    performanceToContextTime,
     getAnalyser,
     getContext,
     getInstruments,
@@ -658,6 +855,8 @@ const AudioEngine = (() => {
     setTrackMixerParam,
     exportMixerSettings,
     importMixerSettings,
+    // Offline rendering
+    createRenderGraph,
     DEFAULT_MIXER_SETTINGS
   }
 })()
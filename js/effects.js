@@ -18,78 +18,99 @@
 
 /**
  * Effects Module
- * Provides audio effects: reverb, delay, and distortion
+ * Provides audio effects (reverb, delay, distortion, dynamics, EQ and modulation)
+ * in user-ordered racks of effect slots: the master chain and aux send buses,
+ * plus the per-track insert chains of the mixer
  */
 
 const Effects = (() => {
   // Private variables
   let audioContext = null
-  let effectsChain = []
   let bypassAll = false
+  let tempo = 120 // Sequencer tempo (BPM) for tempo-synced delay times and LFO rates
 
-  // Effect nodes
-  let reverbNode = null
-  let delayNode = null
-  let distortionNode = null
-  let compressorNode = null
-  let eqNode = null
-  let filterNode = null
-  let chorusNode = null
-  let phaserNode = null
-  let inputGain = null
-  let outputGain = null
-
-  // Effect parameters
-  let effectsSettings = {
-    reverb: {
-      enabled: false,
-      wetDry: 0.3,
-      decayTime: 2.0,
-      preDelay: 0.03
-    },
-    delay: {
-      enabled: false,
-      wetDry: 0.5,
-      delayTime: 0.375,
-      feedback: 0.4
-    },
-    distortion: {
-      enabled: false,
-      amount: 0.5,
-      tone: 0.5
-    },
-    compressor: {
-      enabled: false,
-      threshold: -24,
-      ratio: 4,
-      attack: 0.003,
-      release: 0.25
-    },
-    eq: {
-      enabled: false,
-      low: 0,      // -15 to +15 dB
-      mid: 0,      // -15 to +15 dB
-      high: 0      // -15 to +15 dB
-    },
-    filter: {
-      enabled: false,
-      type: 'lowpass',
-      frequency: 1000,
-      resonance: 1
-    },
-    chorus: {
-      enabled: false,
-      rate: 1.5,
-      depth: 0.002,
-      mix: 0.5
-    },
-    phaser: {
-      enabled: false,
-      rate: 0.5,
-      depth: 0.5,
-      feedback: 0.5
-    }
+  // Recently generated reverb impulses, shared with offline render chains
+  const impulseCache = new Map()
+  const IMPULSE_CACHE_SIZE = 8
+
+  // Impulse responses loaded from files, keyed by id ('ir1', 'ir2', ...): { name, buffer, audioData }
+  // Reverb slots refer to them by id; the audio is saved with the session (audioData caches
+  // the base64 WAV once it has been encoded)
+  let impulseResponses = new Map()
+  let nextImpulseId = 1
+  const MAX_IMPULSE_DURATION = 6 // Seconds (longer files are trimmed to keep sessions small)
+  const REFLECTION_LEVEL = 40 // Early reflection peaks relative to the RMS level of a reverb's tail
+
+  /**
+   * Synthesized reverb algorithms
+   * Early reflections land within reflectionTime and the diffuse tail fades in over buildUp
+   * (both in seconds at full size); brightness is the tail's starting lowpass cutoff in Hz.
+   * Springs add a dispersive chirp every springPeriod seconds (at full size).
+   */
+  const REVERB_ALGORITHMS = {
+    room: { reflections: 12, reflectionTime: 0.03, buildUp: 0.008, brightness: 9000, seed: 0x5001 },
+    plate: { reflections: 0, reflectionTime: 0, buildUp: 0.002, brightness: 14000, seed: 0x5002 },
+    hall: { reflections: 16, reflectionTime: 0.09, buildUp: 0.04, brightness: 6500, seed: 0x5003 },
+    spring: { reflections: 0, reflectionTime: 0, buildUp: 0.004, brightness: 4500, springPeriod: 0.07, seed: 0x5004 }
+  }
+
+  const MAX_SLOTS = 16 // Effects a rack can hold
+  const MAX_DELAY_TIME = 5 // Seconds (synced delay times are capped to it at slow tempos)
+  const MAX_TAIL_DURATION = 20 // Seconds an offline render may ring out after the last step
+
+  // Note values a delay time or LFO cycle can sync to, in quarter notes ('d' = dotted, 't' = triplet)
+  const NOTE_VALUES = {
+    '4/1': 16,
+    '2/1': 8,
+    '1/1': 4,
+    '1/2': 2,
+    '1/2d': 3,
+    '1/2t': 4 / 3,
+    '1/4': 1,
+    '1/4d': 3 / 2,
+    '1/4t': 2 / 3,
+    '1/8': 1 / 2,
+    '1/8d': 3 / 4,
+    '1/8t': 1 / 3,
+    '1/16': 1 / 4,
+    '1/16d': 3 / 8,
+    '1/16t': 1 / 6,
+    '1/32': 1 / 8
   }
+  const SYNC_OPTIONS = ['off', ...Object.keys(NOTE_VALUES)]
+
+  // Per-track insert effects: the types a track strip can host and how many
+  const INSERT_TYPES = ['filter', 'distortion', 'bitcrusher', 'compressor', 'transient']
+  const MAX_INSERTS = 4
+
+  // Aux send buses: tracks feed them through their sendA, sendB, ... mixer levels
+  const SEND_BUSES = ['A', 'B']
+  const MASTER_RACK = 'master'
+
+  // Processing order of the fixed chain older sessions were saved with
+  const LEGACY_CHAIN_ORDER = ['compressor', 'eq', 'distortion', 'filter', 'chorus', 'phaser', 'delay', 'reverb']
+
+  /**
+   * Rack slot structure:
+   * {
+   *   id: number,        // Unique across all racks
+   *   type: string,      // Effect type (see EFFECT_TYPES)
+   *   bypassed: boolean, // Skipped by the chain when true
+   *   params: Object     // Effect parameters
+   * }
+   *
+   * Racks: the master rack (the main chain) and one per send bus, keyed by rack id
+   * {
+   *   slots: Array<Object>, // Rack slots in processing order
+   *   units: Object,        // Live effect units keyed by slot id
+   *   input: GainNode,      // Live chain input (null before init)
+   *   output: GainNode,     // Live chain output (a send bus' return level)
+   *   returnLevel: number   // Send buses only: 0-1
+   * }
+   * Slots are edited before init too (units are created once there is an audio context)
+   */
+  let racks = {}
+  let nextSlotId = 1
 
   /**
    * Initialize effects
@@ -98,116 +119,453 @@ const Effects = (() => {
   const init = (context) => {
     audioContext = context
 
-    // Create input and output gains
-    inputGain = audioContext.createGain()
-    outputGain = audioContext.createGain()
+    // Follow the sequencer tempo for synced delays and LFOs
+    tempo = Sequencer.getTempo()
+    Sequencer.on('tempoChanged', setTempo)
 
-    // Initialize all effects
-    initReverb()
-    initDelay()
-    initDistortion()
-    initCompressor()
-    initEQ()
-    initFilter()
-    initChorus()
-    initPhaser()
+    Object.keys(racks).forEach(rackId => {
+      const rack = racks[rackId]
 
-    // Build the default effects chain (all bypassed initially)
-    buildEffectsChain()
+      // Create input and output gains
+      rack.input = audioContext.createGain()
+      rack.output = audioContext.createGain()
+      rack.output.gain.value = rack.returnLevel ?? 1
+
+      rack.slots.forEach(slot => {
+        rack.units[slot.id] = createUnit(audioContext, slot)
+      })
+
+      buildEffectsChain(rackId)
+    })
 
     console.log('Effects initialized')
   }
 
   /**
-   * Initialize reverb effect
+   * Create an effect unit for a rack slot
+   * @param {BaseAudioContext} context - Audio context (live or offline)
+   * @param {Object} slot - Rack slot
+   * @returns {Object} Effect unit
+   */
+  const createUnit = (context, slot) => {
+    return EFFECT_TYPES[slot.type].factory(context, slot.params)
+  }
+
+  /**
+   * Stop and disconnect a live effect unit that left its rack
+   * @param {Object} unit - Effect unit
+   */
+  const disposeUnit = (unit) => {
+    try {
+      unit.output.disconnect()
+      if (unit.lfo) unit.lfo.stop()
+    } catch (e) {
+      // Ignore errors from nodes that are already disconnected or stopped
+    }
+  }
+
+  /**
+   * Create reverb effect unit
+   * Every unit exposes input/output nodes and update(settings) to apply parameters
+   * @param {BaseAudioContext} context - Audio context
+   * @param {Object} settings - Reverb settings
+   * @returns {Object} Reverb unit
    */
-  const initReverb = () => {
-    reverbNode = audioContext.createConvolver()
-    reverbNode.wetGain = audioContext.createGain()
-    reverbNode.dryGain = audioContext.createGain()
+  const createReverb = (context, settings) => {
+    const unit = {
+      input: context.createGain(),
+      output: context.createGain(),
+      preDelay: context.createDelay(1.0),
+      convolver: context.createConvolver(),
+      wetGain: context.createGain(),
+      dryGain: context.createGain()
+    }
 
-    // Generate impulse response for reverb
-    generateReverbImpulse(2.0)
+    // Connect reverb: input -> pre-delay -> convolver -> wet -> output, input -> dry -> output
+    unit.input.connect(unit.preDelay)
+    unit.preDelay.connect(unit.convolver)
+    unit.convolver.connect(unit.wetGain)
+    unit.wetGain.connect(unit.output)
+    unit.input.connect(unit.dryGain)
+    unit.dryGain.connect(unit.output)
+
+    unit.update = (params) => {
+      unit.preDelay.delayTime.value = params.preDelay
+      unit.wetGain.gain.value = params.wetDry
+      unit.dryGain.gain.value = 1 - params.wetDry
+
+      // Only swap the impulse response when the reverb's shape changes
+      const impulse = getReverbImpulse(context, params)
+      if (impulse !== unit.convolver.buffer) {
+        unit.convolver.buffer = impulse
+      }
+    }
 
-    reverbNode.wetGain.gain.value = effectsSettings.reverb.wetDry
-    reverbNode.dryGain.gain.value = 1 - effectsSettings.reverb.wetDry
+    unit.update(settings)
+    return unit
+  }
+
+  /**
+   * Get an impulse response for reverb: the loaded one for the 'impulse' algorithm,
+   * otherwise a synthesized one (hall if the loaded impulse response is missing)
+   * Reuses recent impulses so offline renders match live playback
+   * @param {BaseAudioContext} context - Audio context
+   * @param {Object} params - Reverb parameters { algorithm, impulse, decayTime, size, damping }
+   * @returns {AudioBuffer} Impulse response
+   */
+  const getReverbImpulse = (context, params) => {
+    if (params.algorithm === 'impulse' && impulseResponses.has(params.impulse)) {
+      return impulseResponses.get(params.impulse).buffer
+    }
+
+    const algorithm = REVERB_ALGORITHMS[params.algorithm] ? params.algorithm : 'hall'
+    const key = `${context.sampleRate}:${algorithm}:${params.decayTime}:${params.size}:${params.damping}`
+    if (!impulseCache.has(key)) {
+      impulseCache.set(key, generateReverbImpulse(context, { ...params, algorithm }))
+      if (impulseCache.size > IMPULSE_CACHE_SIZE) {
+        impulseCache.delete(impulseCache.keys().next().value)
+      }
+    }
+    return impulseCache.get(key)
   }
 
   /**
    * Generate impulse response for reverb
-   * @param {number} duration - Duration in seconds
+   * Decorrelated noise per channel, decaying 60dB over the decay time, with early reflections
+   * (rooms and halls) or spring chirps. Damping makes high frequencies die away faster.
+   * The same settings always give the same impulse.
+   * @param {BaseAudioContext} context - Audio context
+   * @param {Object} params - Reverb parameters { algorithm, decayTime, size, damping }
+   * @returns {AudioBuffer} Impulse response
+   */
+  const generateReverbImpulse = (context, { algorithm, decayTime, size, damping }) => {
+    const shape = REVERB_ALGORITHMS[algorithm]
+    const sampleRate = context.sampleRate
+    const length = Math.max(1, Math.round(sampleRate * decayTime))
+    const impulse = context.createBuffer(2, length, sampleRate)
+    const scale = 0.25 + 0.75 * size // Small rooms are a quarter the size of the largest
+    const buildUp = Math.max(1, shape.buildUp * scale * sampleRate)
+
+    for (let channel = 0; channel < 2; channel++) {
+      const data = impulse.getChannelData(channel)
+      const random = SeededRandom.create(shape.seed + channel)
+
+      // Diffuse tail: lowpassed noise whose cutoff falls over time, faster with more damping
+      // (the cutoff is recalculated every 64 samples, which is plenty for a slow sweep)
+      const decayStep = Math.exp(-6.9 / (sampleRate * decayTime)) // 60dB over the decay time
+      let envelope = 1
+      let coefficient = 0
+      let filtered = 0
+      for (let i = 0; i < length; i++) {
+        if (i % 64 === 0) {
+          const cutoff = Math.max(200, shape.brightness * Math.exp(-damping * 5 * i / (sampleRate * decayTime)))
+          coefficient = Math.exp(-2 * Math.PI * cutoff / sampleRate)
+        }
+        filtered = (1 - coefficient) * (random() * 2 - 1) + coefficient * filtered
+        data[i] = filtered * envelope * Math.min(1, i / buildUp)
+        envelope *= decayStep
+      }
+
+      // Early reflections: sparse taps well above the tail, quieter the later they arrive
+      const tailLevel = Math.sqrt(data.reduce((sum, value) => sum + value * value, 0) / length)
+      for (let r = 0; r < shape.reflections; r++) {
+        const position = 0.1 + 0.9 * random()
+        const index = Math.floor(position * shape.reflectionTime * scale * sampleRate)
+        if (index < length) {
+          data[index] += (random() < 0.5 ? -1 : 1) * (1 - position * 0.7) * tailLevel * REFLECTION_LEVEL
+        }
+      }
+
+      // Springs: every round trip along the spring returns as a falling chirp
+      if (shape.springPeriod) {
+        const period = shape.springPeriod * scale * (channel === 0 ? 1 : 1.07)
+        const chirpLength = Math.floor(period * sampleRate)
+        for (let start = chirpLength; start < length; start += chirpLength) {
+          const level = Math.exp(-6.9 * (start / sampleRate) / decayTime) * 0.3
+          let phase = 0
+          for (let i = 0; i < chirpLength && start + i < length; i++) {
+            const progress = i / chirpLength
+            phase += 2 * Math.PI * 3000 * Math.pow(0.1, progress) / sampleRate
+            data[start + i] += Math.sin(phase) * Math.sin(Math.PI * progress) * level
+          }
+        }
+      }
+    }
+
+    // Keep the overall level of the original noise reverb, whatever the algorithm
+    let energy = 0
+    for (let channel = 0; channel < 2; channel++) {
+      impulse.getChannelData(channel).forEach(value => {
+        energy += value * value
+      })
+    }
+    const gain = energy > 0 ? Math.sqrt((sampleRate * decayTime / 12) / energy) : 0
+    for (let channel = 0; channel < 2; channel++) {
+      const data = impulse.getChannelData(channel)
+      for (let i = 0; i < length; i++) {
+        data[i] *= gain
+      }
+    }
+
+    return impulse
+  }
+
+  /**
+   * Load an impulse response from an audio file (WAV or anything the browser decodes)
+   * @param {File|Blob} file - Audio file
+   * @param {string} name - Display name (defaults to the file name)
+   * @returns {Promise<string|null>} Impulse response id, or null if the file couldn't be decoded
+   */
+  const loadImpulseResponse = async (file, name = file.name) => {
+    if (!audioContext) {
+      console.warn('Audio context not initialized')
+      return null
+    }
+
+    try {
+      const decoded = await audioContext.decodeAudioData(await file.arrayBuffer())
+      const id = `ir${nextImpulseId++}`
+      impulseResponses.set(id, { name: cleanImpulseName(name, id), buffer: trimImpulse(decoded) })
+      return id
+    } catch (error) {
+      console.error('Failed to load impulse response:', error)
+      return null
+    }
+  }
+
+  /**
+   * Make a display name for an impulse response from its file name
+   * Only letters, numbers, spaces, dashes and underscores are kept (like sample track names)
+   * @param {string} name - File or saved name
+   * @param {string} fallback - Name used if nothing is left
+   * @returns {string} Display name (up to 32 characters)
    */
-  const generateReverbImpulse = (duration) => {
-    const sampleRate = audioContext.sampleRate
-    const length = sampleRate * duration
-    const impulse = audioContext.createBuffer(2, length, sampleRate)
-    const leftChannel = impulse.getChannelData(0)
-    const rightChannel = impulse.getChannelData(1)
+  const cleanImpulseName = (name, fallback) => {
+    const cleaned = String(name || '').replace(/\.[^.]+$/, '').replace(/[^a-zA-Z0-9 _-]/g, '').trim().slice(0, 32)
+    return cleaned || fallback
+  }
 
-    for (let i = 0; i < length; i++) {
-      const decay = Math.exp(-i / (sampleRate * (duration / 4)))
-      leftChannel[i] = (Math.random() * 2 - 1) * decay
-      rightChannel[i] = (Math.random() * 2 - 1) * decay
+  /**
+   * Trim an impulse response to MAX_IMPULSE_DURATION
+   * @param {AudioBuffer} buffer - Impulse response
+   * @returns {AudioBuffer} The same buffer, or a trimmed copy
+   */
+  const trimImpulse = (buffer) => {
+    const maxLength = Math.floor(MAX_IMPULSE_DURATION * buffer.sampleRate)
+    if (buffer.length <= maxLength) return buffer
+
+    console.warn(`Impulse response trimmed to ${MAX_IMPULSE_DURATION}s`)
+    const trimmed = audioContext.createBuffer(buffer.numberOfChannels, maxLength, buffer.sampleRate)
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      trimmed.getChannelData(channel).set(buffer.getChannelData(channel).subarray(0, maxLength))
     }
+    return trimmed
+  }
 
-    reverbNode.buffer = impulse
+  /**
+   * Get the loaded impulse responses
+   * @returns {Array<Object>} [{ id, name, duration }]
+   */
+  const getImpulseResponses = () => {
+    return [...impulseResponses.entries()].map(([id, { name, buffer }]) => ({ id, name, duration: buffer.duration }))
   }
 
   /**
-   * Initialize delay effect
+   * Export the impulse responses reverb slots use, for saving with the session
+   * Stored as base64 WAV, like sample track recordings
+   * @returns {Promise<Array<Object>>} [{ id, name, format: 'wav', audioData }]
    */
-  const initDelay = () => {
-    delayNode = {
-      input: audioContext.createGain(),
-      output: audioContext.createGain(),
-      delay: audioContext.createDelay(5.0),
-      feedback: audioContext.createGain(),
-      wetGain: audioContext.createGain(),
-      dryGain: audioContext.createGain()
+  const exportImpulseResponses = async () => {
+    const used = new Set()
+    Object.values(racks).forEach(rack => {
+      rack.slots.forEach(slot => {
+        if (slot.params.impulse) used.add(slot.params.impulse)
+      })
+    })
+
+    const exported = []
+    for (const id of used) {
+      const impulse = impulseResponses.get(id)
+      if (impulse) {
+        impulse.audioData = impulse.audioData || await WAVEncoder.encodeWAVBase64(impulse.buffer)
+        exported.push({ id, name: impulse.name, format: 'wav', audioData: impulse.audioData })
+      }
     }
+    return exported
+  }
 
-    // Set default values
-    delayNode.delay.delayTime.value = effectsSettings.delay.delayTime
-    delayNode.feedback.gain.value = effectsSettings.delay.feedback
-    delayNode.wetGain.gain.value = effectsSettings.delay.wetDry
-    delayNode.dryGain.gain.value = 1 - effectsSettings.delay.wetDry
+  /**
+   * Import saved impulse responses (replaces the loaded ones)
+   * Call before loadSettings() so reverb slots find their impulse responses
+   * @param {Array<Object>} saved - Impulse responses from exportImpulseResponses()
+   */
+  const importImpulseResponses = async (saved) => {
+    if (!audioContext) {
+      console.warn('Audio context not initialized - impulse responses not loaded')
+      return
+    }
 
-    // Connect delay chain
-    delayNode.input.connect(delayNode.delay)
-    delayNode.delay.connect(delayNode.feedback)
-    delayNode.feedback.connect(delayNode.delay)
-    delayNode.delay.connect(delayNode.wetGain)
-    delayNode.wetGain.connect(delayNode.output)
-    delayNode.input.connect(delayNode.dryGain)
-    delayNode.dryGain.connect(delayNode.output)
+    const loaded = new Map()
+    for (const impulse of saved || []) {
+      if (!impulse?.id || !impulse.audioData) continue
+
+      const buffer = await WAVEncoder.decodeWAVBase64(impulse.audioData, audioContext)
+      if (buffer) {
+        loaded.set(impulse.id, { name: cleanImpulseName(impulse.name, impulse.id), buffer, audioData: impulse.audioData })
+        const number = parseInt(String(impulse.id).replace('ir', ''), 10)
+        if (Number.isInteger(number)) {
+          nextImpulseId = Math.max(nextImpulseId, number + 1)
+        }
+      }
+    }
+    impulseResponses = loaded
   }
 
   /**
-   * Initialize distortion effect
+   * Get the length of a note value
+   * @param {string} noteValue - Note value (a key of NOTE_VALUES, e.g. '1/8d')
+   * @param {number} bpm - Tempo (defaults to the live tempo)
+   * @returns {number} Duration in seconds
    */
-  const initDistortion = () => {
-    distortionNode = {
-      input: audioContext.createGain(),
-      output: audioContext.createGain(),
-      waveshaper: audioContext.createWaveShaper(),
-      lowpass: audioContext.createBiquadFilter()
+  const getNoteDuration = (noteValue, bpm = tempo) => {
+    return NOTE_VALUES[noteValue] * 60 / bpm
+  }
+
+  /**
+   * Get a delay time, following the tempo when synced to a note value
+   * @param {Object} params - Delay parameters { delayTime, sync }
+   * @param {number} bpm - Tempo (defaults to the live tempo)
+   * @returns {number} Delay time in seconds
+   */
+  const getDelayTime = (params, bpm = tempo) => {
+    if (!NOTE_VALUES[params.sync]) return params.delayTime
+    return Math.min(MAX_DELAY_TIME, getNoteDuration(params.sync, bpm))
+  }
+
+  /**
+   * Get an LFO rate, following the tempo when synced to a note value (one cycle per note)
+   * @param {Object} params - Modulation parameters { rate, sync }
+   * @param {number} bpm - Tempo (defaults to the live tempo)
+   * @returns {number} Rate in Hz
+   */
+  const getLFORate = (params, bpm = tempo) => {
+    if (!NOTE_VALUES[params.sync]) return params.rate
+    return 1 / getNoteDuration(params.sync, bpm)
+  }
+
+  /**
+   * Create delay effect unit
+   * Normal mode repeats the signal in place; ping-pong mode sums it to mono and bounces
+   * the repeats between a left and a right delay
+   * @param {BaseAudioContext} context - Audio context
+   * @param {Object} settings - Delay settings
+   * @returns {Object} Delay unit
+   */
+  const createDelay = (context, settings) => {
+    const unit = {
+      input: context.createGain(),
+      output: context.createGain(),
+      normalSend: context.createGain(),
+      delay: context.createDelay(MAX_DELAY_TIME),
+      feedback: context.createGain(),
+      pingPongSend: context.createGain(),
+      leftDelay: context.createDelay(MAX_DELAY_TIME),
+      rightDelay: context.createDelay(MAX_DELAY_TIME),
+      pingPongFeedback: context.createGain(),
+      merger: context.createChannelMerger(2),
+      wetGain: context.createGain(),
+      dryGain: context.createGain()
+    }
+
+    // Connect normal delay: input -> delay (with feedback) -> wet
+    unit.input.connect(unit.normalSend)
+    unit.normalSend.connect(unit.delay)
+    unit.delay.connect(unit.feedback)
+    unit.feedback.connect(unit.delay)
+    unit.delay.connect(unit.wetGain)
+
+    // Connect ping-pong delay: mono input -> left -> right -> feedback -> left, each to its own side
+    unit.pingPongSend.channelCount = 1
+    unit.pingPongSend.channelCountMode = 'explicit'
+    unit.input.connect(unit.pingPongSend)
+    unit.pingPongSend.connect(unit.leftDelay)
+    unit.leftDelay.connect(unit.rightDelay)
+    unit.rightDelay.connect(unit.pingPongFeedback)
+    unit.pingPongFeedback.connect(unit.leftDelay)
+    unit.leftDelay.connect(unit.merger, 0, 0)
+    unit.rightDelay.connect(unit.merger, 0, 1)
+    unit.merger.connect(unit.wetGain)
+
+    unit.wetGain.connect(unit.output)
+    unit.input.connect(unit.dryGain)
+    unit.dryGain.connect(unit.output)
+
+    unit.update = (params) => {
+      const delayTime = getDelayTime(params)
+      const pingPong = params.mode === 'pingpong'
+
+      unit.delay.delayTime.value = delayTime
+      unit.leftDelay.delayTime.value = delayTime
+      unit.rightDelay.delayTime.value = delayTime
+      unit.feedback.gain.value = params.feedback
+      unit.pingPongFeedback.gain.value = params.feedback
+      unit.normalSend.gain.value = pingPong ? 0 : 1
+      unit.pingPongSend.gain.value = pingPong ? 1 : 0
+      unit.wetGain.gain.value = params.wetDry
+      unit.dryGain.gain.value = 1 - params.wetDry
     }
 
-    distortionNode.lowpass.type = 'lowpass'
-    distortionNode.lowpass.frequency.value = 2000
+    // Offline renders schedule synced delay times at each tempo change
+    unit.setTempo = (params, bpm, time) => {
+      const delayTime = getDelayTime(params, bpm)
+      unit.delay.delayTime.setValueAtTime(delayTime, time)
+      unit.leftDelay.delayTime.setValueAtTime(delayTime, time)
+      unit.rightDelay.delayTime.setValueAtTime(delayTime, time)
+    }
 
-    // Generate distortion curve
-    generateDistortionCurve(effectsSettings.distortion.amount)
+    unit.update(settings)
+    return unit
+  }
+
+  /**
+   * Create distortion effect unit
+   * @param {BaseAudioContext} context - Audio context
+   * @param {Object} settings - Distortion settings
+   * @returns {Object} Distortion unit
+   */
+  const createDistortion = (context, settings) => {
+    const unit = {
+      input: context.createGain(),
+      output: context.createGain(),
+      waveshaper: context.createWaveShaper(),
+      lowpass: context.createBiquadFilter(),
+      amount: null
+    }
+
+    unit.lowpass.type = 'lowpass'
 
     // Connect distortion chain
-    distortionNode.input.connect(distortionNode.waveshaper)
-    distortionNode.waveshaper.connect(distortionNode.lowpass)
-    distortionNode.lowpass.connect(distortionNode.output)
+    unit.input.connect(unit.waveshaper)
+    unit.waveshaper.connect(unit.lowpass)
+    unit.lowpass.connect(unit.output)
+
+    unit.update = (params) => {
+      // Only regenerate the curve when the amount changes
+      if (params.amount !== unit.amount) {
+        unit.amount = params.amount
+        unit.waveshaper.curve = generateDistortionCurve(params.amount)
+      }
+      unit.lowpass.frequency.value = 500 + (params.tone * 4500)
+    }
+
+    unit.update(settings)
+    return unit
   }
 
   /**
    * Generate distortion curve
    * @param {number} amount - Distortion amount (0-1)
+   * @returns {Float32Array} Waveshaper curve
    */
   const generateDistortionCurve = (amount) => {
     const samples = 44100
@@ -219,520 +577,1081 @@ const Effects = (() => {
       curve[i] = ((3 + k) * x * 20 * (Math.PI / 180)) / (Math.PI + k * Math.abs(x))
     }
 
-    distortionNode.waveshaper.curve = curve
+    return curve
   }
 
   /**
-   * Initialize compressor effect
+   * Create compressor effect unit
+   * @param {BaseAudioContext} context - Audio context
+   * @param {Object} settings - Compressor settings
+   * @returns {Object} Compressor unit
    */
-  const initCompressor = () => {
-    compressorNode = audioContext.createDynamicsCompressor()
-    compressorNode.threshold.value = effectsSettings.compressor.threshold
-    compressorNode.ratio.value = effectsSettings.compressor.ratio
-    compressorNode.attack.value = effectsSettings.compressor.attack
-    compressorNode.release.value = effectsSettings.compressor.release
+  const createCompressor = (context, settings) => {
+    const compressor = context.createDynamicsCompressor()
+    const unit = { input: compressor, output: compressor, compressor }
+
+    unit.update = (params) => {
+      compressor.threshold.value = params.threshold
+      compressor.ratio.value = params.ratio
+      compressor.attack.value = params.attack
+      compressor.release.value = params.release
+    }
+
+    unit.update(settings)
+    return unit
   }
 
   /**
-   * Initialize 3-band EQ effect
+   * Create 3-band EQ effect unit
+   * @param {BaseAudioContext} context - Audio context
+   * @param {Object} settings - EQ settings
+   * @returns {Object} EQ unit
    */
-  const initEQ = () => {
-    eqNode = {
-      input: audioContext.createGain(),
-      output: audioContext.createGain(),
-      lowBand: audioContext.createBiquadFilter(),
-      midBand: audioContext.createBiquadFilter(),
-      highBand: audioContext.createBiquadFilter()
+  const createEQ = (context, settings) => {
+    const unit = {
+      input: context.createGain(),
+      output: context.createGain(),
+      lowBand: context.createBiquadFilter(),
+      midBand: context.createBiquadFilter(),
+      highBand: context.createBiquadFilter()
     }
 
     // Configure low band (100 Hz peaking filter)
-    eqNode.lowBand.type = 'peaking'
-    eqNode.lowBand.frequency.value = 100
-    eqNode.lowBand.Q.value = 1.0
-    eqNode.lowBand.gain.value = effectsSettings.eq.low
+    unit.lowBand.type = 'peaking'
+    unit.lowBand.frequency.value = 100
+    unit.lowBand.Q.value = 1.0
 
     // Configure mid band (1000 Hz peaking filter)
-    eqNode.midBand.type = 'peaking'
-    eqNode.midBand.frequency.value = 1000
-    eqNode.midBand.Q.value = 1.0
-    eqNode.midBand.gain.value = effectsSettings.eq.mid
+    unit.midBand.type = 'peaking'
+    unit.midBand.frequency.value = 1000
+    unit.midBand.Q.value = 1.0
 
     // Configure high band (10000 Hz peaking filter)
-    eqNode.highBand.type = 'peaking'
-    eqNode.highBand.frequency.value = 10000
-    eqNode.highBand.Q.value = 1.0
-    eqNode.highBand.gain.value = effectsSettings.eq.high
+    unit.highBand.type = 'peaking'
+    unit.highBand.frequency.value = 10000
+    unit.highBand.Q.value = 1.0
 
     // Connect EQ chain: input -> low -> mid -> high -> output
-    eqNode.input.connect(eqNode.lowBand)
-    eqNode.lowBand.connect(eqNode.midBand)
-    eqNode.midBand.connect(eqNode.highBand)
-    eqNode.highBand.connect(eqNode.output)
+    unit.input.connect(unit.lowBand)
+    unit.lowBand.connect(unit.midBand)
+    unit.midBand.connect(unit.highBand)
+    unit.highBand.connect(unit.output)
+
+    unit.update = (params) => {
+      unit.lowBand.gain.value = params.low
+      unit.midBand.gain.value = params.mid
+      unit.highBand.gain.value = params.high
+    }
+
+    unit.update(settings)
+    return unit
   }
 
   /**
-   * Initialize filter effect
+   * Create filter effect unit
+   * @param {BaseAudioContext} context - Audio context
+   * @param {Object} settings - Filter settings
+   * @returns {Object} Filter unit
    */
-  const initFilter = () => {
-    filterNode = audioContext.createBiquadFilter()
-    filterNode.type = effectsSettings.filter.type
-    filterNode.frequency.value = effectsSettings.filter.frequency
-    filterNode.Q.value = effectsSettings.filter.resonance
+  const createFilter = (context, settings) => {
+    const filter = context.createBiquadFilter()
+    const unit = { input: filter, output: filter, filter }
+
+    unit.update = (params) => {
+      filter.type = params.type
+      filter.frequency.value = params.frequency
+      filter.Q.value = params.resonance
+    }
+
+    unit.update(settings)
+    return unit
   }
 
   /**
-   * Initialize chorus effect
+   * Create chorus effect unit
+   * @param {BaseAudioContext} context - Audio context
+   * @param {Object} settings - Chorus settings
+   * @returns {Object} Chorus unit
    */
-  const initChorus = () => {
-    chorusNode = {
-      input: audioContext.createGain(),
-      output: audioContext.createGain(),
-      delay: audioContext.createDelay(1.0),
-      lfo: audioContext.createOscillator(),
-      depth: audioContext.createGain(),
-      wetGain: audioContext.createGain(),
-      dryGain: audioContext.createGain()
+  const createChorus = (context, settings) => {
+    const unit = {
+      input: context.createGain(),
+      output: context.createGain(),
+      delay: context.createDelay(1.0),
+      lfo: context.createOscillator(),
+      depth: context.createGain(),
+      wetGain: context.createGain(),
+      dryGain: context.createGain()
     }
 
-    // Set default values
-    chorusNode.lfo.frequency.value = effectsSettings.chorus.rate
-    chorusNode.depth.gain.value = effectsSettings.chorus.depth
-    chorusNode.delay.delayTime.value = 0.02  // Base delay 20ms
-    chorusNode.wetGain.gain.value = effectsSettings.chorus.mix
-    chorusNode.dryGain.gain.value = 1 - effectsSettings.chorus.mix
+    unit.delay.delayTime.value = 0.02  // Base delay 20ms
 
     // Connect chorus chain
-    chorusNode.lfo.connect(chorusNode.depth)
-    chorusNode.depth.connect(chorusNode.delay.delayTime)
-    chorusNode.input.connect(chorusNode.delay)
-    chorusNode.delay.connect(chorusNode.wetGain)
-    chorusNode.wetGain.connect(chorusNode.output)
-    chorusNode.input.connect(chorusNode.dryGain)
-    chorusNode.dryGain.connect(chorusNode.output)
+    unit.lfo.connect(unit.depth)
+    unit.depth.connect(unit.delay.delayTime)
+    unit.input.connect(unit.delay)
+    unit.delay.connect(unit.wetGain)
+    unit.wetGain.connect(unit.output)
+    unit.input.connect(unit.dryGain)
+    unit.dryGain.connect(unit.output)
+
+    unit.update = (params) => {
+      unit.lfo.frequency.value = getLFORate(params)
+      unit.depth.gain.value = params.depth
+      unit.wetGain.gain.value = params.mix
+      unit.dryGain.gain.value = 1 - params.mix
+    }
+
+    // Offline renders schedule synced rates at each tempo change
+    unit.setTempo = (params, bpm, time) => {
+      unit.lfo.frequency.setValueAtTime(getLFORate(params, bpm), time)
+    }
+
+    unit.update(settings)
 
     // Start LFO
-    chorusNode.lfo.start()
+    unit.lfo.start()
+    return unit
   }
 
   /**
-   * Initialize phaser effect
+   * Create phaser effect unit
+   * @param {BaseAudioContext} context - Audio context
+   * @param {Object} settings - Phaser settings
+   * @returns {Object} Phaser unit
    */
-  const initPhaser = () => {
-    phaserNode = {
-      input: audioContext.createGain(),
-      output: audioContext.createGain(),
+  const createPhaser = (context, settings) => {
+    const unit = {
+      input: context.createGain(),
+      output: context.createGain(),
       filters: [],
-      lfo: audioContext.createOscillator(),
-      depth: audioContext.createGain(),
-      feedback: audioContext.createGain(),
-      wetGain: audioContext.createGain(),
-      dryGain: audioContext.createGain()
+      lfo: context.createOscillator(),
+      depth: context.createGain(),
+      feedback: context.createGain(),
+      wetGain: context.createGain(),
+      dryGain: context.createGain()
     }
 
     // Create 6 all-pass filters for more pronounced phasing
     // Spread across a wider frequency range for more dramatic effect
     const baseFrequencies = [200, 400, 800, 1600, 3200, 6400]
     for (let i = 0; i < 6; i++) {
-      const filter = audioContext.createBiquadFilter()
+      const filter = context.createBiquadFilter()
       filter.type = 'allpass'
       filter.frequency.value = baseFrequencies[i]
       filter.Q.value = 1.0
-      phaserNode.filters.push(filter)
+      unit.filters.push(filter)
     }
 
-    // Set default values with more wet signal for dramatic effect
-    phaserNode.lfo.frequency.value = effectsSettings.phaser.rate
-    phaserNode.depth.gain.value = 2000 * effectsSettings.phaser.depth  // Increased from 1000
-    phaserNode.feedback.gain.value = 0  // Start with no feedback, controlled separately
-    phaserNode.wetGain.gain.value = 0.7  // More wet signal
-    phaserNode.dryGain.gain.value = 0.3  // Less dry signal
+    // More wet signal for dramatic effect
+    unit.wetGain.gain.value = 0.7  // More wet signal
+    unit.dryGain.gain.value = 0.3  // Less dry signal
 
     // Connect phaser chain with wet/dry mix
-    phaserNode.lfo.connect(phaserNode.depth)
+    unit.lfo.connect(unit.depth)
 
     // Wet path: Connect filters in series
-    let currentNode = phaserNode.input
-    for (const filter of phaserNode.filters) {
+    let currentNode = unit.input
+    for (const filter of unit.filters) {
       currentNode.connect(filter)
-      phaserNode.depth.connect(filter.frequency)
+      unit.depth.connect(filter.frequency)
       currentNode = filter
     }
 
     // Connect filtered signal to wet gain and output
-    currentNode.connect(phaserNode.wetGain)
-    phaserNode.wetGain.connect(phaserNode.output)
+    currentNode.connect(unit.wetGain)
+    unit.wetGain.connect(unit.output)
 
     // Dry path: Direct connection from input to output
-    phaserNode.input.connect(phaserNode.dryGain)
-    phaserNode.dryGain.connect(phaserNode.output)
+    unit.input.connect(unit.dryGain)
+    unit.dryGain.connect(unit.output)
 
     // Feedback path: Add resonance (controlled by feedback parameter)
-    currentNode.connect(phaserNode.feedback)
-    phaserNode.feedback.connect(phaserNode.filters[0])
+    currentNode.connect(unit.feedback)
+    unit.feedback.connect(unit.filters[0])
+
+    unit.update = (params) => {
+      unit.lfo.frequency.value = getLFORate(params)
+      unit.depth.gain.value = 2000 * params.depth
+      unit.feedback.gain.value = params.feedback
+    }
+
+    unit.setTempo = (params, bpm, time) => {
+      unit.lfo.frequency.setValueAtTime(getLFORate(params, bpm), time)
+    }
+
+    unit.update(settings)
 
     // Start LFO
-    phaserNode.lfo.start()
+    unit.lfo.start()
+    return unit
   }
 
   /**
-   * Build/rebuild the effects chain based on current settings
+   * Create bitcrusher effect unit
+   * Quantizes the signal to a lower bit depth
+   * @param {BaseAudioContext} context - Audio context
+   * @param {Object} settings - Bitcrusher settings
+   * @returns {Object} Bitcrusher unit
    */
-  const buildEffectsChain = () => {
-    if (!audioContext) return
+  const createBitcrusher = (context, settings) => {
+    const unit = {
+      input: context.createGain(),
+      output: context.createGain(),
+      waveshaper: context.createWaveShaper(),
+      wetGain: context.createGain(),
+      dryGain: context.createGain(),
+      bits: null
+    }
 
-    // Disconnect everything first
-    try {
-      inputGain.disconnect()
-      // Note: Don't disconnect outputGain - it's connected externally to analyser/destination
-      if (reverbNode) {
-        reverbNode.disconnect()
-        if (reverbNode.wetGain) reverbNode.wetGain.disconnect()
-        if (reverbNode.dryGain) reverbNode.dryGain.disconnect()
+    // Connect bitcrusher: input -> waveshaper -> wet -> output, input -> dry -> output
+    unit.input.connect(unit.waveshaper)
+    unit.waveshaper.connect(unit.wetGain)
+    unit.wetGain.connect(unit.output)
+    unit.input.connect(unit.dryGain)
+    unit.dryGain.connect(unit.output)
+
+    unit.update = (params) => {
+      // Only regenerate the curve when the bit depth changes
+      if (params.bits !== unit.bits) {
+        unit.bits = params.bits
+        const step = 2 / (Math.pow(2, Math.round(params.bits)) - 1)
+        unit.waveshaper.curve = generateCurve(x => Math.round((x + 1) / step) * step - 1, 65537)
       }
-      if (delayNode) {
-        delayNode.output.disconnect()
+      unit.wetGain.gain.value = params.mix
+      unit.dryGain.gain.value = 1 - params.mix
+    }
+
+    unit.update(settings)
+    return unit
+  }
+
+  /**
+   * Create transient shaper effect unit
+   * Compares a fast and a slow envelope of the signal: where the fast one is ahead the
+   * sound is attacking, where it falls behind the sound is sustaining. Each part drives
+   * the gain of the signal up or down.
+   * @param {BaseAudioContext} context - Audio context
+   * @param {Object} settings - Transient shaper settings
+   * @returns {Object} Transient shaper unit
+   */
+  const createTransientShaper = (context, settings) => {
+    const unit = {
+      input: context.createGain(),
+      output: context.createGain(),
+      vca: context.createGain(),
+      rectifier: context.createWaveShaper(),
+      fastEnvelope: context.createBiquadFilter(),
+      slowEnvelope: context.createBiquadFilter(),
+      invert: context.createGain(),
+      difference: context.createGain(),
+      attackDetector: context.createWaveShaper(),
+      sustainDetector: context.createWaveShaper(),
+      attackGain: context.createGain(),
+      sustainGain: context.createGain(),
+      gainLimiter: context.createWaveShaper()
+    }
+
+    // Envelope followers: rectified signal through a fast (~2.5ms) and a slow (~25ms) lowpass
+    unit.rectifier.curve = generateCurve(x => Math.abs(x))
+    unit.fastEnvelope.type = 'lowpass'
+    unit.fastEnvelope.frequency.value = 60
+    unit.slowEnvelope.type = 'lowpass'
+    unit.slowEnvelope.frequency.value = 6
+
+    // fast - slow, scaled so a loud hit swings the full range
+    unit.invert.gain.value = -1
+    unit.difference.gain.value = 4
+    unit.attackDetector.curve = generateCurve(x => Math.max(0, x))
+    unit.sustainDetector.curve = generateCurve(x => Math.max(0, -x))
+
+    // Keep the gain positive (no phase flips) when both controls cut
+    unit.gainLimiter.curve = generateCurve(x => Math.max(-0.9, x))
+    unit.vca.gain.value = 1
+
+    // Connect audio path: input -> vca -> output
+    unit.input.connect(unit.vca)
+    unit.vca.connect(unit.output)
+
+    // Connect control path: input -> envelopes -> attack/sustain amounts -> vca gain
+    unit.input.connect(unit.rectifier)
+    unit.rectifier.connect(unit.fastEnvelope)
+    unit.rectifier.connect(unit.slowEnvelope)
+    unit.fastEnvelope.connect(unit.difference)
+    unit.slowEnvelope.connect(unit.invert)
+    unit.invert.connect(unit.difference)
+    unit.difference.connect(unit.attackDetector)
+    unit.difference.connect(unit.sustainDetector)
+    unit.attackDetector.connect(unit.attackGain)
+    unit.sustainDetector.connect(unit.sustainGain)
+    unit.attackGain.connect(unit.gainLimiter)
+    unit.sustainGain.connect(unit.gainLimiter)
+    unit.gainLimiter.connect(unit.vca.gain)
+
+    unit.update = (params) => {
+      unit.attackGain.gain.value = params.attack
+      unit.sustainGain.gain.value = params.sustain
+    }
+
+    unit.update(settings)
+    return unit
+  }
+
+  /**
+   * Generate a waveshaper curve from a transfer function
+   * @param {Function} transfer - Maps an input sample (-1 to 1) to an output sample
+   * @param {number} samples - Curve length (odd, so an input of 0 lands on a point)
+   * @returns {Float32Array} Waveshaper curve
+   */
+  const generateCurve = (transfer, samples = 1025) => {
+    const curve = new Float32Array(samples)
+    for (let i = 0; i < samples; i++) {
+      curve[i] = transfer((i * 2) / (samples - 1) - 1)
+    }
+    return curve
+  }
+
+  /**
+   * Effect types: display name, unit factory and parameter ranges
+   * Numeric parameters are clamped to { min, max }; choice parameters must be one of options;
+   * reference parameters hold an id string or null.
+   * A sync parameter other than 'off' replaces the delay time or LFO rate with a note value.
+   */
+  const EFFECT_TYPES = {
+    reverb: {
+      name: 'Reverb',
+      factory: createReverb,
+      params: {
+        wetDry: { min: 0, max: 1, default: 0.3 },
+        algorithm: { options: ['room', 'plate', 'hall', 'spring', 'impulse'], default: 'hall' },
+        impulse: { reference: true, default: null }, // Loaded impulse response id ('impulse' algorithm)
+        decayTime: { min: 0.1, max: 10, default: 2.0 },
+        preDelay: { min: 0, max: 1, default: 0.03 },
+        size: { min: 0, max: 1, default: 0.5 },
+        damping: { min: 0, max: 1, default: 0.5 }
       }
-      if (distortionNode) {
-        distortionNode.output.disconnect()
+    },
+    delay: {
+      name: 'Delay',
+      factory: createDelay,
+      params: {
+        wetDry: { min: 0, max: 1, default: 0.5 },
+        delayTime: { min: 0.001, max: MAX_DELAY_TIME, default: 0.375 },
+        sync: { options: SYNC_OPTIONS, default: 'off' },
+        mode: { options: ['normal', 'pingpong'], default: 'normal' },
+        feedback: { min: 0, max: 0.9, default: 0.4 }
       }
-      if (compressorNode) {
-        compressorNode.disconnect()
+    },
+    distortion: {
+      name: 'Distortion',
+      factory: createDistortion,
+      params: {
+        amount: { min: 0, max: 1, default: 0.5 },
+        tone: { min: 0, max: 1, default: 0.5 }
       }
-      if (eqNode) {
-        eqNode.output.disconnect()
+    },
+    compressor: {
+      name: 'Compressor',
+      factory: createCompressor,
+      params: {
+        threshold: { min: -100, max: 0, default: -24 },
+        ratio: { min: 1, max: 20, default: 4 },
+        attack: { min: 0, max: 1, default: 0.003 },
+        release: { min: 0, max: 1, default: 0.25 }
       }
-      if (filterNode) {
-        filterNode.disconnect()
+    },
+    eq: {
+      name: 'EQ',
+      factory: createEQ,
+      params: {
+        low: { min: -15, max: 15, default: 0 },
+        mid: { min: -15, max: 15, default: 0 },
+        high: { min: -15, max: 15, default: 0 }
       }
-      if (chorusNode) {
-        chorusNode.output.disconnect()
+    },
+    filter: {
+      name: 'Filter',
+      factory: createFilter,
+      params: {
+        type: { options: ['lowpass', 'highpass', 'bandpass'], default: 'lowpass' },
+        frequency: { min: 20, max: 20000, default: 1000 },
+        resonance: { min: 0.0001, max: 100, default: 1 }
       }
-      if (phaserNode) {
-        phaserNode.output.disconnect()
+    },
+    chorus: {
+      name: 'Chorus',
+      factory: createChorus,
+      params: {
+        rate: { min: 0.1, max: 10, default: 1.5 },
+        sync: { options: SYNC_OPTIONS, default: 'off' },
+        depth: { min: 0, max: 0.01, default: 0.002 },
+        mix: { min: 0, max: 1, default: 0.5 }
+      }
+    },
+    phaser: {
+      name: 'Phaser',
+      factory: createPhaser,
+      params: {
+        rate: { min: 0.1, max: 10, default: 0.5 },
+        sync: { options: SYNC_OPTIONS, default: 'off' },
+        depth: { min: 0, max: 1, default: 0.5 },
+        feedback: { min: 0, max: 0.95, default: 0.5 }
+      }
+    },
+    bitcrusher: {
+      name: 'Bitcrusher',
+      factory: createBitcrusher,
+      params: {
+        bits: { min: 1, max: 16, default: 6 },
+        mix: { min: 0, max: 1, default: 1 }
+      }
+    },
+    transient: {
+      name: 'Transient Shaper',
+      factory: createTransientShaper,
+      params: {
+        attack: { min: -1, max: 1, default: 0 },
+        sustain: { min: -1, max: 1, default: 0 }
       }
-    } catch (e) {
-      // Ignore errors from disconnecting already disconnected nodes
     }
+  }
 
-    // Build chain: input -> [effects] -> output
-    let currentNode = inputGain
+  /**
+   * Get the default parameters of an effect type
+   * @param {string} type - Effect type
+   * @returns {Object} Parameters
+   */
+  const getDefaultParams = (type) => {
+    const params = {}
+    Object.entries(EFFECT_TYPES[type].params).forEach(([name, range]) => {
+      params[name] = range.default
+    })
+    return params
+  }
 
-    // Add compressor first (dynamics control)
-    if (effectsSettings.compressor.enabled) {
-      currentNode.connect(compressorNode)
-      currentNode = compressorNode
-    }
+  /**
+   * Clamp parameter changes to an effect type's ranges
+   * Unknown parameters and invalid values are dropped
+   * @param {string} type - Effect type
+   * @param {Object} params - Parameter changes
+   * @returns {Object} Valid parameter changes
+   */
+  const normalizeParams = (type, params) => {
+    const valid = {}
+    Object.entries(params || {}).forEach(([name, value]) => {
+      const range = EFFECT_TYPES[type].params[name]
+      if (!range) return
+
+      if (range.options) {
+        if (range.options.includes(value)) valid[name] = value
+      } else if (range.reference) {
+        if (value === null || typeof value === 'string') valid[name] = value
+      } else if (Number.isFinite(value)) {
+        valid[name] = Math.max(range.min, Math.min(range.max, value))
+      }
+    })
+    return valid
+  }
 
-    // Add EQ second (tone shaping)
-    if (effectsSettings.eq.enabled) {
-      currentNode.connect(eqNode.input)
-      currentNode = eqNode.output
+  /**
+   * Create a rack slot
+   * @param {string} type - Effect type
+   * @param {Object} params - Parameters (missing ones use the defaults)
+   * @param {boolean} bypassed - Start bypassed
+   * @returns {Object} Rack slot
+   */
+  const createSlot = (type, params = {}, bypassed = false) => {
+    return {
+      id: nextSlotId++,
+      type,
+      bypassed,
+      params: { ...getDefaultParams(type), ...normalizeParams(type, params) }
     }
+  }
 
-    // Add distortion third
-    if (effectsSettings.distortion.enabled) {
-      currentNode.connect(distortionNode.input)
-      currentNode = distortionNode.output
-    }
+  // Effects a new send bus starts with (fully wet: the dry signal already reaches the master)
+  const DEFAULT_SEND_RACKS = {
+    A: [{ type: 'reverb', params: { wetDry: 1, decayTime: 2.5 } }],
+    B: [{ type: 'delay', params: { wetDry: 1 } }]
+  }
 
-    // Add filter fourth
-    if (effectsSettings.filter.enabled) {
-      currentNode.connect(filterNode)
-      currentNode = filterNode
+  /**
+   * Create a rack with its default effects
+   * The master rack is the legacy chain with every effect bypassed
+   * @param {string} rackId - 'master' or a send bus id
+   * @returns {Object} Rack (see the rack structure above)
+   */
+  const createRack = (rackId) => {
+    const slots = rackId === MASTER_RACK
+      ? LEGACY_CHAIN_ORDER.map(type => createSlot(type, {}, true))
+      : (DEFAULT_SEND_RACKS[rackId] || []).map(({ type, params }) => createSlot(type, params))
+
+    const rack = { slots, units: {}, input: null, output: null }
+    if (rackId !== MASTER_RACK) {
+      rack.returnLevel = 1
     }
+    return rack
+  }
 
-    // Add chorus fourth
-    if (effectsSettings.chorus.enabled) {
-      currentNode.connect(chorusNode.input)
-      currentNode = chorusNode.output
+  /**
+   * Convert settings saved before the rack existed ({ reverb: {...}, delay: {...}, ... })
+   * Every effect keeps its place in the old fixed order, disabled effects become bypassed slots
+   * @param {Object} settings - Legacy effects settings
+   * @returns {Object} Rack settings { rack }
+   */
+  const migrateLegacySettings = (settings) => {
+    return {
+      rack: LEGACY_CHAIN_ORDER.map(type => {
+        const { enabled, ...params } = settings[type] || {}
+        return { type, bypassed: !enabled, params }
+      })
     }
+  }
 
-    // Add phaser fifth
-    if (effectsSettings.phaser.enabled) {
-      currentNode.connect(phaserNode.input)
-      currentNode = phaserNode.output
-    }
+  /**
+   * Connect active effect units in rack order: input -> [effects] -> output
+   * @param {AudioNode} input - Chain input node
+   * @param {AudioNode} output - Chain output node
+   * @param {Object} units - Effect units keyed by slot id
+   * @param {Array<Object>} slots - Rack slots
+   */
+  const connectChain = (input, output, units, slots) => {
+    let currentNode = input
 
-    // Add delay sixth
-    if (effectsSettings.delay.enabled) {
-      currentNode.connect(delayNode.input)
-      currentNode = delayNode.output
-    }
+    slots.forEach(slot => {
+      if (!slot.bypassed && units[slot.id]) {
+        currentNode.connect(units[slot.id].input)
+        currentNode = units[slot.id].output
+      }
+    })
 
-    // Add reverb last (always connect output)
-    if (effectsSettings.reverb.enabled) {
-      currentNode.connect(reverbNode)
-      currentNode.connect(reverbNode.dryGain)
-      reverbNode.connect(reverbNode.wetGain)
-      reverbNode.wetGain.connect(outputGain)
-      reverbNode.dryGain.connect(outputGain)
-    } else {
-      // If reverb not enabled, connect current node to output
-      currentNode.connect(outputGain)
-    }
+    currentNode.connect(output)
+  }
 
-    // If no effects are enabled, ensure direct connection
-    const anyEffectEnabled = Object.values(effectsSettings).some(effect => effect.enabled)
-    if (!anyEffectEnabled) {
-      inputGain.connect(outputGain)
+  /**
+   * Build/rebuild a rack's live chain based on its slots
+   * @param {string} rackId - 'master' or a send bus id
+   */
+  const buildEffectsChain = (rackId = MASTER_RACK) => {
+    const rack = racks[rackId]
+    if (!audioContext || !rack.input) return
+
+    // Disconnect everything first
+    try {
+      rack.input.disconnect()
+      // Note: Don't disconnect the output - it's connected externally (analyser, master gain)
+      Object.values(rack.units).forEach(unit => unit.output.disconnect())
+    } catch (e) {
+      // Ignore errors from disconnecting already disconnected nodes
     }
+
+    connectChain(rack.input, rack.output, rack.units, rack.slots)
   }
 
   /**
-   * Set reverb parameters
-   * @param {Object} params - Reverb parameters {wetDry, decayTime}
+   * Build a standalone chain from saved rack slots (e.g. inside an OfflineAudioContext)
+   * setTempo(bpm, time) moves its synced delay times and LFO rates to a tempo from a time on
+   * @param {BaseAudioContext} context - Audio context to build the chain in
+   * @param {Array<Object>} savedSlots - Rack slots
+   * @param {number} bpm - Tempo synced effects start at
+   * @returns {Object} { input, output, setTempo(bpm, time) }
    */
-  const setReverb = (params) => {
-    if (!reverbNode) return // Not initialized yet
+  const createStandaloneChain = (context, savedSlots, bpm) => {
+    const input = context.createGain()
+    const output = context.createGain()
+
+    const slots = savedSlots
+      .filter(slot => EFFECT_TYPES[slot.type])
+      .map((slot, index) => ({
+        id: index,
+        type: slot.type,
+        bypassed: !!slot.bypassed,
+        params: { ...getDefaultParams(slot.type), ...normalizeParams(slot.type, slot.params) }
+      }))
+
+    // Only create units for slots that are in the signal path
+    const units = {}
+    slots.forEach(slot => {
+      if (!slot.bypassed) {
+        units[slot.id] = createUnit(context, slot)
+      }
+    })
 
-    if (params.wetDry !== undefined) {
-      effectsSettings.reverb.wetDry = Math.max(0, Math.min(1, params.wetDry))
-      if (reverbNode.wetGain) reverbNode.wetGain.gain.value = effectsSettings.reverb.wetDry
-      if (reverbNode.dryGain) reverbNode.dryGain.gain.value = 1 - effectsSettings.reverb.wetDry
-    }
+    connectChain(input, output, units, slots)
 
-    if (params.decayTime !== undefined) {
-      effectsSettings.reverb.decayTime = Math.max(0.1, Math.min(10, params.decayTime))
-      generateReverbImpulse(effectsSettings.reverb.decayTime)
+    const setChainTempo = (newTempo, time) => {
+      slots.forEach(slot => {
+        if (NOTE_VALUES[slot.params.sync] && units[slot.id]) {
+          units[slot.id].setTempo(slot.params, newTempo, time)
+        }
+      })
     }
+    setChainTempo(bpm, 0)
 
-    if (params.enabled !== undefined) {
-      effectsSettings.reverb.enabled = params.enabled
-      buildEffectsChain() // Rebuild chain when enabling/disabling
-    }
+    return { input, output, setTempo: setChainTempo }
   }
 
   /**
-   * Set delay parameters
-   * @param {Object} params - Delay parameters {wetDry, delayTime, feedback}
+   * Create a standalone master effects chain (e.g. inside an OfflineAudioContext)
+   * Mirrors the live chain so offline renders sound like live playback
+   * @param {BaseAudioContext} context - Audio context to build the chain in
+   * @param {Object} settings - Effects settings (defaults to the current settings)
+   * @param {number} bpm - Tempo synced effects start at (defaults to the live tempo)
+   * @returns {Object} { input, output, setTempo(bpm, time) } (see createStandaloneChain)
    */
-  const setDelay = (params) => {
-    if (!delayNode) return // Not initialized yet
-
-    if (params.wetDry !== undefined) {
-      effectsSettings.delay.wetDry = Math.max(0, Math.min(1, params.wetDry))
-      delayNode.wetGain.gain.value = effectsSettings.delay.wetDry
-      delayNode.dryGain.gain.value = 1 - effectsSettings.delay.wetDry
-    }
+  const createChain = (context, settings = getSettings(), bpm = tempo) => {
+    return createStandaloneChain(context, settings.rack || migrateLegacySettings(settings).rack, bpm)
+  }
 
-    if (params.delayTime !== undefined) {
-      effectsSettings.delay.delayTime = Math.max(0.001, Math.min(5, params.delayTime))
-      delayNode.delay.delayTime.value = effectsSettings.delay.delayTime
+  /**
+   * Create standalone send buses (e.g. inside an OfflineAudioContext)
+   * Each bus runs its own chain and returns into the destination at its return level
+   * @param {BaseAudioContext} context - Audio context to build the buses in
+   * @param {AudioNode} destination - Node the bus returns feed (the master gain)
+   * @param {Object} settings - Effects settings (defaults to the current settings)
+   * @param {number} bpm - Tempo synced effects start at (defaults to the live tempo)
+   * @returns {Object} { inputs: bus input nodes keyed by bus id, setTempo(bpm, time) }
+   */
+  const createSendChains = (context, destination, settings = getSettings(), bpm = tempo) => {
+    const inputs = {}
+    const chains = SEND_BUSES.map(busId => {
+      const send = settings.sends?.[busId] || { rack: DEFAULT_SEND_RACKS[busId] || [], returnLevel: 1 }
+      const chain = createStandaloneChain(context, send.rack || [], bpm)
+      chain.output.gain.value = send.returnLevel ?? 1
+      chain.output.connect(destination)
+      inputs[busId] = chain.input
+      return chain
+    })
+
+    const setTempo = (newTempo, time) => {
+      chains.forEach(chain => chain.setTempo(newTempo, time))
     }
+    return { inputs, setTempo }
+  }
 
-    if (params.feedback !== undefined) {
-      effectsSettings.delay.feedback = Math.max(0, Math.min(0.9, params.feedback))
-      delayNode.feedback.gain.value = effectsSettings.delay.feedback
-    }
+  /**
+   * Get how long a rack keeps sounding after its input stops
+   * Reverbs ring for their decay (or impulse response), delays until the repeats fall 60dB
+   * @param {Array<Object>} savedSlots - Rack slots
+   * @param {number} bpm - Tempo for synced delay times
+   * @returns {number} Tail in seconds
+   */
+  const getRackTail = (savedSlots, bpm) => {
+    return savedSlots.reduce((tail, slot) => {
+      if (slot.bypassed || !EFFECT_TYPES[slot.type]) return tail
+
+      const params = { ...getDefaultParams(slot.type), ...normalizeParams(slot.type, slot.params) }
+      if (slot.type === 'reverb') {
+        const impulse = params.algorithm === 'impulse' && impulseResponses.get(params.impulse)
+        return tail + params.preDelay + (impulse ? impulse.buffer.duration : params.decayTime)
+      }
+      if (slot.type === 'delay') {
+        // Ping-pong repeats go left and right before the feedback is applied again
+        const repeats = params.feedback > 0 ? Math.ceil(Math.log(0.001) / Math.log(params.feedback)) : 1
+        const period = getDelayTime(params, bpm) * (params.mode === 'pingpong' ? 2 : 1)
+        return tail + period * repeats
+      }
+      return tail
+    }, 0)
+  }
 
-    if (params.enabled !== undefined) {
-      effectsSettings.delay.enabled = params.enabled
-      buildEffectsChain() // Rebuild chain when enabling/disabling
-    }
+  /**
+   * Get how long the effects keep sounding after the music stops (send buses feed the master rack)
+   * Offline renders add this so reverb and delay tails are not cut off
+   * @param {Object} settings - Effects settings (defaults to the current settings)
+   * @param {number} bpm - Tempo at the end of the music (defaults to the live tempo)
+   * @returns {number} Tail in seconds (up to MAX_TAIL_DURATION)
+   */
+  const getTailDuration = (settings = getSettings(), bpm = tempo) => {
+    const sendTails = SEND_BUSES.map(busId => {
+      const send = settings.sends?.[busId]
+      return getRackTail(send?.rack || DEFAULT_SEND_RACKS[busId] || [], bpm)
+    })
+    const masterTail = getRackTail(settings.rack || migrateLegacySettings(settings).rack, bpm)
+    return Math.min(MAX_TAIL_DURATION, masterTail + Math.max(0, ...sendTails))
   }
 
   /**
-   * Set distortion parameters
-   * @param {Object} params - Distortion parameters {amount, tone}
+   * Get the mixer settings parameter holding a track's send level to a bus
+   * @param {string} busId - Send bus id
+   * @returns {string} Parameter name (e.g. 'sendA')
    */
-  const setDistortion = (params) => {
-    if (!distortionNode) return // Not initialized yet
+  const getSendParam = (busId) => {
+    return `send${busId}`
+  }
 
-    if (params.amount !== undefined) {
-      effectsSettings.distortion.amount = Math.max(0, Math.min(1, params.amount))
-      generateDistortionCurve(effectsSettings.distortion.amount)
-    }
+  /**
+   * Connect a track to the send buses through one send gain per bus
+   * Shared by drum and sample track strips, live and offline
+   * @param {BaseAudioContext} context - Audio context (live or offline)
+   * @param {AudioNode} source - Node to send from (the track gain, so sends are post-fader)
+   * @param {Object} settings - Track mixer settings holding the send levels
+   * @param {Object} busInputs - Bus input nodes keyed by bus id (defaults to the live buses)
+   * @returns {Object} Send gain nodes keyed by bus id
+   */
+  const connectSends = (context, source, settings, busInputs = getSendInputs()) => {
+    const sends = {}
+    Object.entries(busInputs).forEach(([busId, input]) => {
+      const send = context.createGain()
+      send.gain.value = Math.max(0, Math.min(1, settings[getSendParam(busId)] || 0))
+      source.connect(send)
+      send.connect(input)
+      sends[busId] = send
+    })
+    return sends
+  }
 
-    if (params.tone !== undefined) {
-      effectsSettings.distortion.tone = Math.max(0, Math.min(1, params.tone))
-      const frequency = 500 + (effectsSettings.distortion.tone * 4500)
-      distortionNode.lowpass.frequency.value = frequency
-    }
+  /**
+   * Get the live send bus inputs
+   * @returns {Object} Bus input nodes keyed by bus id (empty before init)
+   */
+  const getSendInputs = () => {
+    const inputs = {}
+    SEND_BUSES.forEach(busId => {
+      if (racks[busId].input) {
+        inputs[busId] = racks[busId].input
+      }
+    })
+    return inputs
+  }
 
-    if (params.enabled !== undefined) {
-      effectsSettings.distortion.enabled = params.enabled
-      buildEffectsChain() // Rebuild chain when enabling/disabling
-    }
+  /**
+   * Get the live send bus outputs (their return gains)
+   * @returns {Object} Bus output nodes keyed by bus id (empty before init)
+   */
+  const getSendOutputs = () => {
+    const outputs = {}
+    SEND_BUSES.forEach(busId => {
+      if (racks[busId].output) {
+        outputs[busId] = racks[busId].output
+      }
+    })
+    return outputs
   }
 
   /**
-   * Set compressor parameters
-   * @param {Object} params - Compressor parameters {threshold, ratio, attack, release}
+   * Validate a track's insert effects (saved with its mixer settings as an array of
+   * { type, bypassed, params }). Keeps the first MAX_INSERTS effects of an insert type.
+   * @param {Array<Object>} inserts - Saved inserts
+   * @returns {Array<Object>} Inserts with every parameter filled in and clamped
    */
-  const setCompressor = (params) => {
-    if (!compressorNode) return // Not initialized yet
+  const normalizeInserts = (inserts) => {
+    if (!Array.isArray(inserts)) return []
+
+    return inserts
+      .filter(insert => insert && INSERT_TYPES.includes(insert.type))
+      .slice(0, MAX_INSERTS)
+      .map(insert => ({
+        type: insert.type,
+        bypassed: !!insert.bypassed,
+        params: { ...getDefaultParams(insert.type), ...normalizeParams(insert.type, insert.params) }
+      }))
+  }
 
-    if (params.threshold !== undefined) {
-      effectsSettings.compressor.threshold = Math.max(-100, Math.min(0, params.threshold))
-      compressorNode.threshold.value = effectsSettings.compressor.threshold
+  /**
+   * Create a track's insert chain (live or offline)
+   * Runs the same effect units as the racks; inserts are identified by their position
+   * @param {BaseAudioContext} context - Audio context
+   * @param {Array<Object>} inserts - Track inserts
+   * @returns {Object} { input, output, load(inserts) } - load() applies new inserts,
+   *   keeping the units of inserts whose position and type did not change
+   */
+  const createInsertChain = (context, inserts = []) => {
+    const chain = {
+      input: context.createGain(),
+      output: context.createGain(),
+      slots: [],
+      units: {}
     }
 
-    if (params.ratio !== undefined) {
-      effectsSettings.compressor.ratio = Math.max(1, Math.min(20, params.ratio))
-      compressorNode.ratio.value = effectsSettings.compressor.ratio
-    }
+    chain.load = (newInserts) => {
+      const slots = normalizeInserts(newInserts).map((insert, index) => ({ id: index, ...insert }))
+      const units = {}
+      slots.forEach(slot => {
+        const existing = chain.units[slot.id]
+        if (existing && chain.slots[slot.id].type === slot.type) {
+          existing.update(slot.params)
+          units[slot.id] = existing
+        } else {
+          units[slot.id] = createUnit(context, slot)
+        }
+      })
+
+      // Disconnect everything first
+      try {
+        chain.input.disconnect()
+        Object.values(chain.units).forEach(unit => unit.output.disconnect())
+      } catch (e) {
+        // Ignore errors from disconnecting already disconnected nodes
+      }
+      Object.values(chain.units)
+        .filter(unit => !Object.values(units).includes(unit))
+        .forEach(disposeUnit)
 
-    if (params.attack !== undefined) {
-      effectsSettings.compressor.attack = Math.max(0, Math.min(1, params.attack))
-      compressorNode.attack.value = effectsSettings.compressor.attack
+      chain.slots = slots
+      chain.units = units
+      connectChain(chain.input, chain.output, units, slots)
     }
 
-    if (params.release !== undefined) {
-      effectsSettings.compressor.release = Math.max(0, Math.min(1, params.release))
-      compressorNode.release.value = effectsSettings.compressor.release
-    }
+    chain.load(inserts)
+    return chain
+  }
 
-    if (params.enabled !== undefined) {
-      effectsSettings.compressor.enabled = params.enabled
-      buildEffectsChain() // Rebuild chain when enabling/disabling
+  /**
+   * Find a rack slot
+   * @param {number} slotId - Slot id
+   * @returns {Object|null} { rackId, rack, slot }
+   */
+  const findSlot = (slotId) => {
+    for (const [rackId, rack] of Object.entries(racks)) {
+      const slot = rack.slots.find(s => s.id === slotId)
+      if (slot) return { rackId, rack, slot }
     }
+    return null
   }
 
   /**
-   * Set 3-band EQ parameters
-   * @param {Object} params - EQ parameters {low, mid, high} in dB (-15 to +15)
+   * Add an effect to a rack
+   * @param {string} type - Effect type ('reverb', 'delay', 'distortion', etc.)
+   * @param {string} rackId - 'master' or a send bus id
+   * @param {number} index - Position in the rack (defaults to the end)
+   * @returns {number|null} New slot id, or null if the effect could not be added
    */
-  const setEQ = (params) => {
-    if (!eqNode) return // Not initialized yet
-
-    if (params.low !== undefined) {
-      effectsSettings.eq.low = Math.max(-15, Math.min(15, params.low))
-      eqNode.lowBand.gain.value = effectsSettings.eq.low
+  const addEffect = (type, rackId = MASTER_RACK, index = null) => {
+    const rack = racks[rackId]
+    if (!rack) {
+      console.warn(`Unknown effects rack: ${rackId}`)
+      return null
     }
-
-    if (params.mid !== undefined) {
-      effectsSettings.eq.mid = Math.max(-15, Math.min(15, params.mid))
-      eqNode.midBand.gain.value = effectsSettings.eq.mid
+    if (!EFFECT_TYPES[type]) {
+      console.warn(`Unknown effect type: ${type}`)
+      return null
     }
-
-    if (params.high !== undefined) {
-      effectsSettings.eq.high = Math.max(-15, Math.min(15, params.high))
-      eqNode.highBand.gain.value = effectsSettings.eq.high
+    if (rack.slots.length >= MAX_SLOTS) {
+      console.warn(`An effects rack holds at most ${MAX_SLOTS} effects`)
+      return null
     }
 
-    if (params.enabled !== undefined) {
-      effectsSettings.eq.enabled = params.enabled
-      buildEffectsChain() // Rebuild chain when enabling/disabling
+    const slot = createSlot(type)
+    if (audioContext) {
+      rack.units[slot.id] = createUnit(audioContext, slot)
     }
+    const position = index === null ? rack.slots.length : Math.max(0, Math.min(rack.slots.length, index))
+    rack.slots.splice(position, 0, slot)
+
+    buildEffectsChain(rackId)
+    return slot.id
   }
 
   /**
-   * Set filter parameters
-   * @param {Object} params - Filter parameters {type, frequency, resonance}
+   * Remove an effect from its rack
+   * @param {number} slotId - Slot id
    */
-  const setFilter = (params) => {
-    if (!filterNode) return // Not initialized yet
+  const removeEffect = (slotId) => {
+    const found = findSlot(slotId)
+    if (!found) return
 
-    if (params.type !== undefined) {
-      effectsSettings.filter.type = params.type
-      filterNode.type = params.type
-    }
+    const { rackId, rack, slot } = found
+    rack.slots = rack.slots.filter(s => s !== slot)
+    buildEffectsChain(rackId)
 
-    if (params.frequency !== undefined) {
-      effectsSettings.filter.frequency = Math.max(20, Math.min(20000, params.frequency))
-      filterNode.frequency.value = effectsSettings.filter.frequency
-    }
-
-    if (params.resonance !== undefined) {
-      effectsSettings.filter.resonance = Math.max(0.0001, Math.min(100, params.resonance))
-      filterNode.Q.value = effectsSettings.filter.resonance
-    }
-
-    if (params.enabled !== undefined) {
-      effectsSettings.filter.enabled = params.enabled
-      buildEffectsChain() // Rebuild chain when enabling/disabling
+    if (rack.units[slotId]) {
+      disposeUnit(rack.units[slotId])
+      delete rack.units[slotId]
     }
   }
 
   /**
-   * Set chorus parameters
-   * @param {Object} params - Chorus parameters {rate, depth, mix}
+   * Move an effect to another position in its rack
+   * @param {number} slotId - Slot id
+   * @param {number} index - New position
    */
-  const setChorus = (params) => {
-    if (!chorusNode) return // Not initialized yet
+  const moveEffect = (slotId, index) => {
+    const found = findSlot(slotId)
+    if (!found) return
 
-    if (params.rate !== undefined) {
-      effectsSettings.chorus.rate = Math.max(0.1, Math.min(10, params.rate))
-      chorusNode.lfo.frequency.value = effectsSettings.chorus.rate
-    }
+    const { rackId, rack, slot } = found
+    const newIndex = Math.max(0, Math.min(rack.slots.length - 1, index))
+    if (rack.slots.indexOf(slot) === newIndex) return
 
-    if (params.depth !== undefined) {
-      effectsSettings.chorus.depth = Math.max(0, Math.min(0.01, params.depth))
-      chorusNode.depth.gain.value = effectsSettings.chorus.depth
-    }
+    rack.slots = rack.slots.filter(s => s !== slot)
+    rack.slots.splice(newIndex, 0, slot)
+    buildEffectsChain(rackId)
+  }
 
-    if (params.mix !== undefined) {
-      effectsSettings.chorus.mix = Math.max(0, Math.min(1, params.mix))
-      chorusNode.wetGain.gain.value = effectsSettings.chorus.mix
-      chorusNode.dryGain.gain.value = 1 - effectsSettings.chorus.mix
-    }
+  /**
+   * Bypass or re-enable an effect
+   * @param {number} slotId - Slot id
+   * @param {boolean} bypassed - Bypass state
+   */
+  const setEffectBypass = (slotId, bypassed) => {
+    const found = findSlot(slotId)
+    if (!found || found.slot.bypassed === !!bypassed) return
 
-    if (params.enabled !== undefined) {
-      effectsSettings.chorus.enabled = params.enabled
-      buildEffectsChain() // Rebuild chain when enabling/disabling
-    }
+    found.slot.bypassed = !!bypassed
+    buildEffectsChain(found.rackId) // Rebuild chain when bypassing/enabling
   }
 
   /**
-   * Set phaser parameters
-   * @param {Object} params - Phaser parameters {rate, depth, feedback}
+   * Set effect parameters
+   * @param {number} slotId - Slot id
+   * @param {Object} params - Parameter changes (e.g. { wetDry, decayTime } for a reverb)
    */
-  const setPhaser = (params) => {
-    if (!phaserNode) return // Not initialized yet
-
-    if (params.rate !== undefined) {
-      effectsSettings.phaser.rate = Math.max(0.1, Math.min(10, params.rate))
-      phaserNode.lfo.frequency.value = effectsSettings.phaser.rate
+  const setEffectParams = (slotId, params) => {
+    const found = findSlot(slotId)
+    if (!found) return
+
+    const { rack, slot } = found
+    Object.assign(slot.params, normalizeParams(slot.type, params))
+    if (rack.units[slot.id]) {
+      rack.units[slot.id].update(slot.params)
     }
+  }
 
-    if (params.depth !== undefined) {
-      effectsSettings.phaser.depth = Math.max(0, Math.min(1, params.depth))
-      phaserNode.depth.gain.value = 2000 * effectsSettings.phaser.depth
-    }
+  /**
+   * Set a send bus' return level
+   * @param {string} busId - Send bus id
+   * @param {number} level - Return level (0-1)
+   */
+  const setReturnLevel = (busId, level) => {
+    if (!SEND_BUSES.includes(busId) || !Number.isFinite(level)) return
 
-    if (params.feedback !== undefined) {
-      effectsSettings.phaser.feedback = Math.max(0, Math.min(0.95, params.feedback))
-      phaserNode.feedback.gain.value = effectsSettings.phaser.feedback
+    const rack = racks[busId]
+    rack.returnLevel = Math.max(0, Math.min(1, level))
+    if (rack.output) {
+      rack.output.gain.value = rack.returnLevel
     }
+  }
 
-    if (params.enabled !== undefined) {
-      effectsSettings.phaser.enabled = params.enabled
-      buildEffectsChain() // Rebuild chain when enabling/disabling
-    }
+  /**
+   * Get the send buses
+   * @returns {Array<Object>} [{ id, name, returnLevel }]
+   */
+  const getSendBuses = () => {
+    return SEND_BUSES.map(busId => ({ id: busId, name: `Send ${busId}`, returnLevel: racks[busId].returnLevel }))
   }
 
   /**
-   * Toggle effect on/off
-   * @param {string} effectName - Name of effect ('reverb', 'delay', 'distortion', etc.)
-   * @param {boolean} enabled - Enable/disable
+   * Get a rack's slots
+   * @param {string} rackId - 'master' or a send bus id
+   * @returns {Array<Object>} Copies of the rack slots in processing order
    */
-  const toggleEffect = (effectName, enabled) => {
-    if (effectsSettings[effectName]) {
-      effectsSettings[effectName].enabled = enabled
-    }
+  const getRack = (rackId = MASTER_RACK) => {
+    return racks[rackId] ? JSON.parse(JSON.stringify(racks[rackId].slots)) : []
+  }
+
+  /**
+   * Get the available effect types
+   * @returns {Array<Object>} [{ type, name }]
+   */
+  const getEffectTypes = () => {
+    return Object.entries(EFFECT_TYPES).map(([type, info]) => ({ type, name: info.name }))
   }
 
   /**
    * Get current effects settings
-   * @returns {Object} Effects settings
+   * @returns {Object} Effects settings { rack, sends: { [busId]: { rack, returnLevel } } }
    */
   const getSettings = () => {
-    return JSON.parse(JSON.stringify(effectsSettings))
+    const sends = {}
+    SEND_BUSES.forEach(busId => {
+      sends[busId] = { rack: getRack(busId), returnLevel: racks[busId].returnLevel }
+    })
+    return { rack: getRack(MASTER_RACK), sends }
+  }
+
+  /**
+   * Validate saved slots for loading into a rack
+   * @param {Array<Object>} savedSlots - Saved rack slots
+   * @param {Set<number>} usedIds - Slot ids already taken (updated)
+   * @returns {Array<Object>} Rack slots
+   */
+  const loadSlots = (savedSlots, usedIds) => {
+    const slots = []
+    savedSlots.forEach(saved => {
+      if (!saved || !EFFECT_TYPES[saved.type]) {
+        console.warn(`Skipping unknown effect type: ${saved?.type}`)
+        return
+      }
+      if (slots.length >= MAX_SLOTS) return
+
+      const slot = createSlot(saved.type, saved.params, !!saved.bypassed)
+      if (Number.isInteger(saved.id) && saved.id > 0 && !usedIds.has(saved.id)) {
+        slot.id = saved.id
+      }
+      usedIds.add(slot.id)
+      slots.push(slot)
+    })
+    return slots
   }
 
   /**
-   * Load effects settings
+   * Load effects settings (every rack's layout and parameters, and the send return levels)
+   * Settings saved before the rack existed are migrated to the equivalent rack,
+   * settings saved before the send buses existed get the default buses
    * @param {Object} settings - Effects settings
    */
   const loadSettings = (settings) => {
-    if (settings.reverb) setReverb(settings.reverb)
-    if (settings.delay) setDelay(settings.delay)
-    if (settings.distortion) setDistortion(settings.distortion)
-    if (settings.compressor) setCompressor(settings.compressor)
-    if (settings.eq) setEQ(settings.eq)
-    if (settings.filter) setFilter(settings.filter)
-    if (settings.chorus) setChorus(settings.chorus)
-    if (settings.phaser) setPhaser(settings.phaser)
+    if (!settings) return
+
+    const usedIds = new Set()
+    const loaded = {
+      [MASTER_RACK]: loadSlots(Array.isArray(settings.rack) ? settings.rack : migrateLegacySettings(settings).rack, usedIds)
+    }
+    const returnLevels = {}
+    SEND_BUSES.forEach(busId => {
+      const send = settings.sends?.[busId]
+      loaded[busId] = loadSlots(Array.isArray(send?.rack) ? send.rack : (DEFAULT_SEND_RACKS[busId] || []), usedIds)
+      returnLevels[busId] = Number.isFinite(send?.returnLevel) ? Math.max(0, Math.min(1, send.returnLevel)) : 1
+    })
+    nextSlotId = Math.max(nextSlotId, ...[...usedIds].map(id => id + 1))
+
+    // Reuse units that keep their slot id and type (undo of a knob drag), create the rest
+    const units = {}
+    const reused = new Set()
+    if (audioContext) {
+      Object.entries(loaded).forEach(([rackId, slots]) => {
+        units[rackId] = {}
+        slots.forEach(slot => {
+          const previous = findSlot(slot.id)
+          const existing = previous?.rack.units[slot.id]
+          if (existing && previous.slot.type === slot.type) {
+            existing.update(slot.params)
+            units[rackId][slot.id] = existing
+            reused.add(existing)
+          } else {
+            units[rackId][slot.id] = createUnit(audioContext, slot)
+          }
+        })
+      })
+      Object.values(racks).forEach(rack => {
+        Object.values(rack.units).filter(unit => !reused.has(unit)).forEach(disposeUnit)
+      })
+    }
+
+    Object.entries(loaded).forEach(([rackId, slots]) => {
+      racks[rackId].slots = slots
+      racks[rackId].units = units[rackId] || {}
+    })
+    SEND_BUSES.forEach(busId => setReturnLevel(busId, returnLevels[busId]))
+    Object.keys(racks).forEach(rackId => buildEffectsChain(rackId))
+  }
+
+  /**
+   * Set the tempo synced delay times and LFO rates follow (live units update right away)
+   * @param {number} bpm - Tempo in BPM
+   */
+  const setTempo = (bpm) => {
+    if (!Number.isFinite(bpm) || bpm <= 0 || bpm === tempo) return
+
+    tempo = bpm
+    Object.values(racks).forEach(rack => {
+      rack.slots.forEach(slot => {
+        if (NOTE_VALUES[slot.params.sync] && rack.units[slot.id]) {
+          rack.units[slot.id].update(slot.params)
+        }
+      })
+    })
   }
 
   /**
@@ -748,7 +1667,7 @@ const Effects = (() => {
    * @returns {GainNode} Input gain node
    */
   const getInputNode = () => {
-    return inputGain
+    return racks[MASTER_RACK].input
   }
 
   /**
@@ -756,25 +1675,48 @@ const Effects = (() => {
    * @returns {GainNode} Output gain node
    */
   const getOutputNode = () => {
-    return outputGain
+    return racks[MASTER_RACK].output
   }
 
+  // Start with the classic master rack (one of each effect, all bypassed) and the default send buses
+  racks[MASTER_RACK] = createRack(MASTER_RACK)
+  SEND_BUSES.forEach(busId => {
+    racks[busId] = createRack(busId)
+  })
+
   // Public API
   return {
     init,
-    setReverb,
-    setDelay,
-    setDistortion,
-    setCompressor,
-    setEQ,
-    setFilter,
-    setChorus,
-    setPhaser,
-    toggleEffect,
+    addEffect,
+    removeEffect,
+    moveEffect,
+    setEffectBypass,
+    setEffectParams,
+    setReturnLevel,
+    getSendBuses,
+    getRack,
+    getEffectTypes,
     getSettings,
     loadSettings,
     setBypass,
     getInputNode,
-    getOutputNode
+    getOutputNode,
+    getSendParam,
+    getSendInputs,
+    getSendOutputs,
+    connectSends,
+    createChain,
+    createSendChains,
+    getTailDuration,
+    normalizeInserts,
+    createInsertChain,
+    loadImpulseResponse,
+    getImpulseResponses,
+    exportImpulseResponses,
+    importImpulseResponses,
+    MAX_SLOTS,
+    MAX_INSERTS,
+    INSERT_TYPES,
+    SEND_BUSES
   }
 })()
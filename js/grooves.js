@@ -0,0 +1,146 @@
+/**
+ * Web Drum Machine & Sample Recorder
+ * Copyright (C) 2025 maddog75
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Grooves Module
+ * Swing and groove templates that shift step timing and velocity
+ */
+
+const Grooves = (() => {
+  // Swing range (MPC-style percentage, 50 = straight, 66 = triplet feel)
+  const MIN_SWING = 50
+  const MAX_SWING = 75
+  const DEFAULT_GROOVE = 'straight'
+
+  // Groove templates
+  // timing: per-step offsets as a fraction of one step (positive = late)
+  // velocity: per-step velocity multipliers
+  // Both arrays repeat over the pattern (their length is the groove cycle)
+  const grooveTemplates = [
+    {
+      id: 'straight',
+      name: 'Straight',
+      timing: [0],
+      velocity: [1]
+    },
+    {
+      id: 'shuffle',
+      name: 'Shuffle',
+      // Eighth-note triplet shuffle: each beat's first half stretched to 2/3
+      timing: [0, 0.333, 0.667, 0.333],
+      velocity: [1, 0.8, 0.9, 0.8]
+    },
+    {
+      id: 'laid-back',
+      name: 'Laid Back',
+      // Off-beats and the backbeat drag slightly behind the grid
+      timing: [0, 0.04, 0.06, 0.04, 0.08, 0.04, 0.06, 0.04, 0, 0.04, 0.06, 0.04, 0.08, 0.04, 0.06, 0.04],
+      velocity: [1, 0.7, 0.85, 0.7, 0.95, 0.7, 0.85, 0.7, 1, 0.7, 0.85, 0.7, 0.95, 0.7, 0.85, 0.7]
+    },
+    {
+      id: 'pushed',
+      name: 'Pushed',
+      // Off-beats rush slightly ahead of the grid
+      timing: [0, -0.03, -0.05, -0.03],
+      velocity: [1, 0.8, 0.9, 0.8]
+    },
+    {
+      id: 'boom-bap',
+      name: 'Boom Bap',
+      // Lazy 16ths with soft ghost notes
+      timing: [0, 0.12, 0.02, 0.12],
+      velocity: [1, 0.6, 0.85, 0.6]
+    },
+    {
+      id: 'funk',
+      name: 'Funk',
+      // Tight timing, strong downbeats and ghosted 16ths
+      timing: [0, 0.02, 0, 0.02],
+      velocity: [1, 0.55, 0.8, 0.55]
+    }
+  ]
+
+  /**
+   * Get all groove templates
+   * @returns {Array} Array of groove templates
+   */
+  const getGrooves = () => {
+    return grooveTemplates
+  }
+
+  /**
+   * Get a groove template by ID
+   * @param {string} id - Groove ID
+   * @returns {Object|null} Groove template or null if not found
+   */
+  const getGroove = (id) => {
+    return grooveTemplates.find(groove => groove.id === id) || null
+  }
+
+  /**
+   * Clamp a swing amount to the supported range
+   * @param {number} swing - Swing percentage
+   * @returns {number} Swing percentage (50-75)
+   */
+  const clampSwing = (swing) => {
+    const value = Number(swing)
+    if (!Number.isFinite(value)) return MIN_SWING
+    return Math.max(MIN_SWING, Math.min(MAX_SWING, value))
+  }
+
+  /**
+   * Get the timing offset for a step
+   * Swing delays every second step (the off-beat 16th); the groove template adds its own offset
+   * @param {number} step - Step index
+   * @param {number} swing - Swing percentage (50-75)
+   * @param {string} grooveId - Groove template ID
+   * @returns {number} Offset as a fraction of one step (multiply by step duration for seconds)
+   */
+  const getTimingOffset = (step, swing = MIN_SWING, grooveId = DEFAULT_GROOVE) => {
+    // MPC-style: the first step of each pair takes swing% of the pair's length
+    const swingOffset = step % 2 === 1 ? (clampSwing(swing) - 50) / 50 : 0
+
+    const groove = getGroove(grooveId)
+    const grooveOffset = groove ? groove.timing[step % groove.timing.length] : 0
+
+    return swingOffset + grooveOffset
+  }
+
+  /**
+   * Get the velocity multiplier for a step
+   * @param {number} step - Step index
+   * @param {string} grooveId - Groove template ID
+   * @returns {number} Velocity multiplier
+   */
+  const getVelocityScale = (step, grooveId = DEFAULT_GROOVE) => {
+    const groove = getGroove(grooveId)
+    return groove ? groove.velocity[step % groove.velocity.length] : 1
+  }
+
+  // Public API
+  return {
+    getGrooves,
+    getGroove,
+    clampSwing,
+    getTimingOffset,
+    getVelocityScale,
+    MIN_SWING,
+    MAX_SWING,
+    DEFAULT_GROOVE
+  }
+})()
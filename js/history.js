@@ -0,0 +1,396 @@
+/**
+ * Web Drum Machine & Sample Recorder
+ * Copyright (C) 2025 maddog75
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * History Module
+ * Command-based undo/redo for sequencer, mixer, effects, sample track and song edits
+ */
+
+const History = (() => {
+  const MAX_HISTORY = 100 // Commands kept on the undo stack
+  const MERGE_WINDOW = 1000 // ms - edits with the same merge key inside this window become one command
+
+  // Private variables
+  let undoStack = []
+  let redoStack = []
+  let pending = null // Command being recorded
+  let pendingDepth = 0 // Nested begin() calls
+  let isRestoring = false
+  let listeners = {}
+
+  /**
+   * Command structure:
+   * {
+   *   label: string,
+   *   before: { [domain]: snapshot },
+   *   after: { [domain]: snapshot },
+   *   merge: string|null,   // Merge key for continuous edits (knob drags, tempo nudges)
+   *   time: number
+   * }
+   */
+
+  /**
+   * Snapshot providers for each undoable domain
+   */
+  const domains = {
+    // Pattern steps, accents, tempo, meter, swing/groove and track instruments
+    sequencer: {
+      capture: () => ({
+        pattern: Sequencer.getPattern(),
+        tempo: Sequencer.getTempo(),
+        timeSignature: Sequencer.getTimeSignature(),
+        stepCount: Sequencer.getStepCount(),
+        swing: Sequencer.getSwing(),
+        groove: Sequencer.getGroove(),
+        trackInstruments: Sequencer.getTrackInstruments()
+      }),
+      restore: (state) => {
+        Sequencer.loadPattern(state.pattern)
+        // A running song tempo ramp keeps control of the tempo (setTempo would cancel it)
+        if (!Sequencer.getTempoRamp()) {
+          Sequencer.setTempo(state.tempo)
+        }
+        Sequencer.setTimeSignature(state.timeSignature)
+        Sequencer.setStepCount(state.stepCount)
+        Sequencer.setSwing(state.swing)
+        Sequencer.setGroove(state.groove)
+        state.trackInstruments.forEach((instrumentId, trackIndex) => {
+          if (Sequencer.getTrackInstrument(trackIndex) !== instrumentId) {
+            Sequencer.setTrackInstrument(trackIndex, instrumentId)
+          }
+        })
+      }
+    },
+
+    // Drum track volumes and mixer settings (keyed by instrument)
+    mixer: {
+      capture: () => {
+        const settings = AudioEngine.exportMixerSettings()
+        const instrumentIds = new Set([...Sequencer.getTrackInstruments(), ...Object.keys(settings)])
+        const volumes = {}
+        instrumentIds.forEach(instrumentId => {
+          volumes[instrumentId] = AudioEngine.getTrackVolume(instrumentId)
+        })
+        return { settings, volumes }
+      },
+      restore: (state) => {
+        AudioEngine.importMixerSettings(JSON.parse(JSON.stringify(state.settings)))
+        Object.entries(state.volumes).forEach(([instrumentId, volume]) => {
+          AudioEngine.setTrackVolume(instrumentId, volume)
+        })
+      }
+    },
+
+    // Effects rack parameters
+    effects: {
+      capture: () => Effects.getSettings(),
+      restore: (state) => Effects.loadSettings(JSON.parse(JSON.stringify(state)))
+    },
+
+    // Sample track names, levels, mute/solo, trim and mixer settings (not the recorded audio)
+    loops: {
+      capture: () => LoopPedal.getAllTracksInfo().map(track => ({
+        name: track.name,
+        volume: track.volume,
+        muted: track.muted,
+        solo: track.solo,
+        startTrim: track.startTrim,
+        mixerSettings: track.mixerSettings
+      })),
+      restore: (state) => {
+        state.forEach((track, index) => {
+          LoopPedal.setTrackName(index, track.name)
+          LoopPedal.setTrackVolume(index, track.volume)
+          LoopPedal.setTrackStartTrim(index, track.startTrim)
+          LoopPedal.setTrackSolo(index, track.solo)
+          Object.entries(track.mixerSettings).forEach(([param, value]) => {
+            LoopPedal.setTrackMixerParam(index, param, value)
+          })
+        })
+        // Solo changes mutes, so restore mutes last
+        state.forEach((track, index) => {
+          LoopPedal.setTrackMuted(index, track.muted)
+        })
+      }
+    },
+
+    // Song sections and pattern bank slots
+    song: {
+      capture: () => SongMode.exportEditState(),
+      restore: (state) => SongMode.importEditState(state)
+    }
+  }
+
+  /**
+   * Capture snapshots of some domains
+   * @param {Array<string>} domainNames - Domains to capture
+   * @returns {Object} Snapshots keyed by domain
+   */
+  const capture = (domainNames) => {
+    const snapshots = {}
+    domainNames.forEach(name => {
+      snapshots[name] = domains[name].capture()
+    })
+    return snapshots
+  }
+
+  /**
+   * Restore domain snapshots without recording them
+   * @param {Object} snapshots - Snapshots keyed by domain
+   */
+  const restore = (snapshots) => {
+    isRestoring = true
+    try {
+      Object.keys(snapshots).forEach(name => {
+        domains[name].restore(snapshots[name])
+      })
+    } catch (error) {
+      console.error('Failed to restore history state:', error)
+    } finally {
+      isRestoring = false
+    }
+  }
+
+  /**
+   * Start recording an undoable edit
+   * Nested begin() calls join the outer command (their domains are added to it)
+   * @param {string} label - Description shown in the UI (e.g. 'Toggle step')
+   * @param {Array<string>} domainNames - Domains the edit touches
+   * @param {Object} options - { merge: key for coalescing continuous edits }
+   */
+  const begin = (label, domainNames, options = {}) => {
+    if (isRestoring) return
+
+    const unknown = domainNames.filter(name => !domains[name])
+    if (unknown.length > 0) {
+      console.warn(`Unknown history domain(s): ${unknown.join(', ')}`)
+      domainNames = domainNames.filter(name => domains[name])
+    }
+
+    if (pending) {
+      pendingDepth++
+      const added = domainNames.filter(name => !(name in pending.before))
+      Object.assign(pending.before, capture(added))
+      return
+    }
+
+    pending = {
+      label,
+      before: capture(domainNames),
+      after: null,
+      merge: options.merge || null,
+      time: Date.now()
+    }
+    pendingDepth = 1
+  }
+
+  /**
+   * Finish recording the current edit and push it onto the undo stack
+   * Edits that changed nothing are dropped
+   */
+  const commit = () => {
+    if (!pending) return
+
+    pendingDepth--
+    if (pendingDepth > 0) return
+
+    const command = pending
+    pending = null
+
+    // Keep only the domains that actually changed
+    const after = capture(Object.keys(command.before))
+    Object.keys(after).forEach(name => {
+      if (JSON.stringify(after[name]) === JSON.stringify(command.before[name])) {
+        delete after[name]
+        delete command.before[name]
+      }
+    })
+    if (Object.keys(after).length === 0) return
+    command.after = after
+
+    // Coalesce continuous edits into the previous command
+    const top = undoStack[undoStack.length - 1]
+    if (top && command.merge && top.merge === command.merge &&
+        command.time - top.time < MERGE_WINDOW && redoStack.length === 0) {
+      Object.keys(command.before).forEach(name => {
+        if (!(name in top.before)) {
+          top.before[name] = command.before[name]
+        }
+      })
+      Object.assign(top.after, command.after)
+      top.time = command.time
+    } else {
+      undoStack.push(command)
+      if (undoStack.length > MAX_HISTORY) {
+        undoStack.shift()
+      }
+    }
+
+    redoStack = []
+    emitChanged()
+  }
+
+  /**
+   * Abandon the current edit without recording it
+   */
+  const cancel = () => {
+    pending = null
+    pendingDepth = 0
+  }
+
+  /**
+   * Run an edit as a single undoable command
+   * @param {string} label - Description shown in the UI
+   * @param {Array<string>} domainNames - Domains the edit touches
+   * @param {Function} fn - The edit (may return a promise)
+   * @param {Object} options - { merge: key for coalescing continuous edits }
+   * @returns {*} Whatever fn returns
+   */
+  const perform = (label, domainNames, fn, options = {}) => {
+    begin(label, domainNames, options)
+
+    let result
+    try {
+      result = fn()
+    } catch (error) {
+      commit()
+      throw error
+    }
+
+    if (result && typeof result.then === 'function') {
+      return result.finally(commit)
+    }
+
+    commit()
+    return result
+  }
+
+  /**
+   * Undo the last edit
+   * @returns {boolean} True if an edit was undone
+   */
+  const undo = () => {
+    if (pending || undoStack.length === 0) return false
+
+    const command = undoStack.pop()
+    restore(command.before)
+    redoStack.push(command)
+
+    emit('restored', { label: command.label, domains: Object.keys(command.before), action: 'undo' })
+    emitChanged()
+    return true
+  }
+
+  /**
+   * Redo the last undone edit
+   * @returns {boolean} True if an edit was redone
+   */
+  const redo = () => {
+    if (pending || redoStack.length === 0) return false
+
+    const command = redoStack.pop()
+    restore(command.after)
+    undoStack.push(command)
+
+    emit('restored', { label: command.label, domains: Object.keys(command.after), action: 'redo' })
+    emitChanged()
+    return true
+  }
+
+  /**
+   * Check if there is an edit to undo
+   * @returns {boolean} Can undo
+   */
+  const canUndo = () => {
+    return undoStack.length > 0
+  }
+
+  /**
+   * Check if there is an edit to redo
+   * @returns {boolean} Can redo
+   */
+  const canRedo = () => {
+    return redoStack.length > 0
+  }
+
+  /**
+   * Get the labels of the next undo and redo edits
+   * @returns {Object} { undo: string|null, redo: string|null }
+   */
+  const getLabels = () => {
+    return {
+      undo: undoStack.length > 0 ? undoStack[undoStack.length - 1].label : null,
+      redo: redoStack.length > 0 ? redoStack[redoStack.length - 1].label : null
+    }
+  }
+
+  /**
+   * Clear all history (e.g. after loading a session)
+   */
+  const clear = () => {
+    undoStack = []
+    redoStack = []
+    cancel()
+    emitChanged()
+  }
+
+  const emitChanged = () => {
+    emit('historyChanged', { canUndo: canUndo(), canRedo: canRedo(), ...getLabels() })
+  }
+
+  /**
+   * Event listener system
+   */
+  const on = (event, callback) => {
+    if (!listeners[event]) {
+      listeners[event] = []
+    }
+    listeners[event].push(callback)
+  }
+
+  const off = (event, callback) => {
+    if (!listeners[event]) return
+
+    listeners[event] = listeners[event].filter(cb => cb !== callback)
+  }
+
+  const emit = (event, data) => {
+    if (!listeners[event]) return
+
+    listeners[event].forEach(callback => {
+      callback(data)
+    })
+  }
+
+  // Public API
+  return {
+    begin,
+    commit,
+    cancel,
+    perform,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    getLabels,
+    clear,
+    on,
+    off,
+    MAX_HISTORY
+  }
+})()
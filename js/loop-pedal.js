@@ -32,6 +32,20 @@ const LoopPedal = (() => {
   let audioChunks = []
   let listeners = {}
 
+  // Default mixer settings for each track
+  const DEFAULT_MIXER_SETTINGS = {
+    timingOffset: 0,    // -200 to +200 ms
+    pan: 0,             // -1 (L) to +1 (R)
+    pitch: 0,           // -12 to +12 semitones
+    attack: 0,          // 0-100 ms
+    decay: 100,         // 0-100% of sample length
+    length: 2,          // 0-2 seconds max playback length
+    bass: 0,            // -12 to +12 dB at 100Hz
+    treble: 0,          // -12 to +12 dB at 10kHz
+    sendA: 0,           // 0-1 send level to effects send bus A
+    sendB: 0            // 0-1 send level to effects send bus B
+  }
+
   // Track structure
   class LoopTrack {
     constructor(index) {
@@ -50,27 +64,20 @@ const LoopPedal = (() => {
       this.isRecording = false
       this.startTrim = 0  // Trim from start of sample in seconds (0-5s)
 
-      // Mixer settings for extended controls
-      this.mixerSettings = {
-        timingOffset: 0,    // -200 to +200 ms
-        pan: 0,             // -1 (L) to +1 (R)
-        pitch: 0,           // -12 to +12 semitones
-        attack: 0,          // 0-100 ms
-        decay: 100,         // 0-100% of sample length
-        length: 2,          // 0-2 seconds max playback length
-        bass: 0,            // -12 to +12 dB at 100Hz
-        treble: 0           // -12 to +12 dB at 10kHz
-      }
+      // Mixer settings for extended controls (inserts: the track's insert effects)
+      this.mixerSettings = { ...DEFAULT_MIXER_SETTINGS, inserts: [] }
 
       // Extended audio nodes
       this.panNode = null
       this.bassFilter = null
       this.trebleFilter = null
+      this.inserts = null  // Insert effects chain (Effects.createInsertChain)
+      this.sendNodes = {}  // Post-fader send gains keyed by send bus id
     }
 
     /**
      * Initialize audio nodes (call after AudioContext is ready)
-     * Creates: bassFilter -> trebleFilter -> panNode -> gainNode -> masterGain
+     * Creates: bassFilter -> trebleFilter -> panNode -> inserts -> gainNode -> masterGain (and the send buses)
      */
     initAudioNodes() {
       if (this.gainNode) return // Already initialized
@@ -78,43 +85,23 @@ const LoopPedal = (() => {
       const context = AudioEngine.getContext()
       const masterGain = AudioEngine.getMasterGain()
       if (context && masterGain) {
-        // Create gain node
-        this.gainNode = context.createGain()
-        this.gainNode.gain.value = this.muted ? 0 : this.volume
-
-        // Create pan node
-        this.panNode = context.createStereoPanner()
-        this.panNode.pan.value = this.mixerSettings.pan
-
-        // Create bass filter (peaking EQ at 100Hz)
-        this.bassFilter = context.createBiquadFilter()
-        this.bassFilter.type = 'peaking'
-        this.bassFilter.frequency.value = 100
-        this.bassFilter.Q.value = 1
-        this.bassFilter.gain.value = this.mixerSettings.bass
-
-        // Create treble filter (peaking EQ at 10kHz)
-        this.trebleFilter = context.createBiquadFilter()
-        this.trebleFilter.type = 'peaking'
-        this.trebleFilter.frequency.value = 10000
-        this.trebleFilter.Q.value = 1
-        this.trebleFilter.gain.value = this.mixerSettings.treble
-
-        // Connect: bassFilter -> trebleFilter -> panNode -> gainNode -> masterGain
-        this.bassFilter.connect(this.trebleFilter)
-        this.trebleFilter.connect(this.panNode)
-        this.panNode.connect(this.gainNode)
-        this.gainNode.connect(masterGain)
+        const strip = createTrackStrip(context, this, masterGain)
+        this.gainNode = strip.gainNode
+        this.panNode = strip.panNode
+        this.bassFilter = strip.bassFilter
+        this.trebleFilter = strip.trebleFilter
+        this.inserts = strip.inserts
+        this.sendNodes = strip.sendNodes
       }
     }
 
     /**
      * Set a mixer parameter
      * @param {string} param - Parameter name
-     * @param {number} value - Parameter value
+     * @param {number|Array<Object>} value - Parameter value (the insert effects array for 'inserts')
      */
     setMixerParam(param, value) {
-      this.mixerSettings[param] = value
+      this.mixerSettings[param] = param === 'inserts' ? Effects.normalizeInserts(value) : value
 
       switch (param) {
         case 'pan':
@@ -126,6 +113,15 @@ const LoopPedal = (() => {
         case 'treble':
           if (this.trebleFilter) this.trebleFilter.gain.value = Math.max(-12, Math.min(12, value))
           break
+        case 'inserts':
+          if (this.inserts) this.inserts.load(this.mixerSettings.inserts)
+          break
+        default: {
+          const busId = Effects.SEND_BUSES.find(id => Effects.getSendParam(id) === param)
+          if (busId && this.sendNodes[busId]) {
+            this.sendNodes[busId].gain.value = Math.max(0, Math.min(1, value))
+          }
+        }
       }
     }
 
@@ -160,7 +156,7 @@ const LoopPedal = (() => {
       this.startTrim = 0  // Reset trim when clearing
     }
 
-    play(startTime = null, loop = true) {
+    play(startTime = null, loop = true, velocity = 1.0) {
       // Allow one-shot playback (loop=false) to always play, even if already playing
       if (!this.audioBuffer) return
       if (loop && this.isPlaying) return // Only skip if looping and already playing
@@ -181,44 +177,7 @@ const LoopPedal = (() => {
         }
       }
 
-      this.source = context.createBufferSource()
-      this.source.buffer = this.audioBuffer
-      this.source.loop = loop
-
-      // Apply pitch shift (playbackRate = 2^(semitones/12))
-      const pitchSemitones = this.mixerSettings.pitch || 0
-      this.source.playbackRate.value = Math.pow(2, pitchSemitones / 12)
-
-      // Connect source to extended audio chain (bassFilter is first node)
-      if (this.bassFilter) {
-        this.source.connect(this.bassFilter)
-      } else {
-        this.source.connect(this.gainNode)
-      }
-
-      // Calculate timing offset
-      const timingOffset = this.mixerSettings.timingOffset || 0
-      const baseTime = startTime || context.currentTime
-      const effectiveStartTime = Math.max(context.currentTime, baseTime + (timingOffset / 1000))
-
-      // Apply attack envelope
-      const attackMs = this.mixerSettings.attack || 0
-      if (attackMs > 0) {
-        this.gainNode.gain.setValueAtTime(0, effectiveStartTime)
-        this.gainNode.gain.linearRampToValueAtTime(
-          this.muted ? 0 : this.volume,
-          effectiveStartTime + (attackMs / 1000)
-        )
-      } else {
-        this.gainNode.gain.value = this.muted ? 0 : this.volume
-      }
-
-      // Calculate adjusted duration for decay and length
-      const rawDuration = (this.audioBuffer.duration - this.startTrim) / this.source.playbackRate.value
-      const maxLength = this.mixerSettings.length ?? 2
-      const adjustedDuration = Math.min(rawDuration, maxLength)
-      const decayPercent = (this.mixerSettings.decay ?? 100) / 100
-      const playDuration = adjustedDuration * decayPercent
+      this.source = startTrackVoice(context, this, this, startTime, loop, velocity)
 
       // Handle one-shot playback
       if (!loop) {
@@ -228,13 +187,6 @@ const LoopPedal = (() => {
         }
       }
 
-      this.source.start(effectiveStartTime, this.startTrim)  // Apply start trim offset
-
-      // Stop early if length or decay limits playback (only for one-shot mode)
-      if (!loop && playDuration < rawDuration) {
-        this.source.stop(effectiveStartTime + playDuration)
-      }
-
       this.isPlaying = loop // Only mark as playing if looping
     }
 
@@ -251,6 +203,206 @@ const LoopPedal = (() => {
     }
   }
 
+  /**
+   * Create a track channel strip
+   * Creates: bassFilter -> trebleFilter -> panNode -> inserts -> gainNode -> destination,
+   * plus post-fader sends from gainNode to the effects send buses
+   * @param {BaseAudioContext} context - Audio context (live or offline)
+   * @param {Object} track - Track state (volume, muted, mixerSettings)
+   * @param {AudioNode} destination - Node the strip feeds (the master gain)
+   * @param {Object} busInputs - Send bus input nodes keyed by bus id (defaults to the live buses)
+   * @returns {Object} { gainNode, panNode, bassFilter, trebleFilter, inserts, sendNodes }
+   */
+  const createTrackStrip = (context, track, destination, busInputs = Effects.getSendInputs()) => {
+    // Create gain node
+    const gainNode = context.createGain()
+    gainNode.gain.value = track.muted ? 0 : track.volume
+
+    // Create pan node
+    const panNode = context.createStereoPanner()
+    panNode.pan.value = track.mixerSettings.pan
+
+    // Create bass filter (peaking EQ at 100Hz)
+    const bassFilter = context.createBiquadFilter()
+    bassFilter.type = 'peaking'
+    bassFilter.frequency.value = 100
+    bassFilter.Q.value = 1
+    bassFilter.gain.value = track.mixerSettings.bass
+
+    // Create treble filter (peaking EQ at 10kHz)
+    const trebleFilter = context.createBiquadFilter()
+    trebleFilter.type = 'peaking'
+    trebleFilter.frequency.value = 10000
+    trebleFilter.Q.value = 1
+    trebleFilter.gain.value = track.mixerSettings.treble
+
+    // Create insert effects chain
+    const inserts = Effects.createInsertChain(context, track.mixerSettings.inserts)
+
+    // Connect: bassFilter -> trebleFilter -> panNode -> inserts -> gainNode -> destination
+    bassFilter.connect(trebleFilter)
+    trebleFilter.connect(panNode)
+    panNode.connect(inserts.input)
+    inserts.output.connect(gainNode)
+    gainNode.connect(destination)
+
+    const sendNodes = Effects.connectSends(context, gainNode, track.mixerSettings, busInputs)
+
+    return { gainNode, panNode, bassFilter, trebleFilter, inserts, sendNodes }
+  }
+
+  /**
+   * Start a buffer source for a track through its channel strip
+   * Applies pitch, timing offset, attack, length/decay and start trim
+   * Shared by live playback and offline rendering
+   * @param {BaseAudioContext} context - Audio context (live or offline)
+   * @param {Object} track - Track state (audioBuffer, volume, muted, startTrim, mixerSettings)
+   * @param {Object} strip - Channel strip from createTrackStrip()
+   * @param {number} startTime - Start time (context time, defaults to now)
+   * @param {boolean} loop - Whether to loop continuously
+   * @param {number} velocity - Hit velocity for one-shot playback
+   * @returns {AudioBufferSourceNode} The started source
+   */
+  const startTrackVoice = (context, track, strip, startTime, loop, velocity = 1.0) => {
+    const source = context.createBufferSource()
+    source.buffer = track.audioBuffer
+    source.loop = loop
+
+    // Apply pitch shift (playbackRate = 2^(semitones/12))
+    const pitchSemitones = track.mixerSettings.pitch || 0
+    source.playbackRate.value = Math.pow(2, pitchSemitones / 12)
+
+    // Per-hit velocity gain (sequenced one-shots can vary in level)
+    const velocityGain = context.createGain()
+    velocityGain.gain.value = Math.max(0, velocity)
+    source.connect(velocityGain)
+
+    // Connect to extended audio chain (bassFilter is first node)
+    if (strip.bassFilter) {
+      velocityGain.connect(strip.bassFilter)
+    } else {
+      velocityGain.connect(strip.gainNode)
+    }
+
+    // Calculate timing offset
+    const timingOffset = track.mixerSettings.timingOffset || 0
+    const baseTime = startTime || context.currentTime
+    const effectiveStartTime = Math.max(context.currentTime, baseTime + (timingOffset / 1000))
+
+    // Apply attack envelope
+    const attackMs = track.mixerSettings.attack || 0
+    if (attackMs > 0) {
+      strip.gainNode.gain.setValueAtTime(0, effectiveStartTime)
+      strip.gainNode.gain.linearRampToValueAtTime(
+        track.muted ? 0 : track.volume,
+        effectiveStartTime + (attackMs / 1000)
+      )
+    } else {
+      strip.gainNode.gain.value = track.muted ? 0 : track.volume
+    }
+
+    // Calculate adjusted duration for decay and length
+    const rawDuration = (track.audioBuffer.duration - track.startTrim) / source.playbackRate.value
+    const maxLength = track.mixerSettings.length ?? 2
+    const adjustedDuration = Math.min(rawDuration, maxLength)
+    const decayPercent = (track.mixerSettings.decay ?? 100) / 100
+    const playDuration = adjustedDuration * decayPercent
+
+    source.start(effectiveStartTime, track.startTrim)  // Apply start trim offset
+
+    // Stop early if length or decay limits playback (only for one-shot mode)
+    if (!loop && playDuration < rawDuration) {
+      source.stop(effectiveStartTime + playDuration)
+    }
+
+    return source
+  }
+
+  /**
+   * Create an offline copy of the sample track graph for sequenced one-shots
+   * Uses the current buffers, volumes and mixer settings of every track
+   * @param {BaseAudioContext} context - Audio context to build in (usually an OfflineAudioContext)
+   * @param {AudioNode} destination - Node the track strips feed (the offline master gain)
+   * @param {Object} busInputs - Offline send bus inputs keyed by bus id (from AudioEngine.createRenderGraph)
+   * @returns {Object} { playTrack(trackIndex, time, velocity), setPatternTracks(patternTracks),
+   *   startLoops(filter), stopLoops(time, patternTracksOnly) }
+   */
+  const createRenderGraph = (context, destination, busInputs = {}) => {
+    const voices = {}
+    const loops = {}
+    let renderTracks = [...tracks]
+
+    // Free-running loops (the ones looping live) start with the render, like playback of
+    // a live mix; filter(trackIndex) picks the tracks to include (a stem renders one)
+    const startLoops = (filter = null) => {
+      getRunningLoops().forEach(trackIndex => {
+        if (filter && !filter(trackIndex)) return
+
+        const track = tracks[trackIndex]
+        const strip = createTrackStrip(context, track, destination, busInputs)
+        loops[trackIndex] = startTrackVoice(context, track, strip, 0, true)
+      })
+    }
+
+    // Stop free-running loops at a time; switching pattern tracks stops only loops 4-7,
+    // as a live pattern switch does
+    const stopLoops = (time, patternTracksOnly = false) => {
+      Object.keys(loops).forEach(key => {
+        const trackIndex = parseInt(key)
+        if (patternTracksOnly && trackIndex < 4) return
+
+        loops[trackIndex].stop(time)
+        delete loops[trackIndex]
+      })
+    }
+
+    const playTrackOffline = (trackIndex, time, velocity = 1.0) => {
+      const track = renderTracks[trackIndex]
+      if (!track || !track.audioBuffer) return
+
+      if (!voices[trackIndex]) {
+        voices[trackIndex] = { strip: createTrackStrip(context, track, destination, busInputs), source: null }
+      }
+      const voice = voices[trackIndex]
+
+      // One-shots are monophonic per track: a new hit cuts the previous one
+      if (voice.source) {
+        try {
+          voice.source.stop(time)
+        } catch (e) {
+          // Ignore if already stopped
+        }
+      }
+
+      voice.source = startTrackVoice(context, track, voice.strip, time, false, velocity)
+    }
+
+    // Swap in another pattern's tracks (4-7), decoded with decodePatternTracks()
+    // Hits already scheduled keep ringing through their old strips
+    const setPatternTracks = (patternTracks) => {
+      renderTracks = tracks.slice(0, 4)
+      for (const track of patternTracks || []) {
+        renderTracks[track.index] = track
+      }
+
+      for (let i = 4; i < NUM_TRACKS; i++) {
+        delete voices[i]
+      }
+    }
+
+    return { playTrack: playTrackOffline, setPatternTracks, startLoops, stopLoops }
+  }
+
+  /**
+   * Get the tracks looping freely (started with playTrack, not sequenced one-shots) that can be heard
+   * @returns {Array<number>} Track indices
+   */
+  const getRunningLoops = () => {
+    return tracks
+      .filter(track => track.isPlaying && !track.muted && track.audioBuffer)
+      .map(track => track.index)
+  }
+
   /**
    * Initialize the loop pedal
    */
@@ -481,8 +633,9 @@ const LoopPedal = (() => {
    * @param {number} trackIndex - Track index (0-5)
    * @param {boolean} loop - Whether to loop continuously (default: true)
    * @param {number} time - Optional start time (AudioContext time)
+   * @param {number} velocity - Hit velocity for one-shot playback (default: 1.0)
    */
-  const playTrack = (trackIndex, loop = true, time = null) => {
+  const playTrack = (trackIndex, loop = true, time = null, velocity = 1.0) => {
     if (trackIndex < 0 || trackIndex >= NUM_TRACKS) return
 
     const track = tracks[trackIndex]
@@ -494,7 +647,7 @@ const LoopPedal = (() => {
       startTime = loop ? Sequencer.getNextBarTime() : null
     }
 
-    track.play(startTime, loop)
+    track.play(startTime, loop, velocity)
     emit('trackPlaying', trackIndex)
   }
 
@@ -963,20 +1116,10 @@ const LoopPedal = (() => {
 
         // Load audio data if present
         if (trackData.audioData) {
-          let audioBuffer = null
-
-          // Handle both WebM (new compressed format) and WAV (legacy format)
-          if (trackData.format === 'webm') {
-            // New compressed format: Convert Base64 to WebM blob, then decode to AudioBuffer
-            const webmBlob = base64ToWebmBlob(trackData.audioData)
-            audioBuffer = await webmBlobToAudioBuffer(webmBlob)
-            track.webmBlob = webmBlob  // Store compressed blob for efficient re-saving
-          } else {
-            // Legacy WAV format (backward compatibility)
-            audioBuffer = await wavToAudioBuffer(trackData.audioData)
-            // Note: webmBlob will be null, so next save will keep WAV format until re-recorded
-          }
-
+          const { audioBuffer, webmBlob } = await decodeTrackAudio(trackData)
+          // Store compressed blob for efficient re-saving
+          // (null for legacy WAV, so next save will keep WAV format until re-recorded)
+          track.webmBlob = webmBlob
           track.audioBuffer = audioBuffer
         }
       }
@@ -985,6 +1128,54 @@ const LoopPedal = (() => {
     emit('patternTracksImported')
   }
 
+  /**
+   * Decode the audio of saved track data
+   * @param {Object} trackData - Saved track data with audioData and format
+   * @returns {Promise<Object>} { audioBuffer, webmBlob } (webmBlob is null for WAV data)
+   */
+  const decodeTrackAudio = async (trackData) => {
+    // Handle both WebM (new compressed format) and WAV (legacy format)
+    if (trackData.format === 'webm') {
+      // New compressed format: Convert Base64 to WebM blob, then decode to AudioBuffer
+      const webmBlob = base64ToWebmBlob(trackData.audioData)
+      const audioBuffer = await webmBlobToAudioBuffer(webmBlob)
+      return { audioBuffer, webmBlob }
+    }
+
+    // Legacy WAV format (backward compatibility)
+    const audioBuffer = await wavToAudioBuffer(trackData.audioData)
+    return { audioBuffer, webmBlob: null }
+  }
+
+  /**
+   * Decode saved pattern-specific tracks (4-7) without loading them into the pedal
+   * Used to render pattern slots other than the one currently loaded
+   * @param {Array} patternTracksData - Array of pattern-specific track data (from exportPatternTracks)
+   * @returns {Promise<Array>} Track states { index, audioBuffer, volume, muted, startTrim, mixerSettings }
+   */
+  const decodePatternTracks = async (patternTracksData) => {
+    const decodedTracks = []
+    if (!patternTracksData) return decodedTracks
+
+    for (const trackData of patternTracksData) {
+      if (trackData.index < 4 || trackData.index >= NUM_TRACKS || !trackData.audioData) continue
+
+      const { audioBuffer } = await decodeTrackAudio(trackData)
+      if (!audioBuffer) continue
+
+      decodedTracks.push({
+        index: trackData.index,
+        audioBuffer,
+        volume: trackData.volume ?? 0.8,
+        muted: trackData.muted || false,
+        startTrim: trackData.startTrim || 0,
+        mixerSettings: { ...DEFAULT_MIXER_SETTINGS, ...trackData.mixerSettings }
+      })
+    }
+
+    return decodedTracks
+  }
+
   // Public API
   return {
     init,
@@ -1009,12 +1200,15 @@ const LoopPedal = (() => {
     getTrackMixerSettings,
     getTrackInfo,
     getAllTracksInfo,
+    getRunningLoops,
     getMicInputLevel,
     on,
     off,
     exportData,
     importData,
     exportPatternTracks,
+    decodePatternTracks,
+    createRenderGraph,
     importPatternTracks
   }
 })()
@@ -75,6 +75,7 @@
     await Sequencer.init()
     LoopPedal.init()
     SongMode.init()
+    MIDIClock.init()
     Visualizations.init()
     UI.init()
 
@@ -0,0 +1,296 @@
+/**
+ * Web Drum Machine & Sample Recorder
+ * Copyright (C) 2025 maddog75
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * MIDI Clock Module
+ * Sends MIDI clock and transport as master, or follows an external clock as slave
+ */
+
+const MIDIClock = (() => {
+  // MIDI real-time and system common messages
+  const CLOCK = 0xF8
+  const START = 0xFA
+  const CONTINUE = 0xFB
+  const STOP = 0xFC
+  const SONG_POSITION = 0xF2
+
+  const PPQN = 24 // Clocks per quarter note
+  const CLOCKS_PER_SPP = PPQN / 4 // Song position pointer counts 16th notes
+  const TEMPO_WINDOW = 24 // Clock intervals averaged for the slave tempo (one beat)
+
+  // Private variables
+  let mode = 'off' // 'off' | 'master' | 'slave'
+  let listeners = {}
+
+  // Master state
+  let pendingTransport = null // 'start' | 'continue' until the first step is scheduled
+
+  // Slave state
+  let pendingPlay = false // Start/Continue received, play on the next clock
+  let clockCount = 0 // Clocks since playback started
+  let startStep = 0 // Step playback started from
+  let clockTimes = [] // Recent clock timestamps (ms) for tempo detection
+  let externalTempo = null
+
+  /**
+   * Initialize clock sync (listens to sequencer and MIDI input events)
+   */
+  const init = () => {
+    Sequencer.on('playbackStarted', handlePlaybackStarted)
+    Sequencer.on('playbackPaused', handlePlaybackPaused)
+    Sequencer.on('playbackStopped', handlePlaybackStopped)
+    Sequencer.on('stepScheduled', handleStepScheduled)
+    MIDIInput.on('message', handleMessage)
+  }
+
+  /**
+   * Set the clock mode
+   * @param {string} newMode - 'off', 'master' (send clock) or 'slave' (follow external clock)
+   * @returns {Promise<boolean>} True if the mode was applied
+   */
+  const setMode = async (newMode) => {
+    if (!['off', 'master', 'slave'].includes(newMode)) {
+      console.warn(`Unknown MIDI clock mode: ${newMode}`)
+      return false
+    }
+
+    // Master and slave need MIDI devices
+    if (newMode !== 'off' && !MIDIInput.getMIDIAccess()) {
+      const enabled = await MIDIInput.init()
+      if (!enabled) return false
+    }
+
+    mode = newMode
+    pendingTransport = null
+    pendingPlay = false
+    clockTimes = []
+    externalTempo = null
+
+    emit('modeChanged', mode)
+    return true
+  }
+
+  /**
+   * Get the clock mode
+   * @returns {string} 'off', 'master' or 'slave'
+   */
+  const getMode = () => {
+    return mode
+  }
+
+  /**
+   * Get the tempo detected from the external clock
+   * @returns {number|null} Tempo in BPM, or null if no clock is being received
+   */
+  const getExternalTempo = () => {
+    return externalTempo
+  }
+
+  /**
+   * Get the number of clocks in one sequencer step
+   * Every step resolution (8ths, 16ths, 32nds, triplets) is a whole number of clocks
+   * @returns {number} Clocks per step (6 for 16th notes)
+   */
+  const getClocksPerStep = () => {
+    return Math.round(PPQN * Sequencer.getStepLength())
+  }
+
+  /**
+   * Send a message to every MIDI output
+   * @param {Array<number>} data - MIDI bytes
+   * @param {number} timeStamp - Send time in ms (performance.now() clock, optional)
+   */
+  const send = (data, timeStamp) => {
+    const access = MIDIInput.getMIDIAccess()
+    if (!access) return
+
+    access.outputs.forEach(output => {
+      output.send(data, timeStamp)
+    })
+  }
+
+  /**
+   * Build a song position pointer message
+   * @param {number} step - Sequencer step (converted to 16th notes, the MIDI beats the pointer counts)
+   * @returns {Array<number>} MIDI bytes
+   */
+  const songPositionMessage = (step) => {
+    const position = Math.max(0, Math.min(0x3FFF, Math.round(step * getClocksPerStep() / CLOCKS_PER_SPP)))
+    return [SONG_POSITION, position & 0x7F, (position >> 7) & 0x7F]
+  }
+
+  // ===================================
+  // Master: drive external devices
+  // ===================================
+
+  const handlePlaybackStarted = () => {
+    if (mode !== 'master') return
+
+    // Start/Continue goes out with the first step so it lines up with the clock
+    pendingTransport = Sequencer.getCurrentStep() === 0 ? 'start' : 'continue'
+  }
+
+  const handlePlaybackPaused = () => {
+    if (mode !== 'master') return
+
+    pendingTransport = null
+    send([STOP])
+  }
+
+  const handlePlaybackStopped = () => {
+    if (mode !== 'master') return
+
+    send(songPositionMessage(0))
+  }
+
+  /**
+   * Send the clocks for a scheduled step
+   * @param {Object} data - { step, time } from the sequencer
+   */
+  const handleStepScheduled = ({ step, time }) => {
+    if (mode !== 'master') return
+
+    const clocksPerStep = getClocksPerStep()
+    const clockDuration = 60 / Sequencer.getTempo() / PPQN
+
+    if (pendingTransport === 'start') {
+      send([START], AudioEngine.contextToPerformanceTime(time))
+    } else if (pendingTransport === 'continue') {
+      send(songPositionMessage(step), AudioEngine.contextToPerformanceTime(time))
+      send([CONTINUE], AudioEngine.contextToPerformanceTime(time))
+    }
+    pendingTransport = null
+
+    for (let i = 0; i < clocksPerStep; i++) {
+      send([CLOCK], AudioEngine.contextToPerformanceTime(time + i * clockDuration))
+    }
+  }
+
+  // ===================================
+  // Slave: follow an external clock
+  // ===================================
+
+  /**
+   * Handle incoming MIDI messages (from MIDIInput)
+   * @param {Object} message - { data, timeStamp }
+   */
+  const handleMessage = ({ data, timeStamp }) => {
+    if (mode !== 'slave') return
+
+    const status = data[0]
+    const now = timeStamp ?? performance.now()
+
+    switch (status) {
+      case CLOCK:
+        handleClock(now)
+        break
+      case START:
+        Sequencer.stop()
+        startStep = 0
+        pendingPlay = true
+        break
+      case CONTINUE:
+        startStep = Sequencer.getCurrentStep()
+        pendingPlay = true
+        break
+      case STOP:
+        pendingPlay = false
+        Sequencer.pause()
+        break
+      case SONG_POSITION:
+        Sequencer.setPosition(Math.round((data[1] | (data[2] << 7)) * CLOCKS_PER_SPP / getClocksPerStep()))
+        break
+    }
+  }
+
+  /**
+   * Handle a clock tick: track tempo, start pending playback and lock step timing
+   * @param {number} timeStamp - Clock time in ms (performance.now() clock)
+   */
+  const handleClock = (timeStamp) => {
+    // Tempo from the average clock interval over the last beat
+    clockTimes.push(timeStamp)
+    if (clockTimes.length > TEMPO_WINDOW + 1) {
+      clockTimes.shift()
+    }
+    if (clockTimes.length > CLOCKS_PER_SPP) {
+      const interval = (clockTimes[clockTimes.length - 1] - clockTimes[0]) / (clockTimes.length - 1)
+      const bpm = Math.round(60000 / (interval * PPQN) * 10) / 10
+      if (bpm !== externalTempo) {
+        externalTempo = bpm
+        Sequencer.setTempo(bpm)
+        emit('externalTempoChanged', bpm)
+      }
+    }
+
+    // The first clock after Start/Continue is the first step
+    if (pendingPlay) {
+      pendingPlay = false
+      clockCount = 0
+      if (startStep !== 0) {
+        Sequencer.setPosition(startStep)
+      }
+      Sequencer.play()
+      return
+    }
+
+    if (!Sequencer.getIsPlaying()) return
+
+    // Every 6 clocks is a 16th-note step (more or fewer at other resolutions): pull the scheduler onto the clock's timing
+    const clocksPerStep = getClocksPerStep()
+    clockCount++
+    if (clockCount % clocksPerStep === 0) {
+      const step = (startStep + clockCount / clocksPerStep) % Sequencer.getStepCount()
+      Sequencer.syncToClock(step, AudioEngine.performanceToContextTime(timeStamp))
+    }
+  }
+
+  /**
+   * Event listener system
+   */
+  const on = (event, callback) => {
+    if (!listeners[event]) {
+      listeners[event] = []
+    }
+    listeners[event].push(callback)
+  }
+
+  const off = (event, callback) => {
+    if (!listeners[event]) return
+
+    listeners[event] = listeners[event].filter(cb => cb !== callback)
+  }
+
+  const emit = (event, data) => {
+    if (!listeners[event]) return
+
+    listeners[event].forEach(callback => {
+      callback(data)
+    })
+  }
+
+  // Public API
+  return {
+    init,
+    setMode,
+    getMode,
+    getExternalTempo,
+    on,
+    off
+  }
+})()
@@ -0,0 +1,519 @@
+/**
+ * Web Drum Machine & Sample Recorder
+ * Copyright (C) 2025 maddog75
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * MIDI File Module
+ * Writes and reads Standard MIDI Files (.mid) for drum patterns
+ */
+
+const MIDIFile = (() => {
+  const TICKS_PER_QUARTER = 96
+  const DRUM_CHANNEL = 9 // MIDI channel 10 (0-indexed)
+  const NOTE_LENGTH = TICKS_PER_QUARTER / 8 // 32nd-note drum hits
+
+  // General MIDI percussion notes for the drum instruments
+  // The 16 default instruments come first; the rest cover the wider instrument library
+  const GM_DRUM_NOTES = {
+    kick1: 36,
+    kick2: 35,
+    snare1: 38,
+    snare2: 40,
+    hihatClosed: 42,
+    hihatOpen: 46,
+    clap: 39,
+    snap: 75,
+    tomHigh: 50,
+    tomMid: 47,
+    tomLow: 45,
+    crash: 49,
+    ride: 51,
+    shaker: 70,
+    cowbell: 56,
+    rimshot: 37,
+    hihatPedal: 44,
+    tomFloor: 41,
+    crashHard: 57,
+    rideBell: 53,
+    splash: 55,
+    china: 52,
+    tambourine: 54,
+    maracas: 70,
+    cabasa: 69,
+    conga: 64,
+    congaHigh: 63,
+    bongo: 61,
+    bongoHigh: 60,
+    timbale: 65,
+    agogo: 67,
+    guiro: 73,
+    claves: 75,
+    woodblock: 76,
+    triangle: 81,
+    vibraslap: 58
+  }
+
+  // Extra GM notes that have no instrument of their own, mapped to the closest default
+  const GM_NOTE_FALLBACKS = {
+    41: 'tomLow',      // Low floor tom
+    43: 'tomLow',      // High floor tom
+    44: 'hihatClosed', // Pedal hi-hat
+    48: 'tomHigh',     // Hi-mid tom
+    52: 'crash',       // Chinese cymbal
+    53: 'ride',        // Ride bell
+    54: 'shaker',      // Tambourine
+    55: 'crash',       // Splash cymbal
+    57: 'crash',       // Crash cymbal 2
+    59: 'ride',        // Ride cymbal 2
+    69: 'shaker',      // Cabasa
+    76: 'snap',        // Hi wood block
+    77: 'snap'         // Low wood block
+  }
+
+  // Note-to-track mapping used by import (MIDI note -> drum track index 0-15)
+  let noteMap = null
+
+  /**
+   * Build the default note-to-track mapping from the General MIDI drum map
+   * @returns {Object} Map of MIDI note number -> drum track index
+   */
+  const getDefaultNoteMap = () => {
+    const defaultInstruments = AudioEngine.getDefaultInstruments()
+    const map = {}
+
+    Object.entries(GM_NOTE_FALLBACKS).forEach(([note, instrumentId]) => {
+      const trackIndex = defaultInstruments.indexOf(instrumentId)
+      if (trackIndex !== -1) map[note] = trackIndex
+    })
+
+    // Exact matches win over fallbacks
+    defaultInstruments.forEach((instrumentId, trackIndex) => {
+      const note = GM_DRUM_NOTES[instrumentId]
+      if (note !== undefined) map[note] = trackIndex
+    })
+
+    return map
+  }
+
+  /**
+   * Get the note-to-track mapping used by import
+   * @returns {Object} Map of MIDI note number -> drum track index
+   */
+  const getNoteMap = () => {
+    return { ...(noteMap || getDefaultNoteMap()) }
+  }
+
+  /**
+   * Set the note-to-track mapping used by import
+   * @param {Object|null} map - Map of MIDI note number -> drum track index (null restores the GM mapping)
+   */
+  const setNoteMap = (map) => {
+    if (!map) {
+      noteMap = null
+      return
+    }
+
+    noteMap = {}
+    Object.entries(map).forEach(([note, trackIndex]) => {
+      const noteNumber = parseInt(note, 10)
+      if (noteNumber >= 0 && noteNumber <= 127 && trackIndex >= 0 && trackIndex < 16) {
+        noteMap[noteNumber] = trackIndex
+      }
+    })
+  }
+
+  /**
+   * Get the MIDI note a drum track exports as
+   * Uses the assigned instrument's GM note, falling back to the track's default instrument
+   * @param {number} trackIndex - Drum track index
+   * @param {string} instrumentId - Instrument played on the track
+   * @returns {number} MIDI note number
+   */
+  const getTrackNote = (trackIndex, instrumentId) => {
+    if (GM_DRUM_NOTES[instrumentId] !== undefined) return GM_DRUM_NOTES[instrumentId]
+
+    const defaultInstrumentId = AudioEngine.getDefaultInstruments()[trackIndex]
+    return GM_DRUM_NOTES[defaultInstrumentId] ?? 36 + trackIndex
+  }
+
+  /**
+   * Write a variable-length quantity
+   * @param {Array<number>} bytes - Output byte array
+   * @param {number} value - Value to write
+   */
+  const writeVarLength = (bytes, value) => {
+    const groups = [value & 0x7F]
+    value >>= 7
+    while (value > 0) {
+      groups.unshift((value & 0x7F) | 0x80)
+      value >>= 7
+    }
+    bytes.push(...groups)
+  }
+
+  /**
+   * Write a 32-bit big-endian value
+   * @param {Array<number>} bytes - Output byte array
+   * @param {number} value - Value to write
+   */
+  const writeUint32 = (bytes, value) => {
+    bytes.push((value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF)
+  }
+
+  /**
+   * Encode a text string as bytes (Latin-1, non-ASCII replaced)
+   * @param {string} text - Text to encode
+   * @returns {Array<number>} Bytes
+   */
+  const textBytes = (text) => {
+    return Array.from(text, char => (char.charCodeAt(0) < 256 ? char.charCodeAt(0) : 63))
+  }
+
+  /**
+   * Build a track chunk (MTrk) from timed events
+   * @param {Array<Object>} events - Events { tick, data: Array<number>, priority }
+   * @param {number} endTick - Earliest time for the end-of-track event
+   * @returns {Array<number>} Chunk bytes
+   */
+  const buildTrackChunk = (events, endTick = 0) => {
+    // Stable sort by time; note-offs sort before note-ons on the same tick
+    const sorted = events
+      .map((event, order) => ({ ...event, order }))
+      .sort((a, b) => a.tick - b.tick || (a.priority || 0) - (b.priority || 0) || a.order - b.order)
+
+    const data = []
+    let lastTick = 0
+    sorted.forEach(event => {
+      writeVarLength(data, event.tick - lastTick)
+      data.push(...event.data)
+      lastTick = event.tick
+    })
+
+    // End of track
+    writeVarLength(data, Math.max(0, endTick - lastTick))
+    data.push(0xFF, 0x2F, 0x00)
+
+    const chunk = textBytes('MTrk')
+    writeUint32(chunk, data.length)
+    return chunk.concat(data)
+  }
+
+  /**
+   * Create a meta event
+   * @param {number} tick - Event time in ticks
+   * @param {number} type - Meta event type
+   * @param {Array<number>} payload - Event data
+   * @returns {Object} Event { tick, data }
+   */
+  const metaEvent = (tick, type, payload) => {
+    const data = [0xFF, type]
+    writeVarLength(data, payload.length)
+    data.push(...payload)
+    return { tick, data, priority: -1 }
+  }
+
+  /**
+   * Encode render segments as a Type 1 Standard MIDI File
+   * Track 1 holds tempo, time signature and section markers; each drum track that plays
+   * gets its own track on channel 10. Sample tracks have no MIDI equivalent and are skipped.
+   * Swing, groove and accents are included in the note timing and velocities; tempo ramps
+   * become a tempo change on every step.
+   * @param {Array<Object>} segments - Segments { state, bars, name } (see WAVEncoder.renderSegments)
+   * @returns {Uint8Array} MIDI file bytes
+   */
+  const encodeSegments = (segments) => {
+    const conductor = [metaEvent(0, 0x03, textBytes('Drum Machine'))]
+    const drumTracks = {}
+    let segmentTick = 0
+    let lastTempo = null // Microseconds per quarter note of the last tempo event
+    let lastTimeSignature = null
+    let position = Sequencer.getRenderStartPosition(segments[0]?.state) // Playback position for Sequencer.schedulePattern
+
+    segments.forEach(segment => {
+      const { state } = segment
+      const stepTotal = segment.bars * state.stepCount
+      const stepLength = Sequencer.getStepLength(state.pattern?.stepResolution)
+      const ticksPerStep = TICKS_PER_QUARTER * stepLength
+
+      // Tempo and start time of every step (a tempo ramp changes the tempo from step to step)
+      const stepTempos = []
+      const stepTimes = []
+      let stepTime = 0
+      for (let step = 0; step <= stepTotal; step++) {
+        stepTempos.push(Sequencer.getStepTempo(state, step))
+        stepTimes.push(stepTime)
+        stepTime += 60 / stepTempos[step] * stepLength
+      }
+
+      // Seconds from the segment start to ticks, through the step the time falls in
+      const ticksPerSecondAt = (step) => stepTempos[step] / 60 * TICKS_PER_QUARTER
+      const findStep = (time) => {
+        let low = 0
+        let high = stepTotal
+        while (low < high) {
+          const mid = Math.ceil((low + high) / 2)
+          if (stepTimes[mid] <= time) low = mid
+          else high = mid - 1
+        }
+        return low
+      }
+      const toTicks = (time) => {
+        const step = findStep(time)
+        return step * ticksPerStep + (time - stepTimes[step]) * ticksPerSecondAt(step)
+      }
+
+      // Tempo changes (one per step while ramping)
+      for (let step = 0; step < stepTotal; step++) {
+        const microsecondsPerQuarter = Math.round(60000000 / stepTempos[step])
+        if (microsecondsPerQuarter === lastTempo) continue
+
+        conductor.push(metaEvent(segmentTick + step * ticksPerStep, 0x51, [
+          (microsecondsPerQuarter >> 16) & 0xFF,
+          (microsecondsPerQuarter >> 8) & 0xFF,
+          microsecondsPerQuarter & 0xFF
+        ]))
+        lastTempo = microsecondsPerQuarter
+      }
+
+      // Time signature changes
+      if (state.timeSignature !== lastTimeSignature) {
+        const { numerator, denominator } = Sequencer.parseTimeSignature(state.timeSignature) || { numerator: 4, denominator: 4 }
+        conductor.push(metaEvent(segmentTick, 0x58, [numerator, Math.log2(denominator), 24, 8]))
+        lastTimeSignature = state.timeSignature
+      }
+      if (segment.name) {
+        conductor.push(metaEvent(segmentTick, 0x06, textBytes(segment.name)))
+      }
+
+      // Collect the drum hits the sequencer would play
+      const startTick = segmentTick
+      Sequencer.schedulePattern(state, {
+        playDrum: (instrumentId, time, velocity, trackIndex, duration) => {
+          const tick = Math.max(0, startTick + Math.round(toTicks(time)))
+          const note = getTrackNote(trackIndex, instrumentId)
+          const midiVelocity = Math.max(1, Math.min(127, Math.round(velocity * 127)))
+          // Ratchets are shorter than a normal note - end each one before the next starts
+          const length = duration ? Math.max(1, Math.min(NOTE_LENGTH, Math.round(duration * ticksPerSecondAt(findStep(time))))) : NOTE_LENGTH
+
+          if (!drumTracks[trackIndex]) {
+            drumTracks[trackIndex] = { instrumentId, events: [] }
+          }
+          drumTracks[trackIndex].events.push(
+            { tick, data: [0x90 | DRUM_CHANNEL, note, midiVelocity], priority: 1 },
+            { tick: tick + length, data: [0x80 | DRUM_CHANNEL, note, 0], priority: 0 }
+          )
+        },
+        playSample: () => {}
+      }, 0, segment.bars, position)
+
+      position = { ...position, bar: position.bar + segment.bars, tick: position.tick + stepTotal }
+      segmentTick += stepTotal * ticksPerStep
+    })
+
+    // Every track runs to the end of the song
+    const trackIndexes = Object.keys(drumTracks).map(Number).sort((a, b) => a - b)
+    const chunks = [buildTrackChunk(conductor, segmentTick)]
+    trackIndexes.forEach(trackIndex => {
+      const { instrumentId, events } = drumTracks[trackIndex]
+      const info = AudioEngine.getInstrumentInfo(instrumentId)
+      events.unshift(metaEvent(0, 0x03, textBytes(info ? info.name : instrumentId)))
+      chunks.push(buildTrackChunk(events, segmentTick))
+    })
+
+    // Header chunk: format 1, track count, ticks per quarter note
+    const header = textBytes('MThd')
+    writeUint32(header, 6)
+    header.push(0x00, 0x01, (chunks.length >> 8) & 0xFF, chunks.length & 0xFF)
+    header.push((TICKS_PER_QUARTER >> 8) & 0xFF, TICKS_PER_QUARTER & 0xFF)
+
+    return new Uint8Array(header.concat(...chunks))
+  }
+
+  /**
+   * Parse a Standard MIDI File
+   * @param {ArrayBuffer} arrayBuffer - File contents
+   * @returns {Object} { format, division, notes: [{ tick, note, velocity, channel }],
+   *   tempos: [{ tick, bpm }], timeSignatures: [{ tick, numerator, denominator }] }
+   */
+  const parse = (arrayBuffer) => {
+    const view = new DataView(arrayBuffer)
+    let offset = 0
+
+    const readString = (length) => {
+      let text = ''
+      for (let i = 0; i < length; i++) {
+        text += String.fromCharCode(view.getUint8(offset + i))
+      }
+      offset += length
+      return text
+    }
+
+    const readVarLength = () => {
+      let value = 0
+      let byte
+      do {
+        byte = view.getUint8(offset++)
+        value = (value << 7) | (byte & 0x7F)
+      } while (byte & 0x80)
+      return value
+    }
+
+    if (readString(4) !== 'MThd') {
+      throw new Error('Not a MIDI file - missing MThd header')
+    }
+    const headerLength = view.getUint32(offset)
+    const format = view.getUint16(offset + 4)
+    const trackCount = view.getUint16(offset + 6)
+    const division = view.getUint16(offset + 8)
+    offset += 4 + headerLength
+
+    if (division & 0x8000) {
+      throw new Error('SMPTE time division is not supported')
+    }
+
+    const notes = []
+    const tempos = []
+    const timeSignatures = []
+
+    for (let t = 0; t < trackCount && offset < view.byteLength; t++) {
+      const chunkType = readString(4)
+      const chunkLength = view.getUint32(offset)
+      offset += 4
+      const chunkEnd = offset + chunkLength
+
+      // Skip unknown chunks
+      if (chunkType !== 'MTrk') {
+        offset = chunkEnd
+        t--
+        continue
+      }
+
+      let tick = 0
+      let runningStatus = 0
+
+      while (offset < chunkEnd) {
+        tick += readVarLength()
+
+        let status = view.getUint8(offset)
+        if (status & 0x80) {
+          offset++
+        } else {
+          // Running status: reuse the previous status byte
+          status = runningStatus
+        }
+
+        if (status === 0xFF) {
+          const type = view.getUint8(offset++)
+          const length = readVarLength()
+          if (type === 0x51 && length === 3) {
+            const microsecondsPerQuarter = (view.getUint8(offset) << 16) | (view.getUint8(offset + 1) << 8) | view.getUint8(offset + 2)
+            tempos.push({ tick, bpm: 60000000 / microsecondsPerQuarter })
+          } else if (type === 0x58 && length >= 2) {
+            timeSignatures.push({ tick, numerator: view.getUint8(offset), denominator: Math.pow(2, view.getUint8(offset + 1)) })
+          }
+          offset += length
+        } else if (status === 0xF0 || status === 0xF7) {
+          offset += readVarLength()
+        } else {
+          runningStatus = status
+          const type = status & 0xF0
+          const channel = status & 0x0F
+          const data1 = view.getUint8(offset++)
+          const data2 = type === 0xC0 || type === 0xD0 ? 0 : view.getUint8(offset++)
+
+          // Note-on with velocity 0 is a note-off
+          if (type === 0x90 && data2 > 0) {
+            notes.push({ tick, note: data1, velocity: data2, channel })
+          }
+        }
+      }
+
+      offset = chunkEnd
+    }
+
+    notes.sort((a, b) => a.tick - b.tick)
+    tempos.sort((a, b) => a.tick - b.tick)
+    timeSignatures.sort((a, b) => a.tick - b.tick)
+
+    return { format, division, notes, tempos, timeSignatures }
+  }
+
+  /**
+   * Convert a parsed MIDI file to a drum pattern
+   * Notes are quantized to 16th-note steps; the pattern is as many bars as the notes need (max 256 steps)
+   * @param {Object} midi - Parsed file from parse()
+   * @param {Object} options - { noteMap, channel } noteMap defaults to getNoteMap();
+   *   channel (0-15) defaults to channel 10 when it has notes, otherwise every channel
+   * @returns {Object} { hits: { trackIndex: [{ step, velocity }] }, stepCount, tempo, timeSignature, skipped }
+   */
+  const toPattern = (midi, options = {}) => {
+    const map = options.noteMap || getNoteMap()
+    let channel = options.channel ?? null
+    if (channel === null && midi.notes.some(n => n.channel === DRUM_CHANNEL)) {
+      channel = DRUM_CHANNEL
+    }
+
+    const ticksPerStep = midi.division / 4
+    const tempo = midi.tempos.length > 0 ? midi.tempos[0].bpm : 120
+
+    // Use the first time signature, if the sequencer supports it
+    const signature = midi.timeSignatures[0]
+    const timeSignatureId = signature ? `${signature.numerator}/${signature.denominator}` : '4/4'
+    const timeSignature = Sequencer.parseTimeSignature(timeSignatureId) ? timeSignatureId : '4/4'
+    const { stepsPerBar } = Sequencer.getMeter(timeSignature, '16')
+
+    const hits = {}
+    let lastStep = 0
+    let skipped = 0
+
+    midi.notes.forEach(({ tick, note, velocity, channel: noteChannel }) => {
+      const trackIndex = map[note]
+      const step = Math.round(tick / ticksPerStep)
+
+      if ((channel !== null && noteChannel !== channel) || trackIndex === undefined || step >= Sequencer.MAX_STEPS) {
+        skipped++
+        return
+      }
+
+      if (!hits[trackIndex]) hits[trackIndex] = {}
+      // Keep the loudest hit when several notes land on the same step
+      hits[trackIndex][step] = Math.max(hits[trackIndex][step] || 0, velocity / 127)
+      lastStep = Math.max(lastStep, step)
+    })
+
+    const bars = Math.ceil((lastStep + 1) / stepsPerBar)
+    const stepCount = Math.max(Sequencer.MIN_STEPS, Math.min(Sequencer.MAX_STEPS, Math.ceil(bars * stepsPerBar)))
+
+    const result = {}
+    Object.entries(hits).forEach(([trackIndex, steps]) => {
+      result[trackIndex] = Object.entries(steps).map(([step, value]) => ({ step: Number(step), velocity: value }))
+    })
+
+    return { hits: result, stepCount, tempo, timeSignature, skipped }
+  }
+
+  // Public API
+  return {
+    encodeSegments,
+    parse,
+    toPattern,
+    getNoteMap,
+    setNoteMap,
+    getDefaultNoteMap,
+    GM_DRUM_NOTES
+  }
+})()
@@ -0,0 +1,326 @@
+/**
+ * Web Drum Machine & Sample Recorder
+ * Copyright (C) 2025 maddog75
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * MIDI Input Module
+ * Plays drum tracks from MIDI pad controllers and records hits into the pattern
+ */
+
+const MIDIInput = (() => {
+  // Private variables
+  let midiAccess = null
+  let noteMap = null // MIDI note -> drum track index (0-15), see getMap()
+  let recordArmed = false
+  let learnTrackIndex = null // Drum track waiting for its note in learn mode
+  let listeners = {}
+
+  /**
+   * Get the live note map, starting from the GM mapping
+   * (built on first use: the default instruments are not known while scripts load)
+   * @returns {Object} Map of MIDI note number -> drum track index
+   */
+  const getMap = () => {
+    if (!noteMap) {
+      noteMap = MIDIFile.getDefaultNoteMap()
+    }
+    return noteMap
+  }
+
+  /**
+   * Initialize Web MIDI input
+   * @param {Object} access - Optional MIDIAccess object (for tests or an existing connection)
+   * @returns {Promise<boolean>} True if MIDI is available
+   */
+  const init = async (access = null) => {
+    try {
+      if (access) {
+        midiAccess = access
+      } else if (!midiAccess) {
+        if (typeof navigator === 'undefined' || !navigator.requestMIDIAccess) {
+          console.warn('Web MIDI is not supported in this browser')
+          return false
+        }
+        midiAccess = await navigator.requestMIDIAccess()
+      }
+    } catch (error) {
+      console.error('Failed to access MIDI devices:', error)
+      return false
+    }
+
+    connectInputs()
+
+    // Pick up devices that are plugged in later
+    midiAccess.onstatechange = () => {
+      connectInputs()
+      emit('inputsChanged', getInputs())
+    }
+
+    console.log(`MIDI input initialized (${getInputs().length} input(s))`)
+    emit('inputsChanged', getInputs())
+    return true
+  }
+
+  /**
+   * Listen to every connected MIDI input
+   */
+  const connectInputs = () => {
+    if (!midiAccess) return
+
+    midiAccess.inputs.forEach(input => {
+      input.onmidimessage = (e) => handleMessage(e.data, e.timeStamp)
+    })
+  }
+
+  /**
+   * Get the MIDIAccess object (null until init succeeds)
+   * @returns {Object|null} MIDIAccess
+   */
+  const getMIDIAccess = () => {
+    return midiAccess
+  }
+
+  /**
+   * Get the connected MIDI inputs
+   * @returns {Array<Object>} Inputs { id, name }
+   */
+  const getInputs = () => {
+    if (!midiAccess) return []
+
+    const inputs = []
+    midiAccess.inputs.forEach(input => {
+      inputs.push({ id: input.id, name: input.name || 'MIDI Input' })
+    })
+    return inputs
+  }
+
+  /**
+   * Handle an incoming MIDI message
+   * @param {Uint8Array|Array<number>} data - Raw MIDI bytes
+   * @param {number} timeStamp - Event time (performance.now() clock, optional)
+   */
+  const handleMessage = (data, timeStamp = null) => {
+    if (!data || data.length === 0) return
+
+    // Other modules (e.g. clock sync) can listen to every message
+    emit('message', { data, timeStamp })
+
+    const type = data[0] & 0xF0
+    const note = data[1]
+    const velocity = data[2]
+
+    // Only note-on with a velocity triggers (velocity 0 is a note-off)
+    if (type !== 0x90 || !velocity) return
+
+    // Learn mode: the next note is assigned to the waiting track
+    if (learnTrackIndex !== null) {
+      learnNote(note)
+      return
+    }
+
+    const trackIndex = getMap()[note]
+    if (trackIndex === undefined) return
+
+    triggerTrack(trackIndex, velocity / 127, note, timeStamp)
+  }
+
+  /**
+   * Play a drum track and record it if armed
+   * A recording pass is one undoable edit (hits less than a second apart merge)
+   * @param {number} trackIndex - Drum track index (0-15)
+   * @param {number} velocity - Hit velocity (0.0 - 1.0)
+   * @param {number} note - MIDI note that triggered it
+   * @param {number|null} timeStamp - Event time (performance.now() clock, null = now)
+   */
+  const triggerTrack = (trackIndex, velocity, note, timeStamp = null) => {
+    const instrumentId = Sequencer.getTrackInstrument(trackIndex)
+    AudioEngine.playDrum(instrumentId, null, velocity)
+
+    // Quantize into the pattern at the step nearest to when the pad was hit
+    let step = -1
+    if (recordArmed && Sequencer.getIsPlaying()) {
+      const time = timeStamp === null ? AudioEngine.getCurrentTime() : AudioEngine.performanceToContextTime(timeStamp)
+      const defaultInstrumentId = AudioEngine.getDefaultInstruments()[trackIndex]
+      step = History.perform('Record hits', ['sequencer'], () => {
+        return Sequencer.recordHit(defaultInstrumentId, time, velocity)
+      }, { merge: 'record' })
+      SongMode.saveCurrentPattern()
+    }
+
+    emit('noteTriggered', { trackIndex, note, velocity, step })
+  }
+
+  /**
+   * Assign a note to the track waiting in learn mode
+   * The track's previous notes are replaced
+   * @param {number} note - MIDI note number
+   */
+  const learnNote = (note) => {
+    const trackIndex = learnTrackIndex
+    learnTrackIndex = null
+
+    const map = getMap()
+    Object.keys(map).forEach(mappedNote => {
+      if (map[mappedNote] === trackIndex) {
+        delete map[mappedNote]
+      }
+    })
+    map[note] = trackIndex
+
+    emit('noteLearned', { trackIndex, note })
+  }
+
+  /**
+   * Start learn mode: the next incoming note is mapped to a drum track
+   * @param {number} trackIndex - Drum track index (0-15)
+   */
+  const startLearn = (trackIndex) => {
+    if (trackIndex < 0 || trackIndex >= 16) return
+
+    learnTrackIndex = trackIndex
+    emit('learnStarted', { trackIndex })
+  }
+
+  /**
+   * Cancel learn mode
+   */
+  const cancelLearn = () => {
+    if (learnTrackIndex === null) return
+
+    learnTrackIndex = null
+    emit('learnCancelled')
+  }
+
+  /**
+   * Get the track waiting in learn mode
+   * @returns {number|null} Drum track index or null
+   */
+  const getLearnTrack = () => {
+    return learnTrackIndex
+  }
+
+  /**
+   * Get the notes mapped to a drum track
+   * @param {number} trackIndex - Drum track index (0-15)
+   * @returns {Array<number>} MIDI note numbers
+   */
+  const getTrackNotes = (trackIndex) => {
+    const map = getMap()
+    return Object.keys(map)
+      .filter(note => map[note] === trackIndex)
+      .map(Number)
+      .sort((a, b) => a - b)
+  }
+
+  /**
+   * Get the note-to-track mapping
+   * @returns {Object} Map of MIDI note number -> drum track index
+   */
+  const getNoteMap = () => {
+    return { ...getMap() }
+  }
+
+  /**
+   * Set the note-to-track mapping
+   * @param {Object|null} map - Map of MIDI note number -> drum track index (null restores the GM mapping)
+   */
+  const setNoteMap = (map) => {
+    noteMap = map ? { ...map } : MIDIFile.getDefaultNoteMap()
+    emit('noteMapChanged', getNoteMap())
+  }
+
+  /**
+   * Arm or disarm step recording
+   * @param {boolean} armed - Record incoming hits into the pattern while playing
+   */
+  const setRecordArmed = (armed) => {
+    recordArmed = !!armed
+    emit('recordArmChanged', recordArmed)
+  }
+
+  /**
+   * Get record arm state
+   * @returns {boolean} Record armed
+   */
+  const getRecordArmed = () => {
+    return recordArmed
+  }
+
+  /**
+   * Export settings for session storage
+   * @returns {Object} MIDI input settings
+   */
+  const exportSettings = () => {
+    return {
+      noteMap: getNoteMap()
+    }
+  }
+
+  /**
+   * Import settings from session storage
+   * @param {Object} settings - MIDI input settings
+   */
+  const importSettings = (settings) => {
+    if (settings && settings.noteMap) {
+      setNoteMap(settings.noteMap)
+    }
+  }
+
+  /**
+   * Event listener system
+   */
+  const on = (event, callback) => {
+    if (!listeners[event]) {
+      listeners[event] = []
+    }
+    listeners[event].push(callback)
+  }
+
+  const off = (event, callback) => {
+    if (!listeners[event]) return
+
+    listeners[event] = listeners[event].filter(cb => cb !== callback)
+  }
+
+  const emit = (event, data) => {
+    if (!listeners[event]) return
+
+    listeners[event].forEach(callback => {
+      callback(data)
+    })
+  }
+
+  // Public API
+  return {
+    init,
+    getMIDIAccess,
+    getInputs,
+    handleMessage,
+    startLearn,
+    cancelLearn,
+    getLearnTrack,
+    getTrackNotes,
+    getNoteMap,
+    setNoteMap,
+    setRecordArmed,
+    getRecordArmed,
+    exportSettings,
+    importSettings,
+    on,
+    off
+  }
+})()
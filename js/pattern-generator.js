@@ -0,0 +1,414 @@
+/**
+ * Web Drum Machine & Sample Recorder
+ * Copyright (C) 2025 maddog75
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Pattern Generator Module
+ * Builds new drum parts algorithmically: Euclidean rhythms, and genre-styled patterns,
+ * variations and fills learned from the preset library
+ */
+
+const PatternGenerator = (() => {
+  const EUCLID_CYCLE = 16 // Cycle length for instruments without a default
+  const BAR_STEPS = 16 // Steps per bar in the preset library (positions the genre model learns)
+  const GENRE_PRIOR = 0.5 // Weight of the all-genre model mixed into each genre (lets new hits appear)
+  const ANCHOR = 'kick1' // Other instruments are learned relative to this one (e.g. snare avoids the kick)
+  const FILL_VOICES = ['snare1', 'tomHigh', 'tomMid', 'tomLow'] // Fill voices, high to low
+  const FILL_MUTED = ['hihatClosed', 'hihatOpen', 'ride', 'shaker'] // Timekeepers that drop out under a fill
+  const FILL_KICKS = ['kick1', 'kick2'] // Kicks that only keep their on-beat hits under a fill
+
+  // Learned genre model (built from the presets on first use)
+  let genreModel = null
+
+  // Euclidean defaults for "generate all", keyed by default instrument ID
+  // { hits, steps, rotation }; instruments not listed are cleared
+  const EUCLID_DEFAULTS = {
+    kick1: { hits: 4, steps: 16, rotation: 0 },     // Four on the floor
+    snare1: { hits: 2, steps: 16, rotation: 4 },    // Backbeat on 2 and 4
+    hihatClosed: { hits: 8, steps: 16, rotation: 0 }, // Straight 8ths
+    hihatOpen: { hits: 1, steps: 8, rotation: 7 },  // Lift at the end of each half bar
+    rimshot: { hits: 3, steps: 8, rotation: 0 },    // Tresillo
+    shaker: { hits: 5, steps: 16, rotation: 2 },
+    cowbell: { hits: 5, steps: 16, rotation: 0 }
+  }
+
+  /**
+   * Spread hits as evenly as possible over a number of steps (Euclidean rhythm)
+   * Uses the Bresenham form of Bjorklund's algorithm, so the first hit lands on step 0
+   * before rotation, e.g. euclid(3, 8) = x..x..x.
+   * @param {number} hits - Number of hits (clamped to 0-steps)
+   * @param {number} steps - Cycle length in steps
+   * @param {number} rotation - Steps to shift the rhythm later (wraps around)
+   * @returns {Array<boolean>} One entry per step, true for a hit
+   */
+  const euclid = (hits, steps, rotation = 0) => {
+    const length = Math.max(1, Math.round(steps))
+    const count = Math.max(0, Math.min(length, Math.round(hits)))
+    const shift = ((Math.round(rotation) % length) + length) % length
+
+    const rhythm = []
+    for (let i = 0; i < length; i++) {
+      const source = (i - shift + length) % length
+      rhythm.push(count > 0 && (source * count) % length < count)
+    }
+    return rhythm
+  }
+
+  /**
+   * Get the Euclidean defaults for an instrument
+   * @param {string} instrumentId - Default instrument ID
+   * @returns {Object} { hits, steps, rotation } (hits is 0 for instruments without a default)
+   */
+  const getEuclidDefaults = (instrumentId) => {
+    return { ...(EUCLID_DEFAULTS[instrumentId] || { hits: 0, steps: EUCLID_CYCLE, rotation: 0 }) }
+  }
+
+  /**
+   * Genre model structure (built once from Presets.getDrumPatterns()):
+   * {
+   *   genres: { [genre]: { [instrumentId]: Array<Stats> } },  // One Stats per bar position (0-15)
+   *   all: { [instrumentId]: Array<Stats> }                  // Every genre pooled (the prior)
+   * }
+   * Stats: { hits, total, withAnchor: { hits, total }, withoutAnchor: { hits, total } }
+   * The anchor counts record how often an instrument plays when the kick does or doesn't,
+   * so generated snares, claps and hats keep their genre's relationship to the kick
+   */
+
+  /**
+   * Create empty per-position statistics
+   * @returns {Array<Object>} One Stats object per bar position
+   */
+  const createStats = () => {
+    return Array.from({ length: BAR_STEPS }, () => ({
+      hits: 0,
+      total: 0,
+      withAnchor: { hits: 0, total: 0 },
+      withoutAnchor: { hits: 0, total: 0 }
+    }))
+  }
+
+  /**
+   * Learn per-genre, per-instrument step probabilities from the preset library
+   * @returns {Object} Genre model
+   */
+  const buildGenreModel = () => {
+    const instruments = AudioEngine.getDefaultInstruments()
+    const model = { genres: {}, all: {} }
+    instruments.forEach(instrumentId => {
+      model.all[instrumentId] = createStats()
+    })
+
+    Presets.getDrumPatterns().forEach(preset => {
+      if (!preset.genre || preset.genre === 'Custom') return
+
+      if (!model.genres[preset.genre]) {
+        model.genres[preset.genre] = {}
+        instruments.forEach(instrumentId => {
+          model.genres[preset.genre][instrumentId] = createStats()
+        })
+      }
+
+      const anchorSteps = preset.pattern[ANCHOR] || []
+      const bars = Math.floor(anchorSteps.length / BAR_STEPS)
+      instruments.forEach(instrumentId => {
+        const steps = preset.pattern[instrumentId] || []
+        for (let bar = 0; bar < bars; bar++) {
+          for (let position = 0; position < BAR_STEPS; position++) {
+            const step = bar * BAR_STEPS + position
+            const hit = steps[step] > 0 ? 1 : 0
+            const anchorKey = anchorSteps[step] > 0 ? 'withAnchor' : 'withoutAnchor'
+            const targets = [model.genres[preset.genre][instrumentId], model.all[instrumentId]]
+
+            targets.forEach(stats => {
+              stats[position].hits += hit
+              stats[position].total++
+              stats[position][anchorKey].hits += hit
+              stats[position][anchorKey].total++
+            })
+          }
+        }
+      })
+    })
+
+    return model
+  }
+
+  /**
+   * Get the genre model, building it on first use
+   * @returns {Object} Genre model
+   */
+  const getGenreModel = () => {
+    if (!genreModel) {
+      genreModel = buildGenreModel()
+    }
+    return genreModel
+  }
+
+  /**
+   * Get the genres the generator has learned
+   * @returns {Array<string>} Genre names, sorted
+   */
+  const getGenres = () => {
+    return Object.keys(getGenreModel().genres).sort()
+  }
+
+  /**
+   * Smoothed hit rate: genre counts pulled slightly toward the all-genre rate
+   * @param {Object} counts - { hits, total } for the genre
+   * @param {number} prior - All-genre hit rate
+   * @returns {number} Probability (0-1)
+   */
+  const smoothRate = (counts, prior) => {
+    return (counts.hits + GENRE_PRIOR * prior) / (counts.total + GENRE_PRIOR)
+  }
+
+  /**
+   * Probability of an instrument playing at a bar position
+   * @param {string} genre - Genre name
+   * @param {string} instrumentId - Default instrument ID
+   * @param {number} position - Bar position (0-15)
+   * @param {boolean|null} anchorHit - Whether the kick plays here (null = ignore the kick)
+   * @returns {number} Probability (0-1)
+   */
+  const getHitProbability = (genre, instrumentId, position, anchorHit = null) => {
+    const model = getGenreModel()
+    const genreStats = model.genres[genre]?.[instrumentId]?.[position]
+    const allStats = model.all[instrumentId]?.[position]
+    if (!allStats) return 0
+
+    const prior = allStats.total > 0 ? allStats.hits / allStats.total : 0
+    if (!genreStats) return prior
+
+    if (anchorHit !== null && instrumentId !== ANCHOR) {
+      const key = anchorHit ? 'withAnchor' : 'withoutAnchor'
+      const allConditional = allStats[key].total > 0 ? allStats[key].hits / allStats[key].total : prior
+      if (genreStats[key].total > 0) {
+        return smoothRate(genreStats[key], allConditional)
+      }
+    }
+    return smoothRate(genreStats, prior)
+  }
+
+  /**
+   * Roll every instrument for one step, the kick first so the others can follow it
+   * @param {string} genre - Genre name
+   * @param {number} step - Step number (its position in the bar is step % 16)
+   * @param {Function} random - Random number generator
+   * @param {Object} tracks - Tracks to write into { [instrumentId]: Array<number> }
+   * @param {Array<string>} instruments - Instruments to roll (others are left alone)
+   */
+  const rollStep = (genre, step, random, tracks, instruments) => {
+    const position = step % BAR_STEPS
+
+    if (instruments.includes(ANCHOR)) {
+      tracks[ANCHOR][step] = random() < getHitProbability(genre, ANCHOR, position) ? 1 : 0
+    }
+    const anchorHit = tracks[ANCHOR]?.[step] > 0
+
+    instruments.forEach(instrumentId => {
+      if (instrumentId === ANCHOR) return
+      tracks[instrumentId][step] = random() < getHitProbability(genre, instrumentId, position, anchorHit) ? 1 : 0
+    })
+  }
+
+  /**
+   * Generate a new pattern in the style of a genre
+   * The first bar is rolled from the genre model; later bars repeat it with light variation
+   * @param {string} genre - Genre name (see getGenres)
+   * @param {Object} options - { seed, stepCount }
+   * @returns {Object} Drum tracks { [instrumentId]: Array<number> } (at least 48 steps, silent past stepCount)
+   */
+  const generateGenrePattern = (genre, { seed = SeededRandom.DEFAULT_SEED, stepCount = BAR_STEPS } = {}) => {
+    const random = SeededRandom.create(seed)
+    const instruments = AudioEngine.getDefaultInstruments()
+    const tracks = {}
+    instruments.forEach(instrumentId => {
+      tracks[instrumentId] = new Array(Math.max(48, stepCount)).fill(0)
+    })
+
+    const firstBar = Math.min(BAR_STEPS, stepCount)
+    for (let step = 0; step < firstBar; step++) {
+      rollStep(genre, step, random, tracks, instruments)
+    }
+    for (let step = firstBar; step < stepCount; step++) {
+      instruments.forEach(instrumentId => {
+        tracks[instrumentId][step] = tracks[instrumentId][step % BAR_STEPS]
+      })
+    }
+
+    return stepCount > BAR_STEPS
+      ? generateVariation(tracks, genre, { seed: seed + 1, stepCount, amount: 0.1, fromStep: BAR_STEPS })
+      : tracks
+  }
+
+  /**
+   * Generate a variation of a pattern: some steps are re-rolled from the genre model
+   * @param {Object} tracks - Drum tracks { [instrumentId]: Array<number> } (not modified)
+   * @param {string|null} genre - Genre to vary toward (null = the closest genre, see detectGenre)
+   * @param {Object} options - { seed, stepCount, amount (0-1 share of steps re-rolled), fromStep }
+   * @returns {Object} New drum tracks (velocities of untouched steps are kept)
+   */
+  const generateVariation = (tracks, genre, { seed = SeededRandom.DEFAULT_SEED, stepCount = BAR_STEPS, amount = 0.25, fromStep = 0 } = {}) => {
+    const random = SeededRandom.create(seed)
+    const instruments = AudioEngine.getDefaultInstruments()
+    const styleGenre = genre || detectGenre(tracks, stepCount)
+    const varied = copyTracks(tracks, instruments)
+
+    for (let step = fromStep; step < stepCount; step++) {
+      // Keep the downbeat kick so the variation still lands on the one
+      const rerolled = instruments.filter(instrumentId => {
+        return random() < amount && !(instrumentId === ANCHOR && step % BAR_STEPS === 0)
+      })
+      const before = {}
+      rerolled.forEach(instrumentId => {
+        before[instrumentId] = varied[instrumentId][step]
+      })
+
+      rollStep(styleGenre, step, random, varied, rerolled)
+
+      // A hit that survives the re-roll keeps its velocity
+      rerolled.forEach(instrumentId => {
+        if (varied[instrumentId][step] > 0 && before[instrumentId] > 0) {
+          varied[instrumentId][step] = before[instrumentId]
+        }
+      })
+    }
+
+    return varied
+  }
+
+  /**
+   * Generate a fill over the last steps of a pattern
+   * Hats and other timekeepers drop out and a snare/tom roll descends toward the downbeat,
+   * busier when the pattern itself is busy, with a crescendo into the next bar
+   * @param {Object} tracks - Drum tracks { [instrumentId]: Array<number> } (not modified)
+   * @param {Object} options - { seed, stepCount, length (steps of fill) }
+   * @returns {Object} New drum tracks
+   */
+  const generateFill = (tracks, { seed = SeededRandom.DEFAULT_SEED, stepCount = BAR_STEPS, length = 4 } = {}) => {
+    const random = SeededRandom.create(seed)
+    const instruments = AudioEngine.getDefaultInstruments()
+    const filled = copyTracks(tracks, instruments)
+    const fillLength = Math.max(1, Math.min(stepCount, Math.round(length)))
+    const start = stepCount - fillLength
+
+    // Density follows the pattern: a sparse groove gets a sparse fill
+    let hits = 0
+    instruments.forEach(instrumentId => {
+      for (let step = 0; step < stepCount; step++) {
+        if (tracks[instrumentId]?.[step] > 0) hits++
+      }
+    })
+    const density = Math.max(0.45, Math.min(0.9, hits / stepCount / 3))
+
+    // Use the snare the pattern plays (snare2 if it never plays snare1)
+    const snare = countHits(tracks.snare1, stepCount) === 0 && countHits(tracks.snare2, stepCount) > 0 ? 'snare2' : 'snare1'
+    const voices = [snare, ...FILL_VOICES.slice(1)].filter(instrumentId => filled[instrumentId])
+
+    for (let step = start; step < stepCount; step++) {
+      FILL_MUTED.forEach(instrumentId => {
+        if (filled[instrumentId]) filled[instrumentId][step] = 0
+      })
+      voices.forEach(instrumentId => {
+        filled[instrumentId][step] = 0
+      })
+
+      // 8th-note positions almost always play, 16ths follow the density
+      const progress = (step - start) / fillLength
+      const onEighth = step % 2 === 0
+      if (random() < (onEighth ? 0.9 : density)) {
+        // Walk down the voices across the fill, with a little jitter
+        const index = Math.min(voices.length - 1, Math.max(0, Math.floor(progress * voices.length + (random() - 0.5))))
+        filled[voices[index]][step] = Math.round((0.6 + 0.4 * progress) * 100) / 100
+      }
+
+      // Kicks in the fill only stay on the beat
+      if (step % 4 !== 0) {
+        FILL_KICKS.forEach(instrumentId => {
+          if (filled[instrumentId]) filled[instrumentId][step] = 0
+        })
+      }
+    }
+
+    return filled
+  }
+
+  /**
+   * Find the genre a pattern sounds most like
+   * Scores every genre by how likely its model is to produce the pattern's first bar
+   * @param {Object} tracks - Drum tracks { [instrumentId]: Array<number> }
+   * @param {number} stepCount - Steps in the pattern
+   * @returns {string} Genre name
+   */
+  const detectGenre = (tracks, stepCount = BAR_STEPS) => {
+    const instruments = AudioEngine.getDefaultInstruments()
+    const steps = Math.min(BAR_STEPS, stepCount)
+
+    let bestGenre = null
+    let bestScore = -Infinity
+    getGenres().forEach(genre => {
+      let score = 0
+      for (let step = 0; step < steps; step++) {
+        const anchorHit = tracks[ANCHOR]?.[step] > 0
+        instruments.forEach(instrumentId => {
+          const probability = Math.max(0.02, Math.min(0.98, getHitProbability(genre, instrumentId, step, anchorHit)))
+          score += Math.log(tracks[instrumentId]?.[step] > 0 ? probability : 1 - probability)
+        })
+      }
+      if (score > bestScore) {
+        bestScore = score
+        bestGenre = genre
+      }
+    })
+    return bestGenre
+  }
+
+  /**
+   * Copy drum tracks (missing tracks become silent)
+   * @param {Object} tracks - Drum tracks
+   * @param {Array<string>} instruments - Instrument IDs to copy
+   * @returns {Object} Copied tracks
+   */
+  const copyTracks = (tracks, instruments) => {
+    const copy = {}
+    instruments.forEach(instrumentId => {
+      copy[instrumentId] = tracks[instrumentId] ? [...tracks[instrumentId]] : new Array(48).fill(0)
+    })
+    return copy
+  }
+
+  /**
+   * Count the hits in the first steps of a track
+   * @param {Array<number>} steps - Track steps
+   * @param {number} stepCount - Steps to count
+   * @returns {number} Number of hits
+   */
+  const countHits = (steps, stepCount) => {
+    return (steps || []).slice(0, stepCount).filter(value => value > 0).length
+  }
+
+  // Public API
+  return {
+    euclid,
+    getEuclidDefaults,
+    getGenres,
+    generateGenrePattern,
+    generateVariation,
+    generateFill,
+    detectGenre
+  }
+})()
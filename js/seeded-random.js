@@ -0,0 +1,59 @@
+/**
+ * Web Drum Machine & Sample Recorder
+ * Copyright (C) 2025 maddog75
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Seeded Random Module
+ * Repeatable pseudo-random numbers, so offline renders and exports come out the same every time
+ */
+
+const SeededRandom = (() => {
+  const DEFAULT_SEED = 0x5EED
+
+  /**
+   * Create a random number generator (mulberry32)
+   * The same seed always produces the same sequence
+   * @param {number} seed - 32-bit integer seed
+   * @returns {Function} Generator returning numbers in [0, 1) like Math.random
+   */
+  const create = (seed = DEFAULT_SEED) => {
+    let state = seed >>> 0
+
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0
+      let t = state
+      t = Math.imul(t ^ (t >>> 15), t | 1)
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+  }
+
+  /**
+   * Pick a fresh seed (for live playback, where repeats aren't wanted)
+   * @returns {number} 32-bit integer seed
+   */
+  const randomSeed = () => {
+    return Math.floor(Math.random() * 4294967296) >>> 0
+  }
+
+  // Public API
+  return {
+    create,
+    randomSeed,
+    DEFAULT_SEED
+  }
+})()
@@ -26,7 +26,7 @@ const Sequencer = (() => {
   let currentPattern = null
   let tempo = 120
   let timeSignature = '4/4'
-  let stepCount = 16 // Number of steps in the sequence (4-48)
+  let stepCount = 16 // Number of steps in the sequence (4-256)
   let currentStep = 0
   let isPlaying = false
   let isPaused = false  // Track if paused (vs stopped) for resume functionality
@@ -36,6 +36,81 @@ const Sequencer = (() => {
   let lookAhead = 25 // How often to check for notes to schedule (25ms)
   let listeners = {}
   let trackInstruments = null  // Per-pattern instrument assignments (16 elements)
+  let swing = 50  // Swing amount (50 = straight, 75 = maximum)
+  let groove = 'straight'  // Groove template ID (see Grooves module)
+  let barCount = 0  // Bars completed since playback started (for trig conditions)
+  let tickCount = 0  // Steps played since playback started (for per-track lengths)
+  let fillActive = false  // Fill mode (for 'fill' / '!fill' trig conditions)
+  let tapTimes = []  // Recent tap tempo timestamps (ms)
+  let tempoRamp = null  // Running tempo ramp { from, target, curve, steps, tick }
+  let overridePattern = null  // Pattern played instead of the edited one (e.g. a chain auto fill)
+  let liveRandom = SeededRandom.create(SeededRandom.randomSeed())  // Probability rolls during live playback
+  let skippedHits = new Set()  // Recorded live hits the scheduler must not play again ('trackId:position')
+
+  // Pattern length: tracks are stored at least MIN_TRACK_STEPS long (the original fixed size,
+  // so older sessions and presets load unchanged) and grow with the step count up to MAX_STEPS
+  const MIN_STEPS = 4
+  const MAX_STEPS = 256
+  const MIN_TRACK_STEPS = 48
+
+  // Tempo range (BPM, 0.1 BPM precision)
+  const MIN_TEMPO = 30
+  const MAX_TEMPO = 300
+  const TAP_COUNT = 4  // Taps averaged by tap tempo
+  const TAP_TIMEOUT = 2000  // ms - a longer gap starts a new tap sequence
+  const TEMPO_RAMP_CURVES = ['linear', 'exponential']
+
+  // Meter: any N/D time signature, and the note value of one step (stored in pattern.stepResolution)
+  const MAX_NUMERATOR = 32
+  const DENOMINATORS = [1, 2, 4, 8, 16, 32]
+  const STEP_RESOLUTIONS = {  // Step length in quarter notes ('t' = triplet)
+    '8': 1 / 2,
+    '16': 1 / 4,
+    '32': 1 / 8,
+    '8t': 1 / 3,
+    '16t': 1 / 6
+  }
+  const DEFAULT_RESOLUTION = '16'
+
+  // Step velocity: 0 = off, 0.01-1.0 = hit velocity (legacy patterns use 1)
+  const DEFAULT_VELOCITY = 1.0
+  const ACCENT_BOOST = 1.3  // Velocity multiplier for steps on the accent row
+  const MAX_CONDITION_BARS = 8  // Longest 'A:B' trig condition cycle
+  const MAX_RATCHET = 8  // Most retriggers per step
+  const RATCHET_RAMPS = ['up', 'down']
+  const RATCHET_RAMP_FLOOR = 0.3  // Velocity of the quietest retrigger in a ramp
+  const TRACK_RATES = [0.25, 0.5, 0.75, 1, 1.5, 2]  // Per-track clock multipliers (track steps per master step)
+
+  // Mixer parameters a step can lock, with their ranges (same units as AudioEngine mixer settings)
+  const LOCK_RANGES = {
+    pitch: { min: -12, max: 12 },   // Semitones
+    pan: { min: -1, max: 1 },       // -1 (L) to +1 (R)
+    decay: { min: 0, max: 100 },    // % of sample length
+    length: { min: 0, max: 2 },     // Seconds
+    bass: { min: -12, max: 12 },    // dB at 100Hz
+    treble: { min: -12, max: 12 }   // dB at 10kHz
+  }
+
+  /**
+   * Trig structure (optional per-step settings, stored sparsely in pattern.trigs[trackId][step]):
+   * {
+   *   probability: number,   // 0-100 % chance the step plays (omitted = always)
+   *   condition: string,     // 'A:B' = play on bar A of every B bars, 'fill', '!fill' (omitted = always)
+   *   ratchet: number,       // 2-8 retriggers spread evenly across the step (omitted = 1)
+   *   ratchetRamp: string,   // 'up' or 'down' velocity ramp across the retriggers (omitted = flat)
+   *   locks: Object          // Parameter locks { pitch, pan, decay, length, bass, treble } that override
+   *                          // the track's mixer settings for this step (drum tracks only, omitted = none)
+   * }
+   *
+   * Track scale (optional per-track length and clock, stored in pattern.trackScales[trackId]):
+   * {
+   *   length: number,        // Steps before the track loops (1-256, omitted = pattern step count)
+   *   rate: number           // Track steps per master step, one of TRACK_RATES (omitted = 1)
+   * }
+   *
+   * Step resolution (pattern.stepResolution): note value of one step, a key of STEP_RESOLUTIONS
+   * (omitted = 16th notes, like every preset)
+   */
 
   /**
    * Initialize track instruments with defaults
@@ -67,8 +142,11 @@ const Sequencer = (() => {
       loadPattern(patterns[0])
     }
 
-    // Initialize loop tracks in pattern
+    // Initialize loop tracks, accent row, trigs and track scales in pattern
     initializeLoopTracks()
+    initializeAccentRow()
+    initializeTrigs()
+    initializeTrackScales()
   }
 
   /**
@@ -120,18 +198,86 @@ const Sequencer = (() => {
     if (!currentPattern) return
 
     // Add 8 loop tracks if they don't exist (4 global + 4 pattern-specific)
-    // Always create with max size (48 steps)
     for (let i = 1; i <= 8; i++) {
       const loopId = `loop${i}`
       if (!currentPattern.pattern[loopId]) {
-        currentPattern.pattern[loopId] = new Array(48).fill(0)
-      } else {
-        // Ensure existing arrays are at least 48 steps
-        while (currentPattern.pattern[loopId].length < 48) {
-          currentPattern.pattern[loopId].push(0)
-        }
+        currentPattern.pattern[loopId] = new Array(MIN_TRACK_STEPS).fill(0)
       }
     }
+    ensureTrackLength()
+  }
+
+  /**
+   * Initialize the per-pattern accent row (one flag per step)
+   */
+  const initializeAccentRow = () => {
+    if (!currentPattern) return
+
+    if (!Array.isArray(currentPattern.accent)) {
+      currentPattern.accent = new Array(MIN_TRACK_STEPS).fill(0)
+    }
+    ensureTrackLength()
+  }
+
+  /**
+   * Pad every track and the accent row so steps up to a length can be edited
+   * Tracks are never shortened, so steps past a shorter step count are kept
+   * @param {number} length - Steps needed (defaults to the step count and track lengths)
+   */
+  const ensureTrackLength = (length = getLongestTrack()) => {
+    if (!currentPattern) return
+
+    const size = Math.max(MIN_TRACK_STEPS, Math.min(MAX_STEPS, length))
+    const rows = [...Object.values(currentPattern.pattern), currentPattern.accent]
+    rows.forEach(row => {
+      if (!Array.isArray(row)) return
+      while (row.length < size) {
+        row.push(0)
+      }
+    })
+  }
+
+  /**
+   * Get the most steps any track of the current pattern plays
+   * @returns {number} The step count, or a longer per-track length
+   */
+  const getLongestTrack = () => {
+    const lengths = Object.values(currentPattern?.trackScales || {}).map(scale => scale.length || 0)
+    return Math.max(stepCount, ...lengths)
+  }
+
+  /**
+   * Initialize the per-step trig settings map
+   */
+  const initializeTrigs = () => {
+    if (!currentPattern) return
+
+    if (!currentPattern.trigs || typeof currentPattern.trigs !== 'object') {
+      currentPattern.trigs = {}
+    }
+  }
+
+  /**
+   * Initialize the per-track length/rate map
+   */
+  const initializeTrackScales = () => {
+    if (!currentPattern) return
+
+    if (!currentPattern.trackScales || typeof currentPattern.trackScales !== 'object') {
+      currentPattern.trackScales = {}
+    }
+  }
+
+  /**
+   * Normalize a step value to a velocity
+   * Accepts legacy 0/1 and boolean values as well as 0.0-1.0 velocities
+   * @param {number|boolean} value - Raw step value
+   * @returns {number} Velocity (0 = off, rounded to 2 decimals)
+   */
+  const normalizeVelocity = (value) => {
+    const velocity = Number(value)
+    if (!velocity || velocity < 0) return 0
+    return Math.round(Math.min(1, velocity) * 100) / 100
   }
 
   /**
@@ -149,33 +295,34 @@ const Sequencer = (() => {
         pattern: {}
       }
 
-      // Initialize all instrument tracks with empty 48-step arrays
+      // Initialize all instrument tracks with empty arrays (padded to the step count below)
       instruments.forEach(instrument => {
-        currentPattern.pattern[instrument.id] = new Array(48).fill(0)
+        currentPattern.pattern[instrument.id] = new Array(MIN_TRACK_STEPS).fill(0)
       })
 
-      // Initialize loop tracks
+      // Initialize loop tracks, accent row, trigs and track scales
       initializeLoopTracks()
+      initializeAccentRow()
+      initializeTrigs()
+      initializeTrackScales()
 
       emit('patternLoaded', currentPattern)
       return
     }
 
     currentPattern = JSON.parse(JSON.stringify(pattern)) // Deep clone
-    tempo = pattern.tempo
-
-    // Extend all instrument tracks to 48 steps (max size)
-    const instruments = AudioEngine.getInstruments()
-    instruments.forEach(instrument => {
-      if (currentPattern.pattern[instrument.id]) {
-        while (currentPattern.pattern[instrument.id].length < 48) {
-          currentPattern.pattern[instrument.id].push(0)
-        }
-      }
-    })
+    // A running tempo ramp keeps control of the tempo (song sections reload their pattern every bar)
+    if (!tempoRamp) {
+      tempo = normalizeTempo(pattern.tempo, tempo)
+    }
+    overridePattern = null
 
-    // Ensure loop tracks exist in the loaded pattern
+    // Ensure loop tracks, accent row, trigs and track scales exist in the loaded pattern
+    // (and every track is long enough to edit)
     initializeLoopTracks()
+    initializeAccentRow()
+    initializeTrigs()
+    initializeTrackScales()
 
     emit('patternLoaded', currentPattern)
     emit('tempoChanged', tempo)
@@ -189,15 +336,152 @@ const Sequencer = (() => {
     return JSON.parse(JSON.stringify(currentPattern))
   }
 
+  /**
+   * Clamp a tempo to the supported range, rounded to 0.1 BPM
+   * @param {number} value - Tempo in BPM
+   * @param {number} fallback - Tempo used if value isn't a number
+   * @returns {number} Tempo in BPM (30-300)
+   */
+  const normalizeTempo = (value, fallback = 120) => {
+    const bpm = Number(value)
+    if (value === null || value === undefined || isNaN(bpm)) return fallback
+    return Math.round(Math.max(MIN_TEMPO, Math.min(MAX_TEMPO, bpm)) * 10) / 10
+  }
+
   /**
    * Set tempo
-   * @param {number} newTempo - Tempo in BPM (60-180)
+   * Takes effect from the next step, so changing it while playing keeps the position
+   * Cancels a running tempo ramp
+   * @param {number} newTempo - Tempo in BPM (30-300, 0.1 precision)
    */
   const setTempo = (newTempo) => {
-    tempo = Math.max(60, Math.min(180, newTempo))
+    tempoRamp = null
+    tempo = normalizeTempo(newTempo, tempo)
+    emit('tempoChanged', tempo)
+  }
+
+  /**
+   * Get the tempo part way through a ramp
+   * Linear ramps change by the same BPM every step; exponential ramps by the same ratio,
+   * which sounds even when speeding up or slowing down a lot
+   * @param {number} from - Start tempo in BPM
+   * @param {number} to - Target tempo in BPM
+   * @param {string} curve - 'linear' or 'exponential'
+   * @param {number} position - 0 (start) to 1 (end)
+   * @returns {number} Tempo in BPM (not rounded, so the curve stays smooth)
+   */
+  const getRampTempo = (from, to, curve, position) => {
+    const p = Math.max(0, Math.min(1, position))
+    if (curve === 'exponential') {
+      return from * Math.pow(to / from, p)
+    }
+    return from + (to - from) * p
+  }
+
+  /**
+   * Get the tempo of a step, following the state's tempo ramp if it has one
+   * Each step plays at the tempo reached at its start, so the last step of the ramp is
+   * just short of the target and the step after it lands on it
+   * @param {Object} state - Playback state (tempo, optional tempoRamp { target, curve, steps })
+   * @param {number} tick - Steps since the start of the ramp
+   * @returns {number} Tempo in BPM
+   */
+  const getStepTempo = (state, tick) => {
+    const ramp = state.tempoRamp
+    if (!ramp || !ramp.steps) return state.tempo
+    return getRampTempo(state.tempo, ramp.target, ramp.curve, tick / ramp.steps)
+  }
+
+  /**
+   * Get how long whole bars of a pattern take to play, following any tempo ramp
+   * @param {Object} state - Playback state (tempo, stepCount, optional pattern for its step resolution and tempoRamp)
+   * @param {number} bars - Number of bars
+   * @param {number} fromBar - Bar to start counting from (for ramps)
+   * @returns {number} Duration in seconds
+   */
+  const getPatternDuration = (state, bars = 1, fromBar = 0) => {
+    const stepLength = getStepLength(state.pattern?.stepResolution)
+    let duration = 0
+    for (let tick = fromBar * state.stepCount; tick < (fromBar + bars) * state.stepCount; tick++) {
+      duration += 60.0 / getStepTempo(state, tick) * stepLength
+    }
+    return duration
+  }
+
+  /**
+   * Ramp the tempo from its current value to a target over a number of steps
+   * The ramp starts with the next step to be scheduled and is cancelled by setTempo()
+   * @param {number} target - Tempo to reach in BPM (30-300)
+   * @param {string} curve - 'linear' or 'exponential'
+   * @param {number} steps - Steps the ramp takes
+   */
+  const startTempoRamp = (target, curve, steps) => {
+    const to = normalizeTempo(target, tempo)
+    if (!TEMPO_RAMP_CURVES.includes(curve)) {
+      console.warn(`Unknown tempo ramp curve: ${curve}`)
+      curve = 'linear'
+    }
+    if (!(steps > 0) || to === tempo) {
+      tempoRamp = null
+      return
+    }
+
+    tempoRamp = { from: tempo, target: to, curve, steps: Math.round(steps), tick: 0 }
+    emit('tempoRampStarted', { ...tempoRamp })
+  }
+
+  /**
+   * Get the running tempo ramp
+   * @returns {Object|null} { from, target, curve, steps, tick } or null
+   */
+  const getTempoRamp = () => {
+    return tempoRamp ? { ...tempoRamp } : null
+  }
+
+  /**
+   * Move a running tempo ramp on by one step
+   */
+  const advanceTempoRamp = () => {
+    tempoRamp.tick++
+    tempo = getRampTempo(tempoRamp.from, tempoRamp.target, tempoRamp.curve, tempoRamp.tick / tempoRamp.steps)
+    if (tempoRamp.tick >= tempoRamp.steps) {
+      tempo = tempoRamp.target
+      tempoRamp = null
+    }
     emit('tempoChanged', tempo)
   }
 
+  /**
+   * Nudge the tempo up or down without touching playback position
+   * @param {number} delta - BPM to add (negative to slow down)
+   */
+  const nudgeTempo = (delta) => {
+    setTempo(tempo + delta)
+  }
+
+  /**
+   * Register a tap for tap tempo
+   * The tempo follows the average interval of the last few taps; a long pause starts over
+   * @param {number} time - Tap time in ms (defaults to now)
+   * @returns {number|null} New tempo, or null until there are two taps
+   */
+  const tapTempo = (time = performance.now()) => {
+    const last = tapTimes[tapTimes.length - 1]
+    if (last !== undefined && (time - last > TAP_TIMEOUT || time <= last)) {
+      tapTimes = []
+    }
+
+    tapTimes.push(time)
+    if (tapTimes.length > TAP_COUNT + 1) {
+      tapTimes.shift()
+    }
+    if (tapTimes.length < 2) return null
+
+    const interval = (tapTimes[tapTimes.length - 1] - tapTimes[0]) / (tapTimes.length - 1)
+    setTempo(60000 / interval)
+    return tempo
+  }
+
   /**
    * Get current tempo
    * @returns {number} Current tempo in BPM
@@ -208,13 +492,17 @@ const Sequencer = (() => {
 
   /**
    * Set time signature
-   * @param {string} newTimeSignature - Time signature ('4/4', '3/4', '12/8')
+   * @param {string} newTimeSignature - Any N/D time signature ('4/4', '7/8', '11/16'...)
    */
   const setTimeSignature = (newTimeSignature) => {
-    if (['4/4', '3/4', '12/8'].includes(newTimeSignature)) {
-      timeSignature = newTimeSignature
-      emit('timeSignatureChanged', timeSignature)
+    const signature = parseTimeSignature(newTimeSignature)
+    if (!signature) {
+      console.warn(`Invalid time signature: ${newTimeSignature}`)
+      return
     }
+
+    timeSignature = `${signature.numerator}/${signature.denominator}`
+    emit('timeSignatureChanged', timeSignature)
   }
 
   /**
@@ -225,12 +513,106 @@ const Sequencer = (() => {
     return timeSignature
   }
 
+  /**
+   * Parse an N/D time signature
+   * @param {string} value - Time signature (e.g. '7/8'), N is 1-32 and D a power of two up to 32
+   * @returns {Object|null} { numerator, denominator }, or null if it isn't a valid signature
+   */
+  const parseTimeSignature = (value) => {
+    const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(String(value))
+    if (!match) return null
+
+    const numerator = parseInt(match[1], 10)
+    const denominator = parseInt(match[2], 10)
+    if (numerator < 1 || numerator > MAX_NUMERATOR || !DENOMINATORS.includes(denominator)) return null
+    return { numerator, denominator }
+  }
+
+  /**
+   * Set the step resolution (note value of one step) of the current pattern
+   * Steps keep their positions, so a 16th pattern switched to 8ths plays at half speed
+   * @param {string} resolution - '8', '16', '32', '8t' or '16t'
+   */
+  const setStepResolution = (resolution) => {
+    if (!currentPattern) return
+    if (!(resolution in STEP_RESOLUTIONS)) {
+      console.warn(`Unknown step resolution: ${resolution}`)
+      return
+    }
+
+    if (resolution === DEFAULT_RESOLUTION) {
+      delete currentPattern.stepResolution
+    } else {
+      currentPattern.stepResolution = resolution
+    }
+    emit('stepResolutionChanged', resolution)
+  }
+
+  /**
+   * Get the step resolution of the current pattern
+   * @returns {string} '8', '16', '32', '8t' or '16t'
+   */
+  const getStepResolution = () => {
+    const resolution = currentPattern?.stepResolution
+    return resolution in STEP_RESOLUTIONS ? resolution : DEFAULT_RESOLUTION
+  }
+
+  /**
+   * Get the length of one step
+   * @param {string} resolution - Step resolution (defaults to the current pattern's)
+   * @returns {number} Step length in quarter notes (0.25 for 16th notes)
+   */
+  const getStepLength = (resolution = getStepResolution()) => {
+    return STEP_RESOLUTIONS[resolution] || STEP_RESOLUTIONS[DEFAULT_RESOLUTION]
+  }
+
+  /**
+   * Get the beat and bar lengths of a meter in steps
+   * Compound meters (6/8, 9/8, 12/8...) count dotted beats of three; the rest count the denominator.
+   * Lengths can be fractional (e.g. 7/8 in 8th triplets), in which case a beat or bar starts
+   * on the first step at or after its boundary
+   * @param {string} signature - Time signature (defaults to the current one)
+   * @param {string} resolution - Step resolution (defaults to the current pattern's)
+   * @returns {Object} { numerator, denominator, stepsPerBeat, stepsPerBar }
+   */
+  const getMeter = (signature = timeSignature, resolution = getStepResolution()) => {
+    const { numerator, denominator } = parseTimeSignature(signature) || { numerator: 4, denominator: 4 }
+    const compound = denominator >= 8 && numerator > 3 && numerator % 3 === 0
+    const beatLength = (compound ? 3 : 1) * 4 / denominator // Quarter notes
+    const stepLength = getStepLength(resolution)
+    const round = (value) => Math.round(value * 1e6) / 1e6
+
+    return {
+      numerator,
+      denominator,
+      stepsPerBeat: round(beatLength / stepLength),
+      stepsPerBar: round(numerator * 4 / denominator / stepLength)
+    }
+  }
+
+  /**
+   * Locate a step in a meter (bars are counted from the start of the pattern)
+   * @param {number} step - Step index
+   * @param {Object} meter - Meter from getMeter() (defaults to the current one)
+   * @returns {Object} { bar, beat, subdivision, isBarStart, isBeatStart } (0-based, beats count within the bar)
+   */
+  const getMeterPosition = (step, meter = getMeter()) => {
+    const bar = Math.floor(step / meter.stepsPerBar + 1e-9)
+    const inBar = step - Math.ceil(bar * meter.stepsPerBar - 1e-9)
+    const beat = Math.floor(inBar / meter.stepsPerBeat + 1e-9)
+    const subdivision = inBar - Math.ceil(beat * meter.stepsPerBeat - 1e-9)
+
+    return { bar, beat, subdivision, isBarStart: inBar === 0, isBeatStart: subdivision === 0 }
+  }
+
   /**
    * Set step count
-   * @param {number} newStepCount - Number of steps (4-48)
+   * Longer patterns grow the tracks; shorter ones keep the steps past the end for later
+   * @param {number} newStepCount - Number of steps (4-256)
    */
   const setStepCount = (newStepCount) => {
-    stepCount = Math.max(4, Math.min(48, newStepCount))
+    stepCount = Math.max(MIN_STEPS, Math.min(MAX_STEPS, Math.round(newStepCount) || MIN_STEPS))
+    ensureTrackLength()
     emit('stepCountChanged', stepCount)
   }
 
@@ -242,18 +624,61 @@ const Sequencer = (() => {
     return stepCount
   }
 
+  /**
+   * Set swing amount
+   * @param {number} newSwing - Swing percentage (50-75, 50 = straight)
+   */
+  const setSwing = (newSwing) => {
+    swing = Grooves.clampSwing(newSwing)
+    emit('swingChanged', swing)
+  }
+
+  /**
+   * Get swing amount
+   * @returns {number} Swing percentage (50-75)
+   */
+  const getSwing = () => {
+    return swing
+  }
+
+  /**
+   * Set groove template
+   * @param {string} grooveId - Groove template ID
+   */
+  const setGroove = (grooveId) => {
+    if (!Grooves.getGroove(grooveId)) {
+      console.warn(`Unknown groove template: ${grooveId}`)
+      return
+    }
+    groove = grooveId
+    emit('grooveChanged', groove)
+  }
+
+  /**
+   * Get groove template
+   * @returns {string} Groove template ID
+   */
+  const getGroove = () => {
+    return groove
+  }
+
   /**
    * Toggle a step in the pattern
+   * Turning a step on uses the default velocity
    * @param {string} instrument - Instrument ID
-   * @param {number} step - Step number (0-15)
+   * @param {number} step - Step number (0-255)
    */
   const toggleStep = (instrument, step) => {
-    if (!currentPattern || !currentPattern.pattern[instrument]) {
+    if (!currentPattern || !currentPattern.pattern[instrument] || step < 0 || step >= MAX_STEPS) {
       return
     }
+    ensureTrackLength(step + 1)
 
     const currentValue = currentPattern.pattern[instrument][step]
-    currentPattern.pattern[instrument][step] = currentValue ? 0 : 1
+    currentPattern.pattern[instrument][step] = currentValue ? 0 : DEFAULT_VELOCITY
+    if (currentValue) {
+      removeTrig(instrument, step)
+    }
 
     emit('patternChanged', {
       instrument,
@@ -265,15 +690,19 @@ const Sequencer = (() => {
   /**
    * Set a step value directly
    * @param {string} instrument - Instrument ID
-   * @param {number} step - Step number (0-15)
-   * @param {number} value - Value (0 or 1)
+   * @param {number} step - Step number (0-255)
+   * @param {number|boolean} value - Velocity (0.0 - 1.0, 0 = off; booleans map to 0/1)
    */
   const setStep = (instrument, step, value) => {
-    if (!currentPattern || !currentPattern.pattern[instrument]) {
+    if (!currentPattern || !currentPattern.pattern[instrument] || step < 0 || step >= MAX_STEPS) {
       return
     }
+    ensureTrackLength(step + 1)
 
-    currentPattern.pattern[instrument][step] = value ? 1 : 0
+    currentPattern.pattern[instrument][step] = normalizeVelocity(value)
+    if (!currentPattern.pattern[instrument][step]) {
+      removeTrig(instrument, step)
+    }
 
     emit('patternChanged', {
       instrument,
@@ -285,14 +714,277 @@ const Sequencer = (() => {
   /**
    * Get step value
    * @param {string} instrument - Instrument ID
-   * @param {number} step - Step number (0-15)
-   * @returns {number} Step value (0 or 1)
+   * @param {number} step - Step number (0-255)
+   * @returns {number} Step velocity (0 = off, 0.0 - 1.0)
    */
   const getStep = (instrument, step) => {
     if (!currentPattern || !currentPattern.pattern[instrument]) {
       return 0
     }
-    return currentPattern.pattern[instrument][step]
+    return currentPattern.pattern[instrument][step] || 0
+  }
+
+  /**
+   * Set the accent flag for a step (applies to every track on that step)
+   * @param {number} step - Step number (0-255)
+   * @param {boolean} accented - Accent state
+   */
+  const setAccent = (step, accented) => {
+    if (!currentPattern || step < 0 || step >= MAX_STEPS) return
+    initializeAccentRow()
+    ensureTrackLength(step + 1)
+
+    currentPattern.accent[step] = accented ? 1 : 0
+    emit('accentChanged', { step, value: currentPattern.accent[step] })
+  }
+
+  /**
+   * Toggle the accent flag for a step
+   * @param {number} step - Step number (0-255)
+   */
+  const toggleAccent = (step) => {
+    setAccent(step, !getAccent(step))
+  }
+
+  /**
+   * Get the accent flag for a step
+   * @param {number} step - Step number (0-255)
+   * @returns {boolean} True if the step is accented
+   */
+  const getAccent = (step) => {
+    return !!currentPattern?.accent?.[step]
+  }
+
+  /**
+   * Check if a trig condition string is valid
+   * @param {string} condition - 'A:B', 'fill' or '!fill'
+   * @returns {boolean} True if valid
+   */
+  const isValidCondition = (condition) => {
+    if (condition === 'fill' || condition === '!fill') return true
+
+    const match = /^(\d+):(\d+)$/.exec(condition || '')
+    if (!match) return false
+
+    const a = parseInt(match[1], 10)
+    const b = parseInt(match[2], 10)
+    return b >= 2 && b <= MAX_CONDITION_BARS && a >= 1 && a <= b
+  }
+
+  /**
+   * Clean up trig settings, dropping anything that is at its default
+   * @param {Object} trig - Raw trig settings
+   * @returns {Object|null} Normalized trig, or null if nothing is set
+   */
+  const normalizeTrig = (trig) => {
+    const normalized = {}
+
+    const probability = Number(trig.probability)
+    if (trig.probability !== null && trig.probability !== undefined && !isNaN(probability) && probability < 100) {
+      normalized.probability = Math.max(0, Math.round(probability))
+    }
+
+    if (isValidCondition(trig.condition)) {
+      normalized.condition = trig.condition
+    }
+
+    const ratchet = Math.round(Number(trig.ratchet))
+    if (ratchet >= 2) {
+      normalized.ratchet = Math.min(MAX_RATCHET, ratchet)
+      if (RATCHET_RAMPS.includes(trig.ratchetRamp)) {
+        normalized.ratchetRamp = trig.ratchetRamp
+      }
+    }
+
+    const locks = normalizeLocks(trig.locks)
+    if (locks) {
+      normalized.locks = locks
+    }
+
+    return Object.keys(normalized).length > 0 ? normalized : null
+  }
+
+  /**
+   * Clean up parameter locks, dropping unknown parameters and clamping values to their range
+   * @param {Object} locks - Raw locks { param: value }
+   * @returns {Object|null} Normalized locks, or null if nothing is locked
+   */
+  const normalizeLocks = (locks) => {
+    if (!locks || typeof locks !== 'object') return null
+
+    const normalized = {}
+    Object.entries(locks).forEach(([param, value]) => {
+      const range = LOCK_RANGES[param]
+      const number = Number(value)
+      if (!range || value === null || value === undefined || isNaN(number)) return
+      normalized[param] = Math.max(range.min, Math.min(range.max, number))
+    })
+
+    return Object.keys(normalized).length > 0 ? normalized : null
+  }
+
+  /**
+   * Set trig settings for a step (merged with its existing settings)
+   * Pass null for a setting to reset it
+   * @param {string} instrument - Instrument ID
+   * @param {number} step - Step number (0-255)
+   * @param {Object} settings - { probability (0-100), condition ('A:B', 'fill', '!fill'), ratchet (1-8), ratchetRamp ('up', 'down'), locks }
+   *   locks are merged per parameter too: { pitch: 5 } locks pitch, { pitch: null } releases it, locks: null releases all
+   */
+  const setTrig = (instrument, step, settings) => {
+    if (!currentPattern || !currentPattern.pattern[instrument]) return
+    initializeTrigs()
+
+    const existing = currentPattern.trigs[instrument]?.[step]
+    const merged = { ...existing, ...settings }
+    if (settings.locks) {
+      merged.locks = { ...existing?.locks, ...settings.locks }
+    }
+
+    const trig = normalizeTrig(merged)
+    if (trig) {
+      if (!currentPattern.trigs[instrument]) {
+        currentPattern.trigs[instrument] = {}
+      }
+      currentPattern.trigs[instrument][step] = trig
+    } else {
+      removeTrig(instrument, step)
+    }
+
+    emit('trigChanged', { instrument, step, trig: getTrig(instrument, step) })
+  }
+
+  /**
+   * Get trig settings for a step
+   * @param {string} instrument - Instrument ID
+   * @param {number} step - Step number (0-255)
+   * @returns {Object|null} Trig settings, or null if the step always plays
+   */
+  const getTrig = (instrument, step) => {
+    const trig = currentPattern?.trigs?.[instrument]?.[step]
+    if (!trig) return null
+    return trig.locks ? { ...trig, locks: { ...trig.locks } } : { ...trig }
+  }
+
+  /**
+   * Remove a step's trig settings (no event)
+   * @param {string} instrument - Instrument ID
+   * @param {number} step - Step number (0-255)
+   */
+  const removeTrig = (instrument, step) => {
+    const trackTrigs = currentPattern?.trigs?.[instrument]
+    if (!trackTrigs) return
+
+    delete trackTrigs[step]
+    if (Object.keys(trackTrigs).length === 0) {
+      delete currentPattern.trigs[instrument]
+    }
+  }
+
+  /**
+   * Decide whether a step with trig settings plays this time
+   * @param {Object} trig - Trig settings
+   * @param {number} bar - Bars played since the start (0-based)
+   * @param {boolean} fill - Fill mode active
+   * @param {Function} random - Random number generator (0-1)
+   * @returns {boolean} True if the step should play
+   */
+  const evaluateTrig = (trig, bar, fill, random) => {
+    if (trig.condition === 'fill' && !fill) return false
+    if (trig.condition === '!fill' && fill) return false
+
+    if (trig.condition && trig.condition.includes(':')) {
+      const [a, b] = trig.condition.split(':').map(Number)
+      if (bar % b !== a - 1) return false
+    }
+
+    if (trig.probability !== undefined) {
+      return random() * 100 < trig.probability
+    }
+
+    return true
+  }
+
+  /**
+   * Set a track's own length and clock rate (for polymeters)
+   * Pass null for a setting to reset it
+   * @param {string} instrument - Track ID (default instrument ID or loop1-loop8)
+   * @param {Object} settings - { length (1-256), rate (one of TRACK_RATES) }
+   */
+  const setTrackScale = (instrument, settings) => {
+    if (!currentPattern || !currentPattern.pattern[instrument]) return
+    initializeTrackScales()
+
+    const merged = { ...currentPattern.trackScales[instrument], ...settings }
+    const scale = {}
+
+    const length = Math.round(Number(merged.length))
+    if (merged.length !== null && merged.length !== undefined && length >= 1) {
+      scale.length = Math.min(MAX_STEPS, length)
+    }
+    const rate = Number(merged.rate)
+    if (TRACK_RATES.includes(rate) && rate !== 1) {
+      scale.rate = rate
+    }
+
+    if (Object.keys(scale).length > 0) {
+      currentPattern.trackScales[instrument] = scale
+    } else {
+      delete currentPattern.trackScales[instrument]
+    }
+    ensureTrackLength()
+
+    emit('trackScaleChanged', { instrument, scale: getTrackScale(instrument) })
+  }
+
+  /**
+   * Get a track's own length and clock rate
+   * @param {string} instrument - Track ID
+   * @returns {Object|null} { length, rate } or null if the track follows the pattern
+   */
+  const getTrackScale = (instrument) => {
+    const scale = currentPattern?.trackScales?.[instrument]
+    return scale ? { ...scale } : null
+  }
+
+  /**
+   * Get the velocity scale of one retrigger in a ratchet
+   * @param {string} ramp - 'up', 'down' or undefined (flat)
+   * @param {number} index - Retrigger index
+   * @param {number} count - Retriggers in the step
+   * @returns {number} Velocity multiplier (RATCHET_RAMP_FLOOR - 1)
+   */
+  const getRatchetScale = (ramp, index, count) => {
+    if (!ramp || count < 2) return 1
+
+    const position = ramp === 'up' ? index / (count - 1) : 1 - index / (count - 1)
+    return RATCHET_RAMP_FLOOR + (1 - RATCHET_RAMP_FLOOR) * position
+  }
+
+  /**
+   * Turn fill mode on or off
+   * @param {boolean} active - Fill mode state
+   */
+  const setFill = (active) => {
+    fillActive = !!active
+    emit('fillChanged', fillActive)
+  }
+
+  /**
+   * Get fill mode state
+   * @returns {boolean} True if fill mode is on
+   */
+  const getFill = () => {
+    return fillActive
+  }
+
+  /**
+   * Play a different pattern until cleared, without touching the pattern being edited
+   * Used for generated fills, so the stored pattern and the grid stay as they are
+   * @param {Object|null} pattern - Pattern to play (null = play the edited pattern again)
+   */
+  const setOverridePattern = (pattern) => {
+    overridePattern = pattern ? JSON.parse(JSON.stringify(pattern)) : null
   }
 
   /**
@@ -310,62 +1002,231 @@ const Sequencer = (() => {
 
   /**
    * Schedule a single step
-   * @param {number} step - Step to schedule (0-15)
+   * @param {number} step - Step to schedule (0-255)
    * @param {number} time - AudioContext time to play
    */
   const scheduleNote = (step, time) => {
     if (!currentPattern) return
 
+    scheduleStep(getPlaybackState(), step, time, liveOutput, { bar: barCount, tick: tickCount, random: liveRandom, skipHit })
+
+    // Grid time of the step (before swing/groove), for clock output
+    emit('stepScheduled', { step, time })
+
+    // Emit event for UI update (on main thread)
+    emit('stepTriggered', step)
+  }
+
+  // A hit recorded ahead of the scheduler already sounded live: skip it once
+  const skipHit = (trackId, position) => {
+    return skippedHits.delete(`${trackId}:${position}`)
+  }
+
+  // Live playback targets for scheduled steps
+  const liveOutput = {
+    playDrum: (instrumentId, time, velocity, trackIndex, duration, locks) => AudioEngine.playDrum(instrumentId, time, velocity, locks),
+    // Trigger one-shot loop playback (not looping) with precise timing, like a drum sample
+    playSample: (loopTrackIndex, time, velocity) => LoopPedal.playTrack(loopTrackIndex, false, time, velocity)
+  }
+
+  /**
+   * Get a snapshot of everything that determines what a step plays
+   * Used by the live scheduler and by offline rendering
+   * @param {boolean} edited - Snapshot the edited pattern, without a held fill or a chain auto fill (for exports)
+   * @returns {Object} Playback state { pattern, tempo, timeSignature, stepCount, swing, groove, trackInstruments, fill }
+   */
+  const getPlaybackState = (edited = false) => {
     // Ensure track instruments are initialized
     if (!trackInstruments) {
       initTrackInstruments()
     }
 
+    return {
+      pattern: edited ? currentPattern : (overridePattern || currentPattern),
+      tempo,
+      timeSignature,
+      stepCount,
+      swing,
+      groove,
+      trackInstruments,
+      fill: edited ? false : fillActive
+    }
+  }
+
+  /**
+   * Trigger every drum and sample track that has a hit on a step
+   * @param {Object} state - Playback state from getPlaybackState()
+   * @param {number} step - Step to schedule
+   * @param {number} time - Context time of the step on the straight grid
+   * @param {Object} output - Targets { playDrum(instrumentId, time, velocity, trackIndex, duration, locks), playSample(loopTrackIndex, time, velocity) }
+   *   duration is the time until the next retrigger (the whole step without a ratchet),
+   *   locks are the step's parameter locks (null when the step uses the track's mixer settings)
+   * @param {Object} context - { bar, tick (master steps since the start), random, skipHit(trackId, position) }
+   *   skipHit (optional) returns true for a track position (the track's steps since the start) not to play
+   */
+  const scheduleStep = (state, step, time, output, context) => {
+    const { pattern } = state
+    if (!pattern) return
+
+    // Apply swing and groove template: shift the note time and scale velocity
+    const stepDuration = 60.0 / state.tempo * getStepLength(pattern.stepResolution)
+    const grooveTime = time + Grooves.getTimingOffset(step, state.swing, state.groove) * stepDuration
+    const grooveVelocity = Grooves.getVelocityScale(step, state.groove)
+
+    // Accented steps play louder on every track
+    const accent = (pattern.accent?.[step] ? ACCENT_BOOST : 1) * grooveVelocity
+
+    // Track steps that fall inside this master step
+    // Tracks without their own length/rate follow the master step; the others count
+    // their own position from the start of playback, so they drift against the bar (polymeter)
+    const tick = context.tick ?? step
+    const getTrackSteps = (trackId) => {
+      const scale = pattern.trackScales?.[trackId]
+      if (!scale) {
+        return [{ trackStep: step, position: tick, time: grooveTime, velocity: accent, duration: stepDuration }]
+      }
+
+      const rate = scale.rate || 1
+      const length = scale.length || state.stepCount
+      const trackSteps = []
+      for (let k = Math.ceil(tick * rate); k < Math.ceil((tick + 1) * rate); k++) {
+        // Groove and accent only apply to track steps that land on the master grid
+        const offset = k / rate - tick
+        const onGrid = Math.abs(offset) < 1e-9
+        trackSteps.push({
+          trackStep: k % length,
+          position: k,
+          time: onGrid ? grooveTime : time + offset * stepDuration,
+          velocity: onGrid ? accent : grooveVelocity,
+          duration: stepDuration / rate
+        })
+      }
+      return trackSteps
+    }
+
+    // Play every hit a track has in this master step
+    // Steps with trig settings only play when their condition and probability pass,
+    // and ratchets retrigger the hit evenly across the track step
+    const triggerTrack = (trackId, play) => {
+      getTrackSteps(trackId).forEach(({ trackStep, position, time, velocity, duration }) => {
+        const value = pattern.pattern[trackId]?.[trackStep]
+        if (!value) return
+        if (context.skipHit && context.skipHit(trackId, position)) return
+
+        const trig = pattern.trigs?.[trackId]?.[trackStep]
+        if (trig && !evaluateTrig(trig, context.bar, !!state.fill, context.random)) return
+
+        const count = trig?.ratchet || 1
+        for (let i = 0; i < count; i++) {
+          play(time + i * duration / count, value * velocity * getRatchetScale(trig?.ratchetRamp, i, count), duration / count, trig?.locks || null)
+        }
+      })
+    }
+
     // Play all drum instruments for this step
     // Use default instrument IDs for pattern data lookup, but play the assigned instrument
     const defaultInstruments = AudioEngine.getDefaultInstruments()
     defaultInstruments.forEach((defaultInstrumentId, trackIndex) => {
-      const value = currentPattern.pattern[defaultInstrumentId]?.[step]
-      if (value) {
-        // Play the assigned instrument (may differ from default)
-        const instrumentToPlay = trackInstruments[trackIndex] || defaultInstrumentId
-        AudioEngine.playDrum(instrumentToPlay, time, value)
-      }
+      // Play the assigned instrument (may differ from default)
+      const instrumentToPlay = state.trackInstruments?.[trackIndex] || defaultInstrumentId
+      triggerTrack(defaultInstrumentId, (hitTime, velocity, duration, locks) => {
+        output.playDrum(instrumentToPlay, hitTime, velocity, trackIndex, duration, locks)
+      })
     })
 
     // Play all loop tracks for this step (one-shot, not looping)
     for (let i = 1; i <= 8; i++) {
-      const loopId = `loop${i}`
-      const value = currentPattern.pattern[loopId]?.[step]
-      if (value) {
-        // Trigger one-shot loop playback (loop tracks are 0-indexed)
-        const loopTrackIndex = i - 1
-        // Play loop as one-shot with precise timing, like a drum sample
-        LoopPedal.playTrack(loopTrackIndex, false, time)
+      // Loop tracks are 0-indexed in LoopPedal
+      triggerTrack(`loop${i}`, (hitTime, velocity) => {
+        output.playSample(i - 1, hitTime, velocity)
+      })
+    }
+  }
+
+  /**
+   * Schedule whole bars of a pattern ahead of time (for offline rendering)
+   * Follows the same step timing as the live scheduler
+   * Probability rolls use a seeded generator, so the same render always plays the same hits
+   * @param {Object} state - Playback state from getPlaybackState()
+   *   (optional seed: number, lastBarPattern: pattern played on the last bar instead, e.g. a chain auto fill,
+   *   tempoRamp: { target, curve, steps } ramp from state.tempo, timed the same way as live playback)
+   * @param {Object} output - Targets (see scheduleStep), plus optional setTempo(bpm, time) called with
+   *   the tempo at the start and at every ramp step, so tempo-synced effects can follow
+   * @param {number} startTime - Context time of the first step
+   * @param {number} bars - Number of bars to schedule
+   * @param {Object} position - { bar, tick, random } bars and master steps played before this pattern,
+   *   and the render's probability generator (see getRenderStartPosition; without one, a generator
+   *   seeded from state.seed is used). Like live playback, trig conditions, probability rolls and tracks
+   *   with their own length or rate keep going across pattern switches, so renders of several patterns
+   *   pass on where the previous one ended
+   * @returns {number} Context time right after the last bar
+   */
+  const schedulePattern = (state, output, startTime = 0, bars = 1, position = { bar: 0, tick: 0 }) => {
+    const random = position.random || SeededRandom.create(state.seed ?? SeededRandom.DEFAULT_SEED)
+    const stepLength = getStepLength(state.pattern?.stepResolution)
+    let time = startTime
+    let lastTempo = null
+
+    for (let bar = 0; bar < bars; bar++) {
+      const barState = bar === bars - 1 && state.lastBarPattern ? { ...state, pattern: state.lastBarPattern } : state
+      for (let step = 0; step < state.stepCount; step++) {
+        const tick = bar * state.stepCount + step
+        const stepTempo = getStepTempo(state, tick)
+        if (output.setTempo && stepTempo !== lastTempo) {
+          output.setTempo(stepTempo, time)
+          lastTempo = stepTempo
+        }
+        scheduleStep(state.tempoRamp ? { ...barState, tempo: stepTempo } : barState, step, time, output, {
+          bar: position.bar + bar,
+          tick: position.tick + tick,
+          random
+        })
+        time += 60.0 / stepTempo * stepLength
       }
     }
 
-    // Emit event for UI update (on main thread)
-    emit('stepTriggered', step)
+    return time
+  }
+
+  /**
+   * Get the playback position at the start of an offline render (see schedulePattern)
+   * One probability generator runs through the whole render, so a pattern that repeats
+   * in a chain or song rolls its probabilities afresh each time, as it does live
+   * @param {Object} state - Playback state of the first pattern (its seed starts the generator)
+   * @returns {Object} { bar, tick, random }
+   */
+  const getRenderStartPosition = (state) => {
+    return { bar: 0, tick: 0, random: SeededRandom.create(state?.seed ?? SeededRandom.DEFAULT_SEED) }
   }
 
   /**
    * Advance to next note
    */
   const nextNote = () => {
-    // Calculate note length in seconds (quarter note)
-    const secondsPerBeat = 60.0 / tempo
-    const noteDuration = secondsPerBeat / 4 // 16th note
+    nextNoteTime += getLiveStepDuration()
 
-    nextNoteTime += noteDuration
+    // Ramps set the tempo of the next step
+    if (tempoRamp) {
+      advanceTempoRamp()
+    }
 
     currentStep++
+    tickCount++
     if (currentStep >= stepCount) {
       currentStep = 0
+      barCount++
       emit('barCompleted')  // Emit event when bar completes
     }
   }
 
+  /**
+   * Get the length of a step at the live tempo
+   * @returns {number} Step duration in seconds
+   */
+  const getLiveStepDuration = () => {
+    return 60.0 / tempo * getStepLength()
+  }
+
   /**
    * Start playback (or resume if paused)
    */
@@ -380,6 +1241,10 @@ const Sequencer = (() => {
     // Only reset to beginning if not resuming from pause
     if (!isPaused) {
       currentStep = 0
+      barCount = 0
+      tickCount = 0
+      skippedHits.clear()
+      liveRandom = SeededRandom.create(SeededRandom.randomSeed())
     }
     isPaused = false
 
@@ -416,6 +1281,10 @@ const Sequencer = (() => {
     pause()
     isPaused = false  // Clear paused state so next play starts from beginning
     currentStep = 0
+    barCount = 0
+    tickCount = 0
+    skippedHits.clear()
+    tempoRamp = null
     emit('playbackStopped')
   }
 
@@ -440,7 +1309,7 @@ const Sequencer = (() => {
 
   /**
    * Get current step
-   * @returns {number} Current step (0-15)
+   * @returns {number} Current step (0-255)
    */
   const getCurrentStep = () => {
     return currentStep
@@ -467,6 +1336,12 @@ const Sequencer = (() => {
       }
     }
 
+    // Clear accents and trig settings
+    if (currentPattern.accent) {
+      currentPattern.accent.fill(0)
+    }
+    currentPattern.trigs = {}
+
     emit('patternCleared')
   }
 
@@ -478,10 +1353,137 @@ const Sequencer = (() => {
     if (!currentPattern || !currentPattern.pattern[instrument]) return
 
     currentPattern.pattern[instrument].fill(0)
+    if (currentPattern.trigs) {
+      delete currentPattern.trigs[instrument]
+    }
 
     emit('trackCleared', instrument)
   }
 
+  /**
+   * Fill a track with a Euclidean rhythm
+   * The rhythm repeats every `steps` steps across the track (its own length, or the pattern step count)
+   * and is cut off where the track loops
+   * @param {string} instrument - Instrument ID
+   * @param {Object} options - { hits, steps (defaults to the track length), rotation }
+   */
+  const generateEuclidean = (instrument, { hits, steps = null, rotation = 0 }) => {
+    if (!currentPattern || !currentPattern.pattern[instrument]) return
+
+    writeEuclidean(instrument, hits, steps, rotation)
+    emit('trackGenerated', instrument)
+  }
+
+  /**
+   * Fill every drum track with its default Euclidean rhythm (tracks without one are cleared)
+   */
+  const generateEuclideanAll = () => {
+    if (!currentPattern) return
+
+    AudioEngine.getDefaultInstruments().forEach(instrument => {
+      if (!currentPattern.pattern[instrument]) return
+
+      const { hits, steps, rotation } = PatternGenerator.getEuclidDefaults(instrument)
+      writeEuclidean(instrument, hits, steps, rotation)
+    })
+
+    emit('patternGenerated')
+  }
+
+  /**
+   * Replace the drum tracks with a new pattern in the style of a genre
+   * @param {string} genre - Genre name (see PatternGenerator.getGenres)
+   * @param {number} seed - Random seed (the same seed and genre always give the same pattern)
+   */
+  const generateGenrePattern = (genre, seed) => {
+    if (!currentPattern) return
+
+    // A new pattern starts without the old steps' trig settings (steps hidden past the step count keep theirs)
+    AudioEngine.getDefaultInstruments().forEach(instrument => {
+      Object.keys(currentPattern.trigs?.[instrument] || {}).forEach(step => {
+        if (Number(step) < stepCount) {
+          removeTrig(instrument, step)
+        }
+      })
+    })
+    writeGeneratedTracks(PatternGenerator.generateGenrePattern(genre, { seed, stepCount }))
+    emit('patternGenerated')
+  }
+
+  /**
+   * Re-roll some steps of the current drum tracks from a genre model
+   * @param {number} seed - Random seed
+   * @param {Object} options - { amount (0-1 share of steps re-rolled), genre (null = closest genre) }
+   */
+  const generateVariation = (seed, { amount = 0.25, genre = null } = {}) => {
+    if (!currentPattern) return
+
+    writeGeneratedTracks(PatternGenerator.generateVariation(currentPattern.pattern, genre, { seed, stepCount, amount }))
+    emit('patternGenerated')
+  }
+
+  /**
+   * Replace the last steps of the current drum tracks with a snare/tom fill
+   * @param {number} seed - Random seed
+   * @param {number} length - Steps of fill at the end of the pattern
+   */
+  const generateFill = (seed, length = 4) => {
+    if (!currentPattern) return
+
+    writeGeneratedTracks(PatternGenerator.generateFill(currentPattern.pattern, { seed, stepCount, length }))
+    emit('patternGenerated')
+  }
+
+  /**
+   * Write generated drum tracks into the pattern (no event)
+   * Only steps below the step count are written, so steps hidden by a shorter step count are kept;
+   * steps that are turned off lose their trig settings
+   * @param {Object} tracks - Drum tracks { [instrumentId]: Array<number> }
+   */
+  const writeGeneratedTracks = (tracks) => {
+    Object.entries(tracks).forEach(([instrument, steps]) => {
+      const track = currentPattern.pattern[instrument]
+      if (!track) return
+
+      steps.slice(0, stepCount).forEach((value, step) => {
+        if (!value && track[step]) {
+          removeTrig(instrument, step)
+        }
+        track[step] = value
+      })
+    })
+  }
+
+  /**
+   * Write a Euclidean rhythm into a track, replacing its steps and trig settings (no event)
+   * @param {string} instrument - Instrument ID
+   * @param {number} hits - Hits per cycle
+   * @param {number|null} steps - Cycle length (null = the track length)
+   * @param {number} rotation - Steps to shift the rhythm later
+   */
+  const writeEuclidean = (instrument, hits, steps, rotation) => {
+    const trackLength = getTrackLength(instrument)
+    const cycle = PatternGenerator.euclid(hits, steps || trackLength, rotation)
+
+    const track = currentPattern.pattern[instrument]
+    track.fill(0)
+    for (let i = 0; i < trackLength; i++) {
+      track[i] = cycle[i % cycle.length] ? DEFAULT_VELOCITY : 0
+    }
+    if (currentPattern.trigs) {
+      delete currentPattern.trigs[instrument]
+    }
+  }
+
+  /**
+   * Get the number of steps a track plays before it loops
+   * @param {string} instrument - Instrument ID
+   * @returns {number} Track length (its own length, or the pattern step count)
+   */
+  const getTrackLength = (instrument) => {
+    return currentPattern?.trackScales?.[instrument]?.length || stepCount
+  }
+
   /**
    * Randomize pattern
    */
@@ -495,6 +1497,9 @@ const Sequencer = (() => {
           // 30% chance of a hit
           currentPattern.pattern[instrument.id][i] = Math.random() < 0.3 ? 1 : 0
         }
+        if (currentPattern.trigs) {
+          delete currentPattern.trigs[instrument.id]
+        }
       }
     })
 
@@ -531,8 +1536,12 @@ const Sequencer = (() => {
    */
   const getBeatPosition = () => {
     const pattern = (SongMode.getCurrentPatternIndex() + 1) // 1-based pattern number
-    const beat = Math.floor(currentStep / 4) + 1
-    const subdivision = (currentStep % 4) + 1
+    const meter = getMeter()
+    const position = getMeterPosition(currentStep, meter)
+    // Beats count on from bar to bar through the pattern
+    const beatsPerBar = Math.ceil(meter.stepsPerBar / meter.stepsPerBeat - 1e-9)
+    const beat = position.bar * beatsPerBar + position.beat + 1
+    const subdivision = position.subdivision + 1
     return `${pattern}.${beat}.${subdivision}`
   }
 
@@ -547,21 +1556,89 @@ const Sequencer = (() => {
       return AudioEngine.getCurrentTime()
     }
 
-    // Calculate how many steps until next bar (step 0)
-    // If we're at step 0 and very close to nextNoteTime, wait for the NEXT bar
-    const stepsUntilNextBar = currentStep === 0 ? stepCount : (stepCount - currentStep)
-
-    // Calculate note duration
-    const secondsPerBeat = 60.0 / tempo
-    const noteDuration = secondsPerBeat / 4 // 16th note
+    // Calculate how many steps until the next bar line of the meter (or the pattern looping)
+    // If we're on a bar line and very close to nextNoteTime, wait for the NEXT bar
+    const { stepsPerBar } = getMeter()
+    const bar = getMeterPosition(currentStep).bar
+    const nextBarStep = Math.min(stepCount, Math.ceil((bar + 1) * stepsPerBar - 1e-9))
+    const stepsUntilNextBar = nextBarStep - currentStep
 
     // Calculate time until next bar
-    const timeUntilNextBar = stepsUntilNextBar * noteDuration
+    const timeUntilNextBar = stepsUntilNextBar * getLiveStepDuration()
 
     // nextNoteTime is when currentStep will play
     return nextNoteTime + timeUntilNextBar
   }
 
+  /**
+   * Record a live hit (e.g. a MIDI pad) into the pattern at the step nearest to its time
+   * Tracks with their own length or rate quantize to their own steps. The live hit has
+   * already sounded, so a step the scheduler has not reached yet is skipped once
+   * @param {string} trackId - Track ID
+   * @param {number} time - AudioContext time of the hit
+   * @param {number} velocity - Velocity (0.0 - 1.0)
+   * @returns {number} Track step the hit was recorded on, or -1 if not playing
+   */
+  const recordHit = (trackId, time, velocity) => {
+    if (!isPlaying || !currentPattern) return -1
+
+    // nextNoteTime is when tickCount (and currentStep) will play; count steps back (or forward) from it
+    const offset = (time - nextNoteTime) / getLiveStepDuration()
+    const scale = currentPattern.trackScales?.[trackId]
+    let trackStep
+    let position
+    let firstUnscheduled
+    if (scale) {
+      const rate = scale.rate || 1
+      const length = scale.length || stepCount
+      position = Math.round((tickCount + offset) * rate)
+      trackStep = ((position % length) + length) % length
+      firstUnscheduled = Math.ceil(tickCount * rate)
+    } else {
+      position = tickCount + Math.round(offset)
+      trackStep = (((currentStep + Math.round(offset)) % stepCount) + stepCount) % stepCount
+      firstUnscheduled = tickCount
+    }
+
+    setStep(trackId, trackStep, velocity)
+    if (position >= firstUnscheduled) {
+      skippedHits.add(`${trackId}:${position}`)
+    }
+    return trackStep
+  }
+
+  /**
+   * Move the playback position while stopped or paused
+   * The next play() resumes from this step (used by MIDI song position)
+   * @param {number} step - Step to resume from
+   */
+  const setPosition = (step) => {
+    if (isPlaying) return
+
+    currentStep = ((Math.floor(step) % stepCount) + stepCount) % stepCount
+    tickCount = currentStep
+    isPaused = currentStep !== 0
+  }
+
+  /**
+   * Phase-lock the scheduler to an external clock
+   * Nudges nextNoteTime so that a step lands on the time the clock says it should
+   * @param {number} step - Step the external clock is on
+   * @param {number} time - AudioContext time of that step
+   * @param {number} amount - Fraction of the timing error to correct (0-1)
+   */
+  const syncToClock = (step, time, amount = 0.5) => {
+    if (!isPlaying) return
+
+    // Predicted time of the step: nearest occurrence relative to the next scheduled step
+    const noteDuration = getLiveStepDuration()
+    let offset = ((step - currentStep) % stepCount + stepCount) % stepCount
+    if (offset > stepCount / 2) offset -= stepCount
+    const predictedTime = nextNoteTime + offset * noteDuration
+
+    nextNoteTime += (time - predictedTime) * amount
+  }
+
   /**
    * Get all tracks (drums + loops) for UI rendering
    * @returns {Array} Array of track objects with id, name, defaultId, and trackIndex
@@ -618,6 +1695,8 @@ const Sequencer = (() => {
       tempo,
       timeSignature,
       stepCount,
+      swing,
+      groove,
       currentStep,
       isPlaying,
       trackInstruments: trackInstruments ? [...trackInstruments] : null,
@@ -633,33 +1712,29 @@ const Sequencer = (() => {
     if (data.pattern) {
       currentPattern = JSON.parse(JSON.stringify(data.pattern)) // Deep clone
 
-      // Extend all instrument tracks to 48 steps (max size)
-      const instruments = AudioEngine.getInstruments()
-      instruments.forEach(instrument => {
-        if (currentPattern.pattern[instrument.id]) {
-          while (currentPattern.pattern[instrument.id].length < 48) {
-            currentPattern.pattern[instrument.id].push(0)
-          }
-        }
-      })
-
-      // Ensure loop tracks exist in the imported pattern
+      // Ensure loop tracks, accent row, trigs and track scales exist in the imported pattern
+      // (and every track is long enough to edit)
       initializeLoopTracks()
+      initializeAccentRow()
+      initializeTrigs()
+      initializeTrackScales()
 
       emit('patternLoaded', currentPattern)
     }
     if (data.tempo) {
-      tempo = data.tempo
+      tempo = normalizeTempo(data.tempo, tempo)
       emit('tempoChanged', tempo)
     }
     if (data.timeSignature) {
-      timeSignature = data.timeSignature
-      emit('timeSignatureChanged', timeSignature)
+      setTimeSignature(data.timeSignature)
     }
     if (data.stepCount !== undefined) {
-      stepCount = data.stepCount
-      emit('stepCountChanged', stepCount)
+      setStepCount(data.stepCount)
     }
+    // Restore swing and groove (older sessions play straight)
+    setSwing(data.swing ?? Grooves.MIN_SWING)
+    setGroove(Grooves.getGroove(data.groove) ? data.groove : Grooves.DEFAULT_GROOVE)
+
     // Restore track instruments if available
     if (data.trackInstruments && Array.isArray(data.trackInstruments)) {
       initTrackInstruments(data.trackInstruments)
@@ -682,14 +1757,42 @@ const Sequencer = (() => {
     loadPattern,
     getPattern,
     setTempo,
+    nudgeTempo,
+    startTempoRamp,
+    getTempoRamp,
+    getRampTempo,
+    getStepTempo,
+    getPatternDuration,
+    tapTempo,
+    normalizeTempo,
     getTempo,
     setTimeSignature,
     getTimeSignature,
+    parseTimeSignature,
+    setStepResolution,
+    getStepResolution,
+    getStepLength,
+    getMeter,
+    getMeterPosition,
+    setSwing,
+    getSwing,
+    setGroove,
+    getGroove,
     setStepCount,
     getStepCount,
     toggleStep,
     setStep,
     getStep,
+    setAccent,
+    toggleAccent,
+    getAccent,
+    setTrig,
+    getTrig,
+    setFill,
+    setOverridePattern,
+    getFill,
+    setTrackScale,
+    getTrackScale,
     play,
     pause,
     stop,
@@ -699,16 +1802,39 @@ const Sequencer = (() => {
     clearPattern,
     clearTrack,
     randomizePattern,
+    generateEuclidean,
+    generateEuclideanAll,
+    generateGenrePattern,
+    generateVariation,
+    generateFill,
     on,
     off,
     getBeatPosition,
     getNextBarTime,
+    recordHit,
+    setPosition,
+    syncToClock,
     getAllTracks,
     exportPattern,
     importPattern,
     // Track instrument management
     setTrackInstrument,
     getTrackInstrument,
-    getTrackInstruments
+    getTrackInstruments,
+    // Offline rendering
+    getPlaybackState,
+    schedulePattern,
+    getRenderStartPosition,
+    ACCENT_BOOST,
+    MAX_CONDITION_BARS,
+    MAX_RATCHET,
+    TRACK_RATES,
+    MIN_STEPS,
+    MAX_STEPS,
+    MIN_TEMPO,
+    MAX_TEMPO,
+    TEMPO_RAMP_CURVES,
+    STEP_RESOLUTIONS,
+    LOCK_RANGES
   }
 })()
@@ -47,7 +47,15 @@ const SongMode = (() => {
    *   pattern: object,
    *   tempo: number,
    *   repeats: number,
-   *   name: string
+   *   name: string,
+   *   timeSignature: string,      // Optional (sections saved before these fields use current values)
+   *   stepCount: number,
+   *   swing: number,
+   *   groove: string,
+   *   trackInstruments: array,
+   *   drumMixerSettings: object,
+   *   slotIndex: number,          // Pattern bank slot providing loop tracks 4-7
+   *   tempoRamp: object|null      // { target: BPM, curve: 'linear'|'exponential' } reached by the end of the last repeat
    * }
    */
 
@@ -84,7 +92,10 @@ const SongMode = (() => {
         tempo: 120,
         timeSignature: '4/4',
         stepCount: 16,
+        swing: Grooves.MIN_SWING,
+        groove: Grooves.DEFAULT_GROOVE,
         repeats: 1,
+        autoFill: null, // { length } - generated fill on the last repeat in chain mode (null = off)
         loopTracks: null, // Pattern-specific loop tracks (4-7)
         isEmpty: true
       })
@@ -120,7 +131,10 @@ const SongMode = (() => {
       tempo: tempo || Sequencer.getTempo(),
       timeSignature: timeSignature || Sequencer.getTimeSignature(),
       stepCount: stepCount || Sequencer.getStepCount(),
+      swing: Sequencer.getSwing(),
+      groove: Sequencer.getGroove(),
       repeats: patternBank[index].repeats || 1, // Preserve repeat count
+      autoFill: patternBank[index].autoFill || null, // Preserve auto fill setting
       loopTracks,
       trackInstruments: Sequencer.getTrackInstruments(), // Save instrument assignments
       drumMixerSettings: AudioEngine.exportMixerSettings(), // Save per-track mixer settings
@@ -154,7 +168,10 @@ const SongMode = (() => {
       tempo: 120,
       timeSignature: '4/4',
       stepCount: 16,
+      swing: Grooves.MIN_SWING,
+      groove: Grooves.DEFAULT_GROOVE,
       repeats: 1,
+      autoFill: null,
       loopTracks: null,
       isEmpty: true
     }
@@ -178,8 +195,8 @@ const SongMode = (() => {
     for (const trackId in beatPattern) {
       const track = beatPattern[trackId]
       if (Array.isArray(track)) {
-        // Check if any step has a hit (value of 1)
-        if (track.some(step => step === 1)) {
+        // Check if any step has a hit (any velocity above 0)
+        if (track.some(step => step > 0)) {
           return false
         }
       }
@@ -209,7 +226,10 @@ const SongMode = (() => {
       tempo,
       timeSignature,
       stepCount,
+      swing: Sequencer.getSwing(),
+      groove: Sequencer.getGroove(),
       repeats: patternBank[currentPatternIndex].repeats || 1,
+      autoFill: patternBank[currentPatternIndex].autoFill || null,
       loopTracks,
       isEmpty: true // Mark as empty so it's skipped in chain mode
     }
@@ -229,6 +249,66 @@ const SongMode = (() => {
     emit('patternRepeatsChanged', { index, repeats: patternBank[index].repeats })
   }
 
+  /**
+   * Set the auto fill for a pattern slot
+   * In chain mode the last repeat of the slot plays a generated fill over its last steps
+   * @param {number} index - Slot index (0-9)
+   * @param {Object|null} autoFill - { length: steps of fill (null = the whole bar) }, or null to turn it off
+   */
+  const setPatternAutoFill = (index, autoFill) => {
+    if (index < 0 || index >= 10) return
+
+    patternBank[index].autoFill = normalizeAutoFill(autoFill)
+    emit('patternAutoFillChanged', { index, autoFill: patternBank[index].autoFill })
+  }
+
+  /**
+   * Validate auto fill settings
+   * @param {Object|null} autoFill - Raw auto fill settings
+   * @returns {Object|null} { length } or null if off
+   */
+  const normalizeAutoFill = (autoFill) => {
+    if (!autoFill || typeof autoFill !== 'object') return null
+
+    const length = Math.round(Number(autoFill.length))
+    return { length: length >= 1 ? Math.min(Sequencer.MAX_STEPS, length) : null }
+  }
+
+  /**
+   * Build the pattern a slot plays on its last repeat when auto fill is on
+   * The fill is generated from the slot's own pattern; the stored pattern is not modified
+   * @param {Object} slot - Pattern slot
+   * @returns {Object|null} Pattern with the fill, or null if the slot has no auto fill
+   */
+  const buildFillPattern = (slot) => {
+    if (!slot || !slot.autoFill || !slot.pattern) return null
+
+    const stepCount = slot.stepCount || 16
+    const length = Math.min(stepCount, slot.autoFill.length || stepCount)
+    const fillPattern = JSON.parse(JSON.stringify(slot.pattern))
+
+    // The same slot always gets the same fill, live and when exporting
+    const tracks = PatternGenerator.generateFill(slot.pattern.pattern, {
+      seed: SeededRandom.DEFAULT_SEED + slot.index,
+      stepCount,
+      length
+    })
+    Object.entries(tracks).forEach(([trackId, steps]) => {
+      if (!fillPattern.pattern[trackId]) return
+
+      fillPattern.pattern[trackId] = steps
+      // Trig settings of the replaced steps don't carry over into the fill
+      const trackTrigs = fillPattern.trigs?.[trackId]
+      if (trackTrigs) {
+        Object.keys(trackTrigs).forEach(step => {
+          if (Number(step) >= stepCount - length) delete trackTrigs[step]
+        })
+      }
+    })
+
+    return fillPattern
+  }
+
   /**
    * Switch to a different pattern (with quantization if playing)
    * @param {number} index - Slot index (0-9)
@@ -312,6 +392,10 @@ const SongMode = (() => {
         Sequencer.setStepCount(slot.stepCount)
       }
 
+      // Restore swing and groove
+      Sequencer.setSwing(slot.swing ?? Grooves.MIN_SWING)
+      Sequencer.setGroove(slot.groove || Grooves.DEFAULT_GROOVE)
+
       // Restore track instruments if available
       if (slot.trackInstruments) {
         slot.trackInstruments.forEach((instrumentId, trackIndex) => {
@@ -347,6 +431,7 @@ const SongMode = (() => {
       name: slot.name,
       isEmpty: slot.isEmpty,
       repeats: slot.repeats,
+      autoFill: slot.autoFill || null,
       tempo: slot.tempo
     }))
   }
@@ -395,9 +480,17 @@ const SongMode = (() => {
     const newSection = {
       patternId: section.patternId || 'custom',
       pattern: section.pattern,
-      tempo: section.tempo || 120,
+      tempo: Sequencer.normalizeTempo(section.tempo),
       repeats: section.repeats || 1,
-      name: section.name || `Section ${song.length + 1}`
+      name: section.name || `Section ${song.length + 1}`,
+      timeSignature: section.timeSignature || null,
+      stepCount: section.stepCount || null,
+      swing: section.swing ?? null,
+      groove: section.groove || null,
+      trackInstruments: section.trackInstruments || null,
+      drumMixerSettings: section.drumMixerSettings || null,
+      slotIndex: section.slotIndex ?? null,
+      tempoRamp: normalizeTempoRamp(section.tempoRamp)
     }
 
     if (index !== null && index >= 0 && index <= song.length) {
@@ -446,10 +539,53 @@ const SongMode = (() => {
   const updateSection = (index, updates) => {
     if (index >= 0 && index < song.length) {
       Object.assign(song[index], updates)
+      if ('tempo' in updates) {
+        song[index].tempo = Sequencer.normalizeTempo(updates.tempo)
+      }
+      if ('tempoRamp' in updates) {
+        song[index].tempoRamp = normalizeTempoRamp(updates.tempoRamp)
+      }
       emit('sectionUpdated', { index, section: song[index] })
     }
   }
 
+  /**
+   * Set the tempo ramp of a section
+   * The section starts at its own tempo and reaches the target by the end of its last repeat
+   * @param {number} index - Section index
+   * @param {Object|null} tempoRamp - { target: BPM, curve: 'linear' or 'exponential' }, or null for a fixed tempo
+   */
+  const setSectionTempoRamp = (index, tempoRamp) => {
+    updateSection(index, { tempoRamp })
+  }
+
+  /**
+   * Validate tempo ramp settings
+   * @param {Object|null} tempoRamp - Raw tempo ramp settings
+   * @returns {Object|null} { target, curve } or null for a fixed tempo
+   */
+  const normalizeTempoRamp = (tempoRamp) => {
+    if (!tempoRamp || typeof tempoRamp !== 'object') return null
+
+    const target = Sequencer.normalizeTempo(tempoRamp.target, null)
+    if (target === null) return null
+
+    const curve = Sequencer.TEMPO_RAMP_CURVES.includes(tempoRamp.curve) ? tempoRamp.curve : 'linear'
+    return { target, curve }
+  }
+
+  /**
+   * Get the playback tempo ramp of a section, spread over all its repeats
+   * @param {Object} section - Song section
+   * @param {number} stepCount - Steps per bar
+   * @returns {Object|null} { target, curve, steps } for Sequencer.schedulePattern, or null
+   */
+  const getSectionTempoRamp = (section, stepCount) => {
+    if (!section.tempoRamp) return null
+
+    return { ...section.tempoRamp, steps: (section.repeats || 1) * stepCount }
+  }
+
   /**
    * Get section
    * @param {number} index - Section index
@@ -482,7 +618,11 @@ const SongMode = (() => {
    * @param {Array} newSong - Array of sections
    */
   const loadSong = (newSong) => {
-    song = newSong.map(section => ({ ...section }))
+    song = newSong.map(section => ({
+      ...section,
+      tempo: Sequencer.normalizeTempo(section.tempo),
+      tempoRamp: normalizeTempoRamp(section.tempoRamp)
+    }))
     currentSection = 0
     sectionLoopCount = 0
     emit('songLoaded', { song })
@@ -515,10 +655,33 @@ const SongMode = (() => {
     }
 
     const section = song[index]
+    const repeat = sectionLoopCount
 
-    // Load pattern and tempo
+    // Load pattern
     Sequencer.loadPattern(section.pattern)
-    Sequencer.setTempo(section.tempo)
+
+    // Restore the rest of the pattern setup if the section captured it
+    if (section.timeSignature) Sequencer.setTimeSignature(section.timeSignature)
+    if (section.stepCount) Sequencer.setStepCount(section.stepCount)
+    if (section.swing !== null && section.swing !== undefined) Sequencer.setSwing(section.swing)
+    if (section.groove) Sequencer.setGroove(section.groove)
+    if (section.trackInstruments) {
+      section.trackInstruments.forEach((instrumentId, trackIndex) => {
+        Sequencer.setTrackInstrument(trackIndex, instrumentId)
+      })
+    }
+    if (section.drumMixerSettings) {
+      AudioEngine.importMixerSettings(section.drumMixerSettings)
+    }
+
+    // Set the tempo; a ramp starts on the first repeat and carries the tempo through the rest
+    if (repeat === 0 || !section.tempoRamp) {
+      Sequencer.setTempo(section.tempo)
+      const ramp = getSectionTempoRamp(section, Sequencer.getStepCount())
+      if (ramp) {
+        Sequencer.startTempoRamp(ramp.target, ramp.curve, ramp.steps)
+      }
+    }
 
     // Start playback if not already playing
     if (!Sequencer.getIsPlaying()) {
@@ -546,29 +709,28 @@ const SongMode = (() => {
             emit('songCompleted')
           }
         }
-      }, calculateSectionDuration(section))
+      }, calculateSectionDuration(section, repeat))
     } else {
       // Repeat this section
       setTimeout(() => {
         if (isPlaying) {
           playSection(index)
         }
-      }, calculateSectionDuration(section))
+      }, calculateSectionDuration(section, repeat))
     }
   }
 
   /**
    * Calculate section duration in milliseconds
    * @param {Object} section - Song section
+   * @param {number} repeat - Repeat to measure (bars differ when the section ramps its tempo)
    * @returns {number} Duration in ms
    */
-  const calculateSectionDuration = (section) => {
-    const beatsPerBar = 4
-    const barsPerPattern = 1
-    const totalBeats = beatsPerBar * barsPerPattern
-    const secondsPerBeat = 60 / section.tempo
-    const duration = totalBeats * secondsPerBeat
-    return duration * 1000
+  const calculateSectionDuration = (section, repeat = 0) => {
+    // One bar of the section's steps (16th notes); older sections default to 16 steps
+    const stepCount = section.stepCount || 16
+    const state = { pattern: section.pattern, tempo: section.tempo, stepCount, tempoRamp: getSectionTempoRamp(section, stepCount) }
+    return Sequencer.getPatternDuration(state, 1, repeat) * 1000
   }
 
   /**
@@ -628,7 +790,9 @@ const SongMode = (() => {
    */
   const getSongDuration = () => {
     return song.reduce((total, section) => {
-      return total + (calculateSectionDuration(section) / 1000) * section.repeats
+      const stepCount = section.stepCount || 16
+      const state = { pattern: section.pattern, tempo: section.tempo, stepCount, tempoRamp: getSectionTempoRamp(section, stepCount) }
+      return total + Sequencer.getPatternDuration(state, section.repeats)
     }, 0)
   }
 
@@ -647,10 +811,78 @@ const SongMode = (() => {
       pattern: JSON.parse(JSON.stringify(pattern)),
       tempo,
       repeats,
-      name: name || `Section ${song.length + 1}`
+      name: name || `Section ${song.length + 1}`,
+      timeSignature: Sequencer.getTimeSignature(),
+      stepCount: Sequencer.getStepCount(),
+      swing: Sequencer.getSwing(),
+      groove: Sequencer.getGroove(),
+      trackInstruments: Sequencer.getTrackInstruments(),
+      drumMixerSettings: AudioEngine.exportMixerSettings(),
+      slotIndex: currentPatternIndex,
+      tempoRamp: null
     }
   }
 
+  /**
+   * Build render segments for WAVEncoder.renderSegments()
+   * Chain mode renders every non-empty pattern slot (with its repeats) in order;
+   * song mode renders every section with its tempo (or tempo ramp) and repeats
+   * @param {string} mode - 'chain' or 'song'
+   * @returns {Promise<Array>} Render segments (empty if there is nothing to render)
+   */
+  const getRenderSegments = async (mode) => {
+    // Make sure the slot being edited is up to date
+    await saveCurrentPattern()
+
+    if (mode === 'chain') {
+      return patternBank
+        .filter(slot => !isPatternEmpty(slot))
+        .map(slot => ({
+          name: slot.name,
+          bars: slot.repeats || 1,
+          state: {
+            pattern: slot.pattern,
+            tempo: slot.tempo,
+            timeSignature: slot.timeSignature,
+            stepCount: slot.stepCount,
+            swing: slot.swing ?? Grooves.MIN_SWING,
+            groove: slot.groove || Grooves.DEFAULT_GROOVE,
+            trackInstruments: slot.trackInstruments || Sequencer.getTrackInstruments(),
+            lastBarPattern: buildFillPattern(slot)
+          },
+          drumMixerSettings: slot.drumMixerSettings || AudioEngine.exportMixerSettings(),
+          loopTracks: slot.loopTracks || null
+        }))
+    }
+
+    if (mode === 'song') {
+      return song.map(section => {
+        const slot = patternBank[section.slotIndex]
+        const stepCount = section.stepCount || Sequencer.getStepCount()
+        return {
+          name: section.name,
+          bars: section.repeats || 1,
+          state: {
+            pattern: section.pattern,
+            tempo: section.tempo,
+            timeSignature: section.timeSignature || Sequencer.getTimeSignature(),
+            stepCount,
+            swing: section.swing ?? Sequencer.getSwing(),
+            groove: section.groove || Sequencer.getGroove(),
+            trackInstruments: section.trackInstruments || Sequencer.getTrackInstruments(),
+            tempoRamp: getSectionTempoRamp(section, stepCount)
+          },
+          drumMixerSettings: section.drumMixerSettings || AudioEngine.exportMixerSettings(),
+          // Sections without a slot keep whatever loop tracks are loaded
+          loopTracks: slot ? slot.loopTracks || null : undefined
+        }
+      })
+    }
+
+    console.warn(`Unknown render mode: ${mode}`)
+    return []
+  }
+
   /**
    * Duplicate section
    * @param {number} index - Section index to duplicate
@@ -699,7 +931,10 @@ const SongMode = (() => {
         tempo: slot.tempo,
         timeSignature: slot.timeSignature,
         stepCount: slot.stepCount,
+        swing: slot.swing,
+        groove: slot.groove,
         repeats: slot.repeats,
+        autoFill: slot.autoFill || null,
         loopTracks: slot.loopTracks, // Pattern-specific loop tracks (already base64)
         trackInstruments: slot.trackInstruments || null, // Per-pattern instrument assignments
         drumMixerSettings: slot.drumMixerSettings || null, // Per-pattern mixer settings
@@ -722,10 +957,13 @@ const SongMode = (() => {
       index: slot.index,
       name: slot.name || `Pattern ${slot.index + 1}`,
       pattern: slot.pattern ? JSON.parse(JSON.stringify(slot.pattern)) : null,
-      tempo: slot.tempo || 120,
+      tempo: Sequencer.normalizeTempo(slot.tempo),
       timeSignature: slot.timeSignature || '4/4',
       stepCount: slot.stepCount || 16,
+      swing: slot.swing ?? Grooves.MIN_SWING,
+      groove: Grooves.getGroove(slot.groove) ? slot.groove : Grooves.DEFAULT_GROOVE,
       repeats: slot.repeats || 1,
+      autoFill: normalizeAutoFill(slot.autoFill), // Generated fill on the last repeat in chain mode
       loopTracks: slot.loopTracks || null,
       trackInstruments: slot.trackInstruments || null, // Per-pattern instrument assignments
       drumMixerSettings: slot.drumMixerSettings || null, // Per-pattern mixer settings
@@ -754,6 +992,10 @@ const SongMode = (() => {
         Sequencer.setStepCount(currentSlot.stepCount)
       }
 
+      // Restore swing and groove
+      Sequencer.setSwing(currentSlot.swing)
+      Sequencer.setGroove(currentSlot.groove)
+
       // Restore track instruments
       if (currentSlot.trackInstruments) {
         currentSlot.trackInstruments.forEach((instrumentId, trackIndex) => {
@@ -775,6 +1017,35 @@ const SongMode = (() => {
     emit('patternBankRestored')
   }
 
+  /**
+   * Export the editable song state (sections, pattern bank, current slot) for undo history
+   * Unlike exportPatternBank this doesn't touch the sequencer when imported again
+   * @returns {Object} Deep copy of the edit state
+   */
+  const exportEditState = () => {
+    return JSON.parse(JSON.stringify({ song, patternBank, currentPatternIndex }))
+  }
+
+  /**
+   * Restore an edit state captured with exportEditState
+   * @param {Object} state - Edit state
+   */
+  const importEditState = (state) => {
+    if (!state) return
+
+    const copy = JSON.parse(JSON.stringify(state))
+    song = copy.song
+    patternBank = copy.patternBank
+    currentPatternIndex = copy.currentPatternIndex
+
+    if (currentSection >= song.length) {
+      currentSection = Math.max(0, song.length - 1)
+    }
+
+    emit('songLoaded', { song })
+    emit('patternBankRestored')
+  }
+
   /**
    * Start chain mode playback
    */
@@ -799,6 +1070,7 @@ const SongMode = (() => {
 
     // Load and play first pattern
     applyPatternSwitch(chainCurrentPattern)
+    updateChainFill()
 
     if (!Sequencer.getIsPlaying()) {
       Sequencer.play()
@@ -815,6 +1087,7 @@ const SongMode = (() => {
       chainModeActive = false
       chainCurrentPattern = 0
       chainCurrentRepeat = 0
+      Sequencer.setOverridePattern(null)
       emit('chainModeStopped')
     }
   }
@@ -831,9 +1104,21 @@ const SongMode = (() => {
     // Check if we've completed all repeats for this pattern
     if (chainCurrentRepeat >= slot.repeats) {
       advanceChainPattern()
+    } else {
+      updateChainFill()
     }
   }
 
+  /**
+   * Play the current chain slot's fill if its last repeat is starting, or its stored pattern otherwise
+   * Called as each bar starts (the pattern has already been loaded for the slot)
+   */
+  const updateChainFill = () => {
+    const slot = patternBank[chainCurrentPattern]
+    const isLastRepeat = slot && chainCurrentRepeat === (slot.repeats || 1) - 1
+    Sequencer.setOverridePattern(isLastRepeat ? buildFillPattern(slot) : null)
+  }
+
   /**
    * Advance to next pattern in chain mode
    */
@@ -869,6 +1154,7 @@ const SongMode = (() => {
 
     // Switch to next pattern
     applyPatternSwitch(chainCurrentPattern)
+    updateChainFill()
     emit('chainModePatternChanged', { pattern: chainCurrentPattern })
   }
 
@@ -924,6 +1210,7 @@ const SongMode = (() => {
     getSong,
     clearSong,
     loadSong,
+    setSectionTempoRamp,
     play,
     stop,
     pause,
@@ -932,6 +1219,7 @@ const SongMode = (() => {
     getIsPlaying,
     getSongDuration,
     createSectionFromCurrent,
+    getRenderSegments,
     duplicateSection,
     exportSong,
     importSong,
@@ -941,6 +1229,7 @@ const SongMode = (() => {
     clearPatternSlot,
     clearCurrentPattern,
     setPatternRepeats,
+    setPatternAutoFill,
     switchToPattern,
     saveCurrentPattern,
     getPatternBank,
@@ -951,6 +1240,8 @@ const SongMode = (() => {
     stopChainMode,
     exportPatternBank,
     importPatternBank,
+    exportEditState,
+    importEditState,
     syncGlobalSampleName,
     on,
     off
@@ -40,7 +40,10 @@ const Storage = (() => {
         loopPedal: await LoopPedal.exportData(),
         patternBank: SongMode.exportPatternBank(),
         effects: Effects.getSettings(),
-        drumMixerSettings: AudioEngine.exportMixerSettings()
+        impulseResponses: await Effects.exportImpulseResponses(),
+        drumMixerSettings: AudioEngine.exportMixerSettings(),
+        midiNoteMap: MIDIFile.getNoteMap(),
+        midiInput: MIDIInput.exportSettings()
       }
 
       const sessionJson = JSON.stringify(session)
@@ -57,7 +60,7 @@ const Storage = (() => {
     } catch (error) {
       console.error('Failed to save session:', error)
       if (error.name === 'QuotaExceededError') {
-        alert('Session too large to save! Try reducing the number of loop recordings.')
+        alert('Session too large to save! Try reducing the number of loop recordings or loaded impulse responses.')
       }
       return false
     }
@@ -98,8 +101,9 @@ const Storage = (() => {
         await LoopPedal.importData(session.loopPedal)
       }
 
-      // Restore effects settings
+      // Restore effects settings (loaded impulse responses first, reverbs refer to them)
       if (session.effects) {
+        await Effects.importImpulseResponses(session.impulseResponses)
         Effects.loadSettings(session.effects)
         UI.updateEffectsUI()
       }
@@ -109,12 +113,25 @@ const Storage = (() => {
         AudioEngine.importMixerSettings(session.drumMixerSettings)
       }
 
+      // Restore MIDI import note mapping
+      if (session.midiNoteMap) {
+        MIDIFile.setNoteMap(session.midiNoteMap)
+      }
+
+      // Restore MIDI pad mapping
+      if (session.midiInput) {
+        MIDIInput.importSettings(session.midiInput)
+      }
+
       // Refresh UI to show restored data
       UI.renderSequencerGrid()
       UI.renderTrackNames()
       UI.updateLoopTrackDurations()
       UI.updateChainModeUI()
 
+      // Edits from before the load can't be undone into the restored session
+      History.clear()
+
       console.log('Session loaded successfully')
       return true
     } catch (error) {
@@ -136,7 +153,10 @@ const Storage = (() => {
         loopPedal: await LoopPedal.exportData(),
         patternBank: SongMode.exportPatternBank(),
         effects: Effects.getSettings(),
-        drumMixerSettings: AudioEngine.exportMixerSettings()
+        impulseResponses: await Effects.exportImpulseResponses(),
+        drumMixerSettings: AudioEngine.exportMixerSettings(),
+        midiNoteMap: MIDIFile.getNoteMap(),
+        midiInput: MIDIInput.exportSettings()
       }
 
       const json = JSON.stringify(session, null, 2)
@@ -196,8 +216,9 @@ const Storage = (() => {
         await LoopPedal.importData(session.loopPedal)
       }
 
-      // Restore effects settings
+      // Restore effects settings (loaded impulse responses first, reverbs refer to them)
       if (session.effects) {
+        await Effects.importImpulseResponses(session.impulseResponses)
         Effects.loadSettings(session.effects)
         UI.updateEffectsUI()
       }
@@ -207,12 +228,25 @@ const Storage = (() => {
         AudioEngine.importMixerSettings(session.drumMixerSettings)
       }
 
+      // Restore MIDI import note mapping
+      if (session.midiNoteMap) {
+        MIDIFile.setNoteMap(session.midiNoteMap)
+      }
+
+      // Restore MIDI pad mapping
+      if (session.midiInput) {
+        MIDIInput.importSettings(session.midiInput)
+      }
+
       // Refresh UI
       UI.renderSequencerGrid()
       UI.renderTrackNames()
       UI.updateLoopTrackDurations()
       UI.updateChainModeUI()
 
+      // Edits from before the import can't be undone into the restored session
+      History.clear()
+
       console.log('Session imported successfully')
       return true
     } catch (error) {
@@ -224,72 +258,254 @@ const Storage = (() => {
 
   /**
    * Export audio mix as WAV file
-   * Mixes sequencer pattern and loop pedal tracks into a single WAV file
+   * Renders drums, sample triggers and free-running loops through the mixer and effects,
+   * letting reverb and delay tails ring out after the last step.
+   * Modes: 'pattern' renders the current pattern for 4 bars, 'chain' renders the
+   * non-empty pattern bank slots with their repeats, 'song' renders the song sections
+   * @param {Object} options - { mode, onProgress(progress, stage, message) }
+   *   progress is 0-1, stage is 'preparing', 'rendering', 'encoding', 'done' or 'error'.
+   *   Without onProgress, problems are reported with alert()
+   * @returns {Promise<boolean>} Success status
    */
-  const exportAudioMix = async () => {
+  const exportAudioMix = async (options = {}) => {
+    const { mode = 'pattern', onProgress = null } = options
+    const fail = createFailHandler(onProgress)
+
     try {
       const audioContext = AudioEngine.getContext()
       if (!audioContext) {
-        alert('Audio engine not initialized. Please click somewhere on the page first.')
-        return false
+        return fail('Audio engine not initialized. Please click somewhere on the page first.')
       }
 
-      // Show progress message
-      const originalText = 'Rendering audio mix...'
-      console.log(originalText)
-
-      // Collect all audio buffers to mix
-      const buffersToMix = []
-
-      // 1. Render current sequencer pattern (4 bars)
-      const pattern = Sequencer.getPattern()
-      const tempo = Sequencer.getTempo()
-
-      if (pattern) {
-        try {
-          const patternBuffer = await WAVEncoder.renderPattern(audioContext, pattern, tempo, 4)
-          if (patternBuffer) {
-            buffersToMix.push(patternBuffer)
-          }
-        } catch (error) {
-          console.warn('Failed to render pattern:', error)
-        }
+      console.log(`Rendering audio mix (${mode})...`)
+
+      const segments = await getExportSegments(mode)
+      if (segments.length === 0) {
+        return fail(getEmptyExportMessage(mode))
       }
 
-      // 2. Get loop pedal tracks
-      const loopTracks = LoopPedal.getAllTracksInfo()
-      loopTracks.forEach(track => {
-        if (track.buffer && !track.isMuted) {
-          buffersToMix.push(track.buffer)
+      // Render everything through the full mixer and effects
+      const mixedBuffer = await WAVEncoder.renderSegments(audioContext, segments, {
+        onProgress: (progress, stage) => {
+          if (onProgress) onProgress(progress * 0.95, stage)
         }
       })
 
-      // Check if we have anything to export
-      if (buffersToMix.length === 0) {
-        alert('Nothing to export! Create a drum pattern or record some loops first.')
-        return false
-      }
-
-      // 3. Mix all buffers together
-      const mixedBuffer = WAVEncoder.mixBuffers(audioContext, buffersToMix)
-
-      // 4. Encode to WAV
+      // Encode to WAV
+      if (onProgress) onProgress(0.95, 'encoding')
       const wavBlob = WAVEncoder.encodeWAV(mixedBuffer, 16)
 
-      // 5. Download the file
+      // Download the file
       const url = URL.createObjectURL(wavBlob)
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
-      const filename = `drum-machine-mix-${timestamp}.wav`
+      const filename = `drum-machine-${mode === 'pattern' ? 'mix' : mode}-${timestamp}.wav`
 
       downloadFile(url, filename)
       URL.revokeObjectURL(url)
 
       console.log('Audio mix exported successfully')
-      alert('Audio mix exported successfully!')
+      if (onProgress) onProgress(1, 'done')
       return true
     } catch (error) {
       console.error('Failed to export audio:', error)
-      alert('Failed to export audio mix. Check console for details.')
+      return fail('Failed to export audio mix. Check console for details.')
+    }
+  }
+
+  /**
+   * Export stems (one WAV per drum and sample track) as a ZIP file
+   * Stems are time-aligned and post-mixer; tracks that never play are left out
+   * @param {Object} options - { mode, preEffects, onProgress(progress, stage, message) }
+   *   mode and onProgress work like exportAudioMix; preEffects skips the master effects and send buses
+   * @returns {Promise<boolean>} Success status
+   */
+  const exportStems = async (options = {}) => {
+    const { mode = 'pattern', preEffects = false, onProgress = null } = options
+    const fail = createFailHandler(onProgress)
+
+    try {
+      const audioContext = AudioEngine.getContext()
+      if (!audioContext) {
+        return fail('Audio engine not initialized. Please click somewhere on the page first.')
+      }
+
+      console.log(`Rendering stems (${mode}${preEffects ? ', pre-effects' : ''})...`)
+
+      const segments = await getExportSegments(mode)
+      if (segments.length === 0) {
+        return fail(getEmptyExportMessage(mode))
+      }
+
+      const stems = await WAVEncoder.renderStems(audioContext, segments, {
+        preEffects,
+        onProgress: (progress, stage) => {
+          if (onProgress) onProgress(progress * 0.9, stage)
+        }
+      })
+
+      if (stems.length === 0) {
+        return fail(getEmptyExportMessage(mode))
+      }
+
+      // Encode each stem and bundle them
+      if (onProgress) onProgress(0.9, 'encoding')
+      const files = stems.map(stem => {
+        let name
+        if (stem.type === 'drum') {
+          // Name drum stems after the instruments their segments rendered, not the ones loaded now
+          const instrumentNames = stem.instruments.map(id => AudioEngine.getInstrumentInfo(id)?.name || id)
+          name = `drum-${String(stem.index + 1).padStart(2, '0')}-${instrumentNames.join('-')}`
+        } else {
+          name = `sample-${stem.index + 1}-${LoopPedal.getTrackName(stem.index)}`
+        }
+
+        return {
+          name: `${name.replace(/[^a-zA-Z0-9 _-]/g, '').trim()}.wav`,
+          data: WAVEncoder.encodeWAV(stem.buffer, 16)
+        }
+      })
+      const zipBlob = await ZipWriter.createZip(files)
+
+      // Download the file
+      const url = URL.createObjectURL(zipBlob)
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
+      const filename = `drum-machine-stems-${mode}-${timestamp}.zip`
+
+      downloadFile(url, filename)
+      URL.revokeObjectURL(url)
+
+      console.log(`Exported ${stems.length} stems successfully`)
+      if (onProgress) onProgress(1, 'done')
+      return true
+    } catch (error) {
+      console.error('Failed to export stems:', error)
+      return fail('Failed to export stems. Check console for details.')
+    }
+  }
+
+  /**
+   * Export the current pattern, pattern chain or song as a Standard MIDI File
+   * @param {Object} options - { mode } ('pattern', 'chain' or 'song')
+   * @returns {Promise<boolean>} Success status
+   */
+  const exportMIDI = async (options = {}) => {
+    const { mode = 'pattern' } = options
+
+    try {
+      const segments = await getExportSegments(mode)
+      if (segments.length === 0) {
+        alert(getEmptyExportMessage(mode))
+        return false
+      }
+
+      const midiData = MIDIFile.encodeSegments(segments)
+      const blob = new Blob([midiData], { type: 'audio/midi' })
+
+      const url = URL.createObjectURL(blob)
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
+      const filename = `drum-machine-${mode}-${timestamp}.mid`
+
+      downloadFile(url, filename)
+      URL.revokeObjectURL(url)
+
+      console.log('MIDI file exported successfully')
+      return true
+    } catch (error) {
+      console.error('Failed to export MIDI:', error)
+      alert('Failed to export MIDI file. Check console for details.')
+      return false
+    }
+  }
+
+  /**
+   * Import a MIDI drum file into the current pattern
+   * Notes are mapped to drum tracks with the note map and quantized to 16th-note steps
+   * @param {File} file - .mid file to import
+   * @param {Object} options - { noteMap, channel } (see MIDIFile.toPattern)
+   * @returns {Promise<boolean>} Success status
+   */
+  const importMIDIFile = async (file, options = {}) => {
+    try {
+      const midi = MIDIFile.parse(await file.arrayBuffer())
+      const { hits, stepCount, tempo, timeSignature, skipped } = MIDIFile.toPattern(midi, options)
+
+      if (Object.keys(hits).length === 0) {
+        alert('No drum notes found in this MIDI file.')
+        return false
+      }
+
+      // Replace the current pattern's drum tracks (undoable as one edit)
+      // Sample tracks, the accent row and other tracks' trigs are kept
+      History.perform('Import MIDI', ['sequencer'], () => {
+        const defaultInstruments = AudioEngine.getDefaultInstruments()
+        defaultInstruments.forEach(trackId => Sequencer.clearTrack(trackId))
+
+        Sequencer.setTempo(tempo)
+        Sequencer.setTimeSignature(timeSignature)
+        Sequencer.setStepResolution('16')
+        Sequencer.setStepCount(stepCount)
+
+        Object.entries(hits).forEach(([trackIndex, steps]) => {
+          steps.forEach(({ step, velocity }) => {
+            Sequencer.setStep(defaultInstruments[trackIndex], step, velocity)
+          })
+        })
+      })
+
+      if (skipped > 0) {
+        console.warn(`${skipped} MIDI notes were not imported (unmapped note, other channel or past step ${Sequencer.MAX_STEPS})`)
+      }
+
+      await SongMode.saveCurrentPattern()
+      UI.renderSequencerGrid()
+
+      console.log('MIDI file imported successfully')
+      return true
+    } catch (error) {
+      console.error('Failed to import MIDI:', error)
+      alert('Failed to import MIDI file. It may be corrupted or not a Standard MIDI File.')
+      return false
+    }
+  }
+
+  /**
+   * Get the render segments for an export mode
+   * @param {string} mode - 'pattern', 'chain' or 'song'
+   * @returns {Promise<Array>} Render segments (see WAVEncoder.renderSegments)
+   */
+  const getExportSegments = async (mode) => {
+    if (mode === 'pattern') {
+      return Sequencer.getPattern() ? [{ state: Sequencer.getPlaybackState(true), bars: 4 }] : []
+    }
+    return await SongMode.getRenderSegments(mode)
+  }
+
+  /**
+   * Get the message shown when an export mode has nothing to render
+   * @param {string} mode - 'pattern', 'chain' or 'song'
+   * @returns {string} Message
+   */
+  const getEmptyExportMessage = (mode) => {
+    const emptyMessages = {
+      chain: 'Nothing to export! All pattern slots are empty.',
+      song: 'Nothing to export! Add some sections to the song first.'
+    }
+    return emptyMessages[mode] || 'Nothing to export! Create a drum pattern or record some loops first.'
+  }
+
+  /**
+   * Create an export error reporter
+   * Reports through the progress callback if there is one, otherwise with alert()
+   * @param {Function|null} onProgress - Progress callback
+   * @returns {Function} Reporter (message) that returns false
+   */
+  const createFailHandler = (onProgress) => {
+    return (message) => {
+      if (onProgress) {
+        onProgress(0, 'error', message)
+      } else {
+        alert(message)
+      }
       return false
     }
   }
@@ -356,6 +572,9 @@ const Storage = (() => {
     exportSessionFile,
     importSessionFile,
     exportAudioMix,
+    exportStems,
+    exportMIDI,
+    importMIDIFile,
     enableAutoSave,
     disableAutoSave,
     clearSession,
@@ -36,6 +36,118 @@ const UI = (() => {
   let gridCellHeight = 0
   let currentHighlightedStep = -1
 
+  // Grid pages: patterns up to MAX_FULL_VIEW_STEPS can be shown whole, longer ones are edited a page at a time
+  const PAGE_SIZE = 16
+  const MAX_FULL_VIEW_STEPS = 48
+  let viewPage = null  // Page shown on the grid (null = the whole pattern)
+  let followPlayhead = true  // Turn pages with the playhead during playback
+
+  // Step velocity editing state (vertical drag on an active step)
+  let velocityDrag = null
+  let suppressNextSequencerClick = false
+  const VELOCITY_CYCLE = [1, 0.75, 0.5, 0.25]  // Shift+click velocity levels
+
+  // Step being edited in the step settings panel (right-click on an active step)
+  let editingStep = null
+
+  // Track being edited in the track length panel (right-click on a track name)
+  let editingTrack = null
+  let editingSlot = null  // Pattern slot index open in the slot panel
+  let editingSection = null  // Song section index open in the section panel
+  let editingInserts = null  // Track open in the insert effects panel { isLoop, id, name }
+  const TRACK_RATE_LABELS = { 0.25: '1/4x', 0.5: '1/2x', 0.75: '3/4x', 1: '1x', 1.5: '3/2x', 2: '2x' }
+
+  // Parameter lock sliders in the step panel (ranges come from Sequencer.LOCK_RANGES)
+  const LOCK_CONTROLS = [
+    { param: 'pitch', label: 'Pitch', step: 1 },
+    { param: 'pan', label: 'Pan', step: 0.01 },
+    { param: 'decay', label: 'Decay', step: 1 },
+    { param: 'length', label: 'Length', step: 0.01 },
+    { param: 'bass', label: 'Bass', step: 1 },
+    { param: 'treble', label: 'Treble', step: 1 }
+  ]
+
+  // Effect rack controls per effect type
+  // (syncedBy: the choice control that replaces the slider's value with a tempo-synced note value,
+  // impulse: a button that loads a WAV impulse response into the slot)
+  const formatPercent = (value) => `${Math.round(value * 100)}%`
+  const formatDecibels = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)}dB`
+  const SYNC_LABELS = {
+    off: 'Free',
+    '4/1': '4 bars',
+    '2/1': '2 bars',
+    '1/1': '1 bar',
+    '1/2': '1/2',
+    '1/2d': '1/2 dotted',
+    '1/2t': '1/2 triplet',
+    '1/4': '1/4',
+    '1/4d': '1/4 dotted',
+    '1/4t': '1/4 triplet',
+    '1/8': '1/8',
+    '1/8d': '1/8 dotted',
+    '1/8t': '1/8 triplet',
+    '1/16': '1/16',
+    '1/16d': '1/16 dotted',
+    '1/16t': '1/16 triplet',
+    '1/32': '1/32'
+  }
+  const EFFECT_CONTROLS = {
+    reverb: [
+      { param: 'wetDry', label: 'Mix', min: 0, max: 1, step: 0.01, format: formatPercent },
+      { param: 'algorithm', label: 'Type', options: { room: 'Room', plate: 'Plate', hall: 'Hall', spring: 'Spring', impulse: 'Impulse response' } },
+      { param: 'impulse', label: 'Impulse', impulse: true },
+      { param: 'decayTime', label: 'Decay', min: 0.1, max: 10, step: 0.1, format: (value) => `${value.toFixed(1)}s` },
+      { param: 'preDelay', label: 'Pre-delay', min: 0, max: 0.5, step: 0.001, format: (value) => `${Math.round(value * 1000)}ms` },
+      { param: 'size', label: 'Size', min: 0, max: 1, step: 0.01, format: formatPercent },
+      { param: 'damping', label: 'Damping', min: 0, max: 1, step: 0.01, format: formatPercent }
+    ],
+    delay: [
+      { param: 'wetDry', label: 'Mix', min: 0, max: 1, step: 0.01, format: formatPercent },
+      { param: 'delayTime', label: 'Time', min: 0.01, max: 5, step: 0.01, format: (value) => `${value.toFixed(3)}s`, syncedBy: 'sync' },
+      { param: 'sync', label: 'Sync', options: SYNC_LABELS },
+      { param: 'mode', label: 'Mode', options: { normal: 'Normal', pingpong: 'Ping-pong' } },
+      { param: 'feedback', label: 'Feedback', min: 0, max: 0.9, step: 0.01, format: formatPercent }
+    ],
+    distortion: [
+      { param: 'amount', label: 'Amount', min: 0, max: 1, step: 0.01, format: formatPercent },
+      { param: 'tone', label: 'Tone', min: 0, max: 1, step: 0.01, format: formatPercent }
+    ],
+    compressor: [
+      { param: 'threshold', label: 'Threshold', min: -100, max: 0, step: 1, format: (value) => `${value}dB` },
+      { param: 'ratio', label: 'Ratio', min: 1, max: 20, step: 1, format: (value) => `${value}:1` }
+    ],
+    eq: [
+      { param: 'low', label: 'Low (100Hz)', min: -15, max: 15, step: 0.1, format: formatDecibels },
+      { param: 'mid', label: 'Mid (1kHz)', min: -15, max: 15, step: 0.1, format: formatDecibels },
+      { param: 'high', label: 'High (10kHz)', min: -15, max: 15, step: 0.1, format: formatDecibels }
+    ],
+    filter: [
+      { param: 'type', label: 'Type', options: { lowpass: 'Lowpass', highpass: 'Highpass', bandpass: 'Bandpass' } },
+      { param: 'frequency', label: 'Cutoff', min: 20, max: 20000, step: 1, format: (value) => `${Math.round(value)}Hz` },
+      { param: 'resonance', label: 'Resonance', min: 0, max: 10, step: 0.1, format: (value) => value.toFixed(1) }
+    ],
+    chorus: [
+      { param: 'rate', label: 'Rate', min: 0.1, max: 10, step: 0.1, format: (value) => `${value.toFixed(1)}Hz`, syncedBy: 'sync' },
+      { param: 'sync', label: 'Sync', options: SYNC_LABELS },
+      { param: 'depth', label: 'Depth', min: 0, max: 0.01, step: 0.0001, format: (value) => `${Math.round(value * 10000)}%` },
+      { param: 'mix', label: 'Mix', min: 0, max: 1, step: 0.01, format: formatPercent }
+    ],
+    phaser: [
+      { param: 'rate', label: 'Rate', min: 0.1, max: 10, step: 0.1, format: (value) => `${value.toFixed(1)}Hz`, syncedBy: 'sync' },
+      { param: 'sync', label: 'Sync', options: SYNC_LABELS },
+      { param: 'depth', label: 'Depth', min: 0, max: 1, step: 0.01, format: formatPercent },
+      { param: 'feedback', label: 'Feedback', min: 0, max: 0.95, step: 0.01, format: formatPercent }
+    ],
+    bitcrusher: [
+      { param: 'bits', label: 'Bits', min: 1, max: 16, step: 1, format: (value) => `${value}-bit` },
+      { param: 'mix', label: 'Mix', min: 0, max: 1, step: 0.01, format: formatPercent }
+    ],
+    transient: [
+      { param: 'attack', label: 'Attack', min: -1, max: 1, step: 0.01, format: (value) => `${value > 0 ? '+' : ''}${Math.round(value * 100)}%` },
+      { param: 'sustain', label: 'Sustain', min: -1, max: 1, step: 0.01, format: (value) => `${value > 0 ? '+' : ''}${Math.round(value * 100)}%` }
+    ]
+  }
+
   // Theme colors (will be updated based on current theme)
   let colors = {
     background: '#1a1a1a',
@@ -97,9 +209,8 @@ const UI = (() => {
       sequencerCanvas.width = rect.width
       sequencerCanvas.height = rect.height
 
-      // Calculate grid dimensions based on current step count
-      const stepCount = Sequencer.getStepCount()
-      gridCellWidth = sequencerCanvas.width / stepCount
+      // Calculate grid dimensions based on the steps in view
+      gridCellWidth = sequencerCanvas.width / getGridView().columns
       gridCellHeight = Math.max(18, sequencerCanvas.height / 24) // 24 tracks, min 18px per row
 
       renderSequencerGrid()
@@ -107,6 +218,75 @@ const UI = (() => {
 
     resizeCanvas()
     window.addEventListener('resize', resizeCanvas)
+
+    // Page selector (shown above the grid for patterns longer than one page)
+    const pages = document.getElementById('sequencerPages')
+    if (pages) {
+      pages.addEventListener('click', (e) => {
+        const button = e.target.closest('button')
+        if (!button) return
+
+        if (button.dataset.action === 'follow') {
+          followPlayhead = !followPlayhead
+        } else {
+          // Picking a page stops the grid from following the playhead away from it
+          viewPage = button.dataset.page === '' ? null : parseInt(button.dataset.page, 10)
+          followPlayhead = false
+        }
+        renderPageSelector()
+        renderSequencerGrid()
+      })
+    }
+    renderPageSelector()
+  }
+
+  /**
+   * Get the steps shown on the grid
+   * @returns {Object} { start (first step), count (steps shown), columns (grid width in steps), page (null = whole pattern) }
+   */
+  const getGridView = () => {
+    const stepCount = Sequencer.getStepCount()
+    if (viewPage === null && stepCount <= MAX_FULL_VIEW_STEPS) {
+      return { start: 0, count: stepCount, columns: stepCount, page: null }
+    }
+
+    const pageCount = Math.ceil(stepCount / PAGE_SIZE)
+    const page = Math.max(0, Math.min(pageCount - 1, viewPage ?? 0))
+    const start = page * PAGE_SIZE
+    return { start, count: Math.min(PAGE_SIZE, stepCount - start), columns: PAGE_SIZE, page }
+  }
+
+  /**
+   * Render the page buttons above the grid
+   */
+  const renderPageSelector = () => {
+    const container = document.getElementById('sequencerPages')
+    if (!container) return
+
+    container.innerHTML = ''
+    const stepCount = Sequencer.getStepCount()
+    const pageCount = Math.ceil(stepCount / PAGE_SIZE)
+    if (pageCount <= 1) return
+
+    const view = getGridView()
+    const addButton = (label, title, data, isActive) => {
+      const button = document.createElement('button')
+      button.className = 'sequencer__page'
+      button.classList.toggle('is-active', isActive)
+      button.textContent = label
+      button.title = title
+      Object.assign(button.dataset, data)
+      container.appendChild(button)
+    }
+
+    if (stepCount <= MAX_FULL_VIEW_STEPS) {
+      addButton('All', 'Show the whole pattern', { page: '' }, view.page === null)
+    }
+    for (let page = 0; page < pageCount; page++) {
+      const start = page * PAGE_SIZE
+      addButton(page + 1, `Steps ${start + 1}-${Math.min(stepCount, start + PAGE_SIZE)}`, { page }, view.page === page)
+    }
+    addButton('Follow', 'Turn pages with the playhead', { action: 'follow' }, followPlayhead)
   }
 
   /**
@@ -165,6 +345,9 @@ const UI = (() => {
     draggedKnob = knob
     dragStartY = e.clientY
 
+    // The whole drag is one undo step
+    History.begin('Change volume', [loopTrack !== undefined ? 'loops' : 'mixer'])
+
     // Get initial volume from appropriate source
     if (loopTrack !== undefined) {
       const trackInfo = LoopPedal.getTrackInfo(parseInt(loopTrack, 10))
@@ -201,6 +384,7 @@ const UI = (() => {
 
   const handleKnobMouseUp = () => {
     draggedKnob = null
+    History.commit()
 
     document.removeEventListener('mousemove', handleKnobMouseMove)
     document.removeEventListener('mouseup', handleKnobMouseUp)
@@ -268,7 +452,9 @@ const UI = (() => {
     { param: 'decay', label: 'Dec', min: 0, max: 100, default: 100, color: 'decay' },
     { param: 'length', label: 'Len', min: 0, max: 2, default: 2, color: 'length' },
     { param: 'bass', label: 'Bas', min: -12, max: 12, default: 0, color: 'bass' },
-    { param: 'treble', label: 'Trb', min: -12, max: 12, default: 0, color: 'treble' }
+    { param: 'treble', label: 'Trb', min: -12, max: 12, default: 0, color: 'treble' },
+    { param: 'sendA', label: 'SnA', min: 0, max: 1, default: 0, color: 'send' },
+    { param: 'sendB', label: 'SnB', min: 0, max: 1, default: 0, color: 'send' }
   ]
 
   /**
@@ -276,7 +462,9 @@ const UI = (() => {
    */
   const formatKnobValue = (param, value) => {
     switch (param) {
-      case 'volume': return `${Math.round(value * 100)}%`
+      case 'volume':
+      case 'sendA':
+      case 'sendB': return `${Math.round(value * 100)}%`
       case 'timingOffset': return `${value > 0 ? '+' : ''}${Math.round(value)}ms`
       case 'pan': return value === 0 ? 'C' : (value < 0 ? `L${Math.abs(Math.round(value * 100))}` : `R${Math.round(value * 100)}`)
       case 'pitch': return `${value > 0 ? '+' : ''}${Math.round(value)}st`
@@ -321,6 +509,33 @@ const UI = (() => {
     return container
   }
 
+  /**
+   * Create a track's insert effects button (lit while any insert is on)
+   * @param {Object} insertTrack - { isLoop, id, name } (id is the instrument id or loop track index)
+   * @param {Array<Object>} inserts - The track's insert effects
+   * @returns {HTMLElement} Button element
+   */
+  const createInsertButton = (insertTrack, inserts = []) => {
+    const names = Object.fromEntries(Effects.getEffectTypes().map(({ type, name }) => [type, name]))
+    const active = inserts.filter(insert => !insert.bypassed)
+
+    const button = document.createElement('button')
+    button.className = 'mixer-insert'
+    button.classList.toggle('is-active', active.length > 0)
+    button.textContent = 'FX'
+    button.title = active.length > 0 ? `Inserts: ${active.map(insert => names[insert.type]).join(', ')}` : 'Insert effects'
+    button.setAttribute('aria-label', `Insert effects for ${insertTrack.name}`)
+
+    button.addEventListener('click', (e) => {
+      e.stopPropagation()
+      editingInserts = insertTrack
+      renderInsertPanel()
+      document.getElementById('insert-panel')?.classList.remove('hidden')
+    })
+
+    return button
+  }
+
   /**
    * Render the sticky header row with knob labels
    */
@@ -343,11 +558,17 @@ const UI = (() => {
       header.appendChild(label)
     })
 
+    // Insert effects column
+    const insertLabel = document.createElement('span')
+    insertLabel.className = 'track-header__label track-header__label--insert'
+    insertLabel.textContent = 'FX'
+    header.appendChild(insertLabel)
+
     return header
   }
 
   /**
-   * Render track names with 8 mixer knobs each
+   * Render track names with their mixer knobs
    */
   const renderTrackNames = () => {
     if (!trackNamesContainer) return
@@ -400,6 +621,18 @@ const UI = (() => {
 
       nameDiv.appendChild(label)
 
+      // Right-click opens the track's own length/speed and Euclidean settings
+      const scale = Sequencer.getTrackScale(track.id)
+      if (scale) {
+        nameDiv.title = `${scale.length || Sequencer.getStepCount()} steps at ${TRACK_RATE_LABELS[scale.rate || 1]}`
+      }
+      nameDiv.addEventListener('contextmenu', (e) => {
+        e.preventDefault()
+        editingTrack = track
+        renderTrackPanel()
+        document.getElementById('track-panel')?.classList.remove('hidden')
+      })
+
       // Determine if this is a loop track and get mixer settings
       const isLoopTrack = track.id.startsWith('loop')
       let mixerSettings, currentVolume, loopTrackIndex
@@ -427,6 +660,12 @@ const UI = (() => {
         nameDiv.appendChild(knobContainer)
       })
 
+      // Insert effects button opens the track's insert chain
+      const insertTrack = isLoopTrack
+        ? { isLoop: true, id: loopTrackIndex, name: track.name }
+        : { isLoop: false, id: track.instrumentId, name: track.name }
+      nameDiv.appendChild(createInsertButton(insertTrack, mixerSettings.inserts))
+
       scrollable.appendChild(nameDiv)
     })
 
@@ -480,7 +719,7 @@ const UI = (() => {
       input.remove()
 
       // Save the name
-      LoopPedal.setTrackName(loopTrackIndex, newName)
+      History.perform('Rename sample', ['loops'], () => LoopPedal.setTrackName(loopTrackIndex, newName))
 
       // If global sample (0-3), emit event for any listeners
       if (isGlobal && typeof SongMode !== 'undefined' && SongMode.syncGlobalSampleName) {
@@ -565,6 +804,8 @@ const UI = (() => {
     const instrumentId = knob.dataset.instrument
     const isLoop = knob.dataset.isLoop === 'true'
 
+    History.begin(`Change ${param}`, [isLoop ? 'loops' : 'mixer'])
+
     // Get current value
     if (isLoop) {
       const trackIndex = parseInt(knob.dataset.loopTrack, 10)
@@ -634,6 +875,7 @@ const UI = (() => {
 
   const handleMixerKnobMouseUp = () => {
     draggedMixerKnob = null
+    History.commit()
     document.removeEventListener('mousemove', handleMixerKnobMouseMove)
     document.removeEventListener('mouseup', handleMixerKnobMouseUp)
   }
@@ -657,7 +899,7 @@ const UI = (() => {
       `
 
       btn.addEventListener('click', () => {
-        Sequencer.loadPattern(pattern)
+        History.perform('Load preset', ['sequencer'], () => Sequencer.loadPattern(pattern))
         renderSequencerGrid()
 
         // Update active state
@@ -774,28 +1016,34 @@ const UI = (() => {
     const allTracks = Sequencer.getAllTracks()
     const numTracks = allTracks.length
     const numSteps = Sequencer.getStepCount()
+    const view = getGridView()
+    const lastCol = view.start + view.count
 
-    gridCellWidth = width / numSteps
+    gridCellWidth = width / view.columns
     gridCellHeight = Math.max(18, height / numTracks) // Min 18px per row
 
-    // Get time signature to determine group highlighting
-    const timeSignature = Sequencer.getTimeSignature()
-    let groupSize = 4 // Default to 4/4
-    if (timeSignature === '3/4' || timeSignature === '12/8') {
-      groupSize = 3
-    }
+    // Beats of the meter are highlighted, bars get a line
+    const meter = Sequencer.getMeter()
+    const meterPositions = Array.from({ length: lastCol }, (_, col) => Sequencer.getMeterPosition(col, meter))
 
     // Draw grid and steps
     allTracks.forEach((track, row) => {
-      for (let col = 0; col < numSteps; col++) {
-        const x = col * gridCellWidth
+      // Steps past a track's own length never play
+      const trackLength = pattern.trackScales?.[track.id]?.length || numSteps
+
+      for (let col = view.start; col < lastCol; col++) {
+        const cellAlpha = col < trackLength ? 1 : 0.35
+        ctx.globalAlpha = cellAlpha
+
+        const x = (col - view.start) * gridCellWidth
         const y = row * gridCellHeight
 
-        // Check if this is the first column of a group
-        const isGroupStart = col % groupSize === 0
+        // Check if this is the first column of a beat
+        const isGroupStart = meterPositions[col].isBeatStart
 
-        // Check if step is active
-        const isActive = pattern.pattern[track.id]?.[col] === 1
+        // Check if step is active (any velocity above 0)
+        const velocity = pattern.pattern[track.id]?.[col] || 0
+        const isActive = velocity > 0
 
         // Highlight current step
         const isHighlighted = col === currentHighlightedStep
@@ -819,17 +1067,81 @@ const UI = (() => {
           const pillHeight = gridCellHeight - margin * 2
           const radius = Math.min(pillWidth, pillHeight) / 2
 
+          // Softer steps are drawn more transparent
+          ctx.globalAlpha = cellAlpha * (0.3 + 0.7 * Math.min(1, velocity))
           ctx.fillStyle = isHighlighted ? colors.highlight : colors.active
           ctx.beginPath()
           ctx.roundRect(pillX, pillY, pillWidth, pillHeight, radius)
           ctx.fill()
+          ctx.globalAlpha = cellAlpha
+
+          const trig = pattern.trigs?.[track.id]?.[col]
+
+          // Ratchet count inside the pill
+          if (trig?.ratchet && pillWidth >= 10) {
+            ctx.fillStyle = colors.background
+            ctx.font = `bold ${Math.floor(Math.min(pillHeight, pillWidth) * 0.75)}px sans-serif`
+            ctx.textAlign = 'center'
+            ctx.textBaseline = 'middle'
+            ctx.fillText(trig.ratchet, pillX + pillWidth / 2, pillY + pillHeight / 2 + 1)
+          }
+
+          // Corner mark for steps with a probability or condition
+          if (trig && (trig.probability !== undefined || trig.condition)) {
+            const size = Math.min(pillWidth, pillHeight) / 2
+            ctx.fillStyle = colors.text
+            ctx.beginPath()
+            ctx.moveTo(pillX + pillWidth - size, pillY)
+            ctx.lineTo(pillX + pillWidth, pillY)
+            ctx.lineTo(pillX + pillWidth, pillY + size)
+            ctx.closePath()
+            ctx.fill()
+          }
+
+          // Opposite corner mark for steps with parameter locks
+          if (trig?.locks) {
+            const size = Math.min(pillWidth, pillHeight) / 2
+            ctx.fillStyle = colors.text
+            ctx.beginPath()
+            ctx.moveTo(pillX, pillY + pillHeight - size)
+            ctx.lineTo(pillX, pillY + pillHeight)
+            ctx.lineTo(pillX + size, pillY + pillHeight)
+            ctx.closePath()
+            ctx.fill()
+          }
         }
 
         // Draw grid lines
         ctx.strokeStyle = colors.grid
         ctx.strokeRect(x, y, gridCellWidth, gridCellHeight)
       }
+      ctx.globalAlpha = 1
+
+      // Loop point marker for tracks with their own length
+      if (trackLength < numSteps && trackLength > view.start && trackLength <= lastCol) {
+        ctx.fillStyle = colors.highlight
+        ctx.fillRect((trackLength - view.start) * gridCellWidth - 1, row * gridCellHeight, 2, gridCellHeight)
+      }
     })
+
+    // Draw bar lines
+    ctx.fillStyle = colors.active
+    ctx.globalAlpha = 0.5
+    for (let col = view.start + 1; col < lastCol; col++) {
+      if (meterPositions[col].isBarStart) {
+        ctx.fillRect((col - view.start) * gridCellWidth - 1, 0, 2, height)
+      }
+    }
+    ctx.globalAlpha = 1
+
+    // Draw accent markers along the top edge of accented columns
+    const accent = pattern.accent || []
+    ctx.fillStyle = colors.highlight
+    for (let col = view.start; col < lastCol; col++) {
+      if (accent[col]) {
+        ctx.fillRect((col - view.start) * gridCellWidth + 1, 0, gridCellWidth - 2, 3)
+      }
+    }
   }
 
   /**
@@ -894,6 +1206,8 @@ const UI = (() => {
     // Sequencer canvas click
     if (sequencerCanvas) {
       sequencerCanvas.addEventListener('click', handleSequencerClick)
+      sequencerCanvas.addEventListener('mousedown', handleSequencerMouseDown)
+      sequencerCanvas.addEventListener('contextmenu', handleSequencerContextMenu)
     }
 
     // Transport controls
@@ -931,29 +1245,54 @@ const UI = (() => {
     const tempoSlider = document.getElementById('tempoSlider')
     const tempoValue = document.getElementById('tempoValue')
     if (tempoSlider) {
+      tempoSlider.min = Sequencer.MIN_TEMPO
+      tempoSlider.max = Sequencer.MAX_TEMPO
       tempoSlider.addEventListener('input', (e) => {
-        const tempo = parseInt(e.target.value, 10)
+        const tempo = parseFloat(e.target.value)
         Sequencer.setTempo(tempo)
         if (tempoValue) {
-          tempoValue.textContent = tempo
+          tempoValue.textContent = formatTempo(Sequencer.getTempo())
         }
         updateTempoDisplay()
       })
     }
 
+    // Tap tempo
+    const tapTempoBtn = document.getElementById('tapTempoBtn')
+    if (tapTempoBtn) {
+      tapTempoBtn.addEventListener('click', handleTapTempo)
+    }
+
     // Time signature selector
     const timeSignature = document.getElementById('timeSignature')
     if (timeSignature) {
       timeSignature.addEventListener('change', (e) => {
+        if (!Sequencer.parseTimeSignature(e.target.value)) {
+          alert('Enter a time signature like 4/4, 7/8 or 11/16 (1-32 over 1, 2, 4, 8, 16 or 32).')
+          e.target.value = Sequencer.getTimeSignature()
+          return
+        }
         Sequencer.setTimeSignature(e.target.value)
+        e.target.value = Sequencer.getTimeSignature()
         renderSequencerGrid()  // Re-render to update group highlighting
       })
     }
 
+    // Step resolution selector
+    const stepResolution = document.getElementById('stepResolution')
+    if (stepResolution) {
+      stepResolution.addEventListener('change', (e) => {
+        History.perform('Change step resolution', ['sequencer'], () => Sequencer.setStepResolution(e.target.value))
+        renderSequencerGrid()
+      })
+    }
+
     // Step count slider
     const stepCountSlider = document.getElementById('stepCountSlider')
     const stepCountValue = document.getElementById('stepCountValue')
     if (stepCountSlider) {
+      stepCountSlider.min = Sequencer.MIN_STEPS
+      stepCountSlider.max = Sequencer.MAX_STEPS
       stepCountSlider.addEventListener('input', (e) => {
         const stepCount = parseInt(e.target.value, 10)
         Sequencer.setStepCount(stepCount)
@@ -964,6 +1303,33 @@ const UI = (() => {
       })
     }
 
+    // Swing slider
+    const swingSlider = document.getElementById('swingSlider')
+    if (swingSlider) {
+      swingSlider.addEventListener('input', (e) => {
+        Sequencer.setSwing(parseInt(e.target.value, 10))
+      })
+      // Store the new swing amount in the pattern slot once the drag ends
+      swingSlider.addEventListener('change', () => SongMode.saveCurrentPattern())
+    }
+
+    // Groove template selector
+    const grooveSelect = document.getElementById('grooveSelect')
+    if (grooveSelect) {
+      Grooves.getGrooves().forEach(groove => {
+        const option = document.createElement('option')
+        option.value = groove.id
+        option.textContent = groove.name
+        grooveSelect.appendChild(option)
+      })
+      grooveSelect.value = Sequencer.getGroove()
+
+      grooveSelect.addEventListener('change', (e) => {
+        Sequencer.setGroove(e.target.value)
+        SongMode.saveCurrentPattern()
+      })
+    }
+
     // Clear sequencer button (double-click to clear current pattern)
     const clearSequencerBtn = document.getElementById('clearSequencerBtn')
     if (clearSequencerBtn) {
@@ -977,7 +1343,7 @@ const UI = (() => {
 
         if (timeSinceLastClick < DOUBLE_CLICK_THRESHOLD) {
           // Double-click detected - clear current pattern only
-          await SongMode.clearCurrentPattern()
+          await History.perform('Clear pattern', ['sequencer', 'song'], () => SongMode.clearCurrentPattern())
           renderSequencerGrid()
           updateSongSections()
         } else {
@@ -1061,6 +1427,21 @@ const UI = (() => {
     // Song Mode controls
     setupSongModeControls()
 
+    // MIDI controls
+    setupMIDIControls()
+
+    // Step settings panel and fill mode
+    setupStepControls()
+
+    // Track settings panel
+    setupTrackScaleControls()
+
+    // Track insert effects panel
+    setupInsertControls()
+
+    // Pattern generator panel
+    setupGenerateControls()
+
     // Save/Load buttons
     const saveBtn = document.getElementById('saveBtn')
     const loadBtn = document.getElementById('loadBtn')
@@ -1087,9 +1468,110 @@ const UI = (() => {
       })
     }
 
-    if (exportWavBtn) {
+    // Export panel: pick pattern, chain or song and follow the render progress
+    const exportPanel = document.getElementById('export-panel')
+    if (exportWavBtn && exportPanel) {
       exportWavBtn.addEventListener('click', () => {
-        Storage.exportAudioMix()
+        renderMIDIFileMapping()
+        exportPanel.classList.remove('hidden')
+      })
+
+      const modeButtons = exportPanel.querySelectorAll('.export-mode-btn')
+      const progressBar = document.getElementById('exportProgressBar')
+      const progressTrack = exportPanel.querySelector('.export-progress')
+      const status = document.getElementById('exportStatus')
+      const stemsToggle = document.getElementById('exportStemsToggle')
+      const preEffectsToggle = document.getElementById('exportPreEffectsToggle')
+      const stageLabels = {
+        preparing: 'Preparing samples...',
+        rendering: 'Rendering...',
+        encoding: 'Encoding WAV...',
+        done: 'Export complete!'
+      }
+
+      const showProgress = (progress, stage, message) => {
+        const percent = Math.round(progress * 100)
+        progressBar.style.width = `${percent}%`
+        progressTrack.setAttribute('aria-valuenow', percent)
+        status.textContent = message || stageLabels[stage] || ''
+      }
+
+      modeButtons.forEach(btn => {
+        btn.addEventListener('click', async () => {
+          modeButtons.forEach(b => { b.disabled = true })
+          showProgress(0, 'preparing')
+
+          const mode = btn.dataset.mode
+          if (stemsToggle && stemsToggle.checked) {
+            await Storage.exportStems({ mode, preEffects: preEffectsToggle.checked, onProgress: showProgress })
+          } else {
+            await Storage.exportAudioMix({ mode, onProgress: showProgress })
+          }
+
+          modeButtons.forEach(b => { b.disabled = false })
+        })
+      })
+    }
+
+    // MIDI export and import
+    document.querySelectorAll('.export-midi-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        Storage.exportMIDI({ mode: btn.dataset.mode })
+      })
+    })
+
+    const importMidiBtn = document.getElementById('importMidiBtn')
+    if (importMidiBtn) {
+      importMidiBtn.addEventListener('click', () => {
+        const input = document.createElement('input')
+        input.type = 'file'
+        input.accept = '.mid,.midi'
+        input.onchange = async (e) => {
+          const file = e.target.files[0]
+          if (file) {
+            await Storage.importMIDIFile(file, { noteMap: MIDIFile.getNoteMap() })
+          }
+        }
+        input.click()
+      })
+    }
+
+    // Import note map: edit each track's notes, reset to General MIDI or copy the pad mapping
+    const midiFileMapping = document.getElementById('midiFileMapping')
+    if (midiFileMapping) {
+      midiFileMapping.addEventListener('change', (e) => {
+        const trackIndex = parseInt(e.target.dataset.trackIndex, 10)
+        if (Number.isNaN(trackIndex)) return
+
+        // A note can only import into one track: listing it here moves it from its old track
+        const notes = e.target.value.split(',')
+          .map(note => parseInt(note, 10))
+          .filter(note => note >= 0 && note <= 127)
+        const map = MIDIFile.getNoteMap()
+        Object.keys(map).forEach(note => {
+          if (map[note] === trackIndex) delete map[note]
+        })
+        notes.forEach(note => {
+          map[note] = trackIndex
+        })
+        MIDIFile.setNoteMap(map)
+        renderMIDIFileMapping()
+      })
+    }
+
+    const midiFileMapResetBtn = document.getElementById('midiFileMapResetBtn')
+    if (midiFileMapResetBtn) {
+      midiFileMapResetBtn.addEventListener('click', () => {
+        MIDIFile.setNoteMap(null)
+        renderMIDIFileMapping()
+      })
+    }
+
+    const midiFileMapPadsBtn = document.getElementById('midiFileMapPadsBtn')
+    if (midiFileMapPadsBtn) {
+      midiFileMapPadsBtn.addEventListener('click', () => {
+        MIDIFile.setNoteMap(MIDIInput.getNoteMap())
+        renderMIDIFileMapping()
       })
     }
 
@@ -1164,12 +1646,29 @@ const UI = (() => {
       })
     }
 
+    // Record slider/select edits in the undo history
+    // (registered last so the commit runs after each control's own handler)
+    const sequencerControls = document.querySelector('.sequencer__controls')
+    if (sequencerControls) {
+      recordControlEdits(sequencerControls, ['sequencer'])
+    }
+    const audioFilters = document.querySelector('.audio-filters')
+    if (audioFilters) {
+      recordControlEdits(audioFilters, ['effects'])
+    }
+    if (loopTracksContainer) {
+      recordControlEdits(loopTracksContainer, ['loops'])
+    }
+
+    // Refresh everything an undo/redo may have changed
+    History.on('restored', handleHistoryRestored)
+
     // Keyboard shortcuts
     document.addEventListener('keydown', handleKeyboard)
 
     // Listen to sequencer events
     Sequencer.on('stepTriggered', handleStepTriggered)
-    Sequencer.on('tempoChanged', updateTempoDisplay)
+    Sequencer.on('tempoChanged', refreshTempoControls)
     Sequencer.on('stepCountChanged', (stepCount) => {
       const stepCountValue = document.getElementById('stepCountValue')
       const stepCountSlider = document.getElementById('stepCountSlider')
@@ -1179,8 +1678,44 @@ const UI = (() => {
       if (stepCountSlider) {
         stepCountSlider.value = stepCount
       }
+      renderPageSelector()
+      renderSequencerGrid()
+    })
+
+    Sequencer.on('swingChanged', (swing) => {
+      const swingValue = document.getElementById('swingValue')
+      const swingSlider = document.getElementById('swingSlider')
+      if (swingValue) {
+        swingValue.textContent = `${swing}%`
+      }
+      if (swingSlider) {
+        swingSlider.value = swing
+      }
+    })
+    Sequencer.on('grooveChanged', (groove) => {
+      const grooveSelect = document.getElementById('grooveSelect')
+      if (grooveSelect) {
+        grooveSelect.value = groove
+      }
+    })
+
+    // Keep the meter controls and grid grouping in step with loaded patterns and slots
+    Sequencer.on('timeSignatureChanged', (signature) => {
+      const timeSignature = document.getElementById('timeSignature')
+      if (timeSignature) {
+        timeSignature.value = signature
+      }
       renderSequencerGrid()
     })
+    const updateStepResolution = () => {
+      const stepResolution = document.getElementById('stepResolution')
+      if (stepResolution) {
+        stepResolution.value = Sequencer.getStepResolution()
+      }
+      renderSequencerGrid()
+    }
+    Sequencer.on('stepResolutionChanged', updateStepResolution)
+    Sequencer.on('patternLoaded', updateStepResolution)
 
     // Listen for track instrument changes to update track names
     Sequencer.on('trackInstrumentChanged', () => {
@@ -1191,10 +1726,130 @@ const UI = (() => {
     })
   }
 
+  /**
+   * Record edits made with a container's form controls in the undo history
+   * Each input/change event is one command; events from the same control in quick
+   * succession (a slider drag) merge into one
+   * @param {HTMLElement} container - Element holding the controls
+   * @param {Array<string>} domains - History domains the controls edit
+   */
+  const recordControlEdits = (container, domains) => {
+    ['input', 'change'].forEach(type => {
+      // Capture runs before the control's own handler, bubble after it
+      container.addEventListener(type, (e) => {
+        const control = e.target.id || e.target.className
+        History.begin('Change setting', domains, { merge: `control:${control}` })
+      }, true)
+      container.addEventListener(type, () => History.commit())
+    })
+  }
+
+  /**
+   * Refresh the UI after an undo or redo
+   * @param {Object} data - { domains } restored by History
+   */
+  const handleHistoryRestored = ({ domains }) => {
+    if (domains.includes('sequencer')) {
+      const tempoSlider = document.getElementById('tempoSlider')
+      const tempoValue = document.getElementById('tempoValue')
+      const timeSignature = document.getElementById('timeSignature')
+      if (tempoSlider) tempoSlider.value = Sequencer.getTempo()
+      if (tempoValue) tempoValue.textContent = formatTempo(Sequencer.getTempo())
+      if (timeSignature) timeSignature.value = Sequencer.getTimeSignature()
+      updateTempoDisplay()
+
+      // Keep the pattern slot in step with the restored pattern
+      SongMode.saveCurrentPattern()
+    }
+    if (domains.includes('effects')) {
+      updateEffectsUI()
+    }
+    if (domains.includes('loops')) {
+      LoopPedal.getAllTracksInfo().forEach((track, index) => {
+        updateSampleRecorderTrackName(index, track.name)
+        updateSampleRecorderVolumeSlider(index, track.volume)
+      })
+      updateLoopTrackDurations()
+    }
+    if (domains.includes('song')) {
+      updateSongSections()
+    }
+
+    renderTrackNames()
+    renderSequencerGrid()
+    renderStepPanel()
+    renderTrackPanel()
+    renderInsertPanel()
+  }
+
   /**
    * Handle sequencer canvas click
    */
   const handleSequencerClick = async (e) => {
+    // A velocity drag ends with a click event - don't treat it as a toggle
+    if (suppressNextSequencerClick) {
+      suppressNextSequencerClick = false
+      return
+    }
+
+    const cell = getSequencerCell(e)
+    if (!cell) return
+
+    const { track, row, col } = cell
+
+    // Alt+click toggles the accent for the whole step column
+    if (e.altKey) {
+      History.perform('Toggle accent', ['sequencer'], () => Sequencer.toggleAccent(col))
+      renderSequencerGrid()
+      await SongMode.saveCurrentPattern()
+      return
+    }
+
+    // Check if we're adding (off -> on) or removing (on -> off)
+    const wasActive = Sequencer.getStep(track.id, col)
+
+    if (e.shiftKey) {
+      // Shift+click cycles through velocity levels (adds the step if empty)
+      const index = VELOCITY_CYCLE.indexOf(wasActive)
+      const nextVelocity = wasActive ? VELOCITY_CYCLE[(index + 1) % VELOCITY_CYCLE.length] : VELOCITY_CYCLE[0]
+      History.perform('Set velocity', ['sequencer'], () => Sequencer.setStep(track.id, col, nextVelocity))
+    } else {
+      History.perform('Toggle step', ['sequencer'], () => Sequencer.toggleStep(track.id, col))
+    }
+    renderSequencerGrid()
+
+    // Save the modified pattern to the pattern bank
+    // This ensures edits are preserved when chain mode switches patterns
+    await SongMode.saveCurrentPattern()
+
+    // Preview sound when adding a step or changing its velocity (not when removing)
+    const velocity = Sequencer.getStep(track.id, col)
+    if (velocity > 0) {
+      previewTrackStep(track, row, velocity)
+    }
+  }
+
+  /**
+   * Handle sequencer canvas right-click: open the step settings for an active step
+   */
+  const handleSequencerContextMenu = (e) => {
+    const cell = getSequencerCell(e)
+    if (!cell) return
+
+    e.preventDefault()
+    if (!Sequencer.getStep(cell.track.id, cell.col)) return
+
+    editingStep = cell
+    renderStepPanel()
+    document.getElementById('step-panel')?.classList.remove('hidden')
+  }
+
+  /**
+   * Resolve the sequencer grid cell under a mouse event
+   * @param {MouseEvent} e - Mouse event on the sequencer canvas
+   * @returns {Object|null} { track, row, col } or null if outside the grid
+   */
+  const getSequencerCell = (e) => {
     const rect = sequencerCanvas.getBoundingClientRect()
 
     // Use more precise coordinate calculation
@@ -1205,37 +1860,86 @@ const UI = (() => {
     const x = (e.clientX - rect.left) * scaleX
     const y = (e.clientY - rect.top) * scaleY
 
-    const col = Math.floor(x / gridCellWidth)
+    const view = getGridView()
+    const col = view.start + Math.floor(x / gridCellWidth)
     const row = Math.floor(y / gridCellHeight)
 
     const allTracks = Sequencer.getAllTracks()
-    if (row >= 0 && row < allTracks.length && col >= 0 && col < Sequencer.getStepCount()) {
-      const track = allTracks[row]
+    if (row >= 0 && row < allTracks.length && col >= view.start && col < view.start + view.count) {
+      return { track: allTracks[row], row, col }
+    }
+    return null
+  }
 
-      // Check if we're adding (0 -> 1) or removing (1 -> 0)
-      const wasActive = Sequencer.getStep(track.id, col)
+  /**
+   * Preview the sound of a sequencer track at a given velocity
+   * @param {Object} track - Track descriptor from Sequencer.getAllTracks()
+   * @param {number} row - Track row index
+   * @param {number} velocity - Hit velocity (0.0 - 1.0)
+   */
+  const previewTrackStep = (track, row, velocity = 1.0) => {
+    if (track.id.startsWith('loop')) {
+      // Preview loop sample (one-shot playback)
+      const loopNumber = parseInt(track.id.replace('loop', ''), 10)
+      const trackIndex = loopNumber - 1 // Convert loop1-8 to 0-7
+      LoopPedal.playTrack(trackIndex, false, null, velocity) // false = one-shot, not looping
+    } else {
+      // Preview drum sound - use assigned instrument instead of default
+      const assignedInstrument = Sequencer.getTrackInstrument(row)
+      AudioEngine.playDrum(assignedInstrument || track.id, null, velocity)
+    }
+  }
 
-      Sequencer.toggleStep(track.id, col)
-      renderSequencerGrid()
+  /**
+   * Start a velocity drag when pressing on an active step
+   */
+  const handleSequencerMouseDown = (e) => {
+    if (e.button !== 0 || e.shiftKey || e.altKey) return
 
-      // Save the modified pattern to the pattern bank
-      // This ensures edits are preserved when chain mode switches patterns
-      await SongMode.saveCurrentPattern()
+    const cell = getSequencerCell(e)
+    if (!cell) return
 
-      // Only preview sound when ADDING a step (not when removing)
-      if (!wasActive) {
-        if (track.id.startsWith('loop')) {
-          // Preview loop sample (one-shot playback)
-          const loopNumber = parseInt(track.id.replace('loop', ''), 10)
-          const trackIndex = loopNumber - 1 // Convert loop1-8 to 0-7
-          LoopPedal.playTrack(trackIndex, false) // false = one-shot, not looping
-        } else {
-          // Preview drum sound - use assigned instrument instead of default
-          const assignedInstrument = Sequencer.getTrackInstrument(row)
-          AudioEngine.playDrum(assignedInstrument || track.id)
-        }
-      }
+    const velocity = Sequencer.getStep(cell.track.id, cell.col)
+    if (!velocity) return
+
+    velocityDrag = {
+      ...cell,
+      startY: e.clientY,
+      startVelocity: velocity,
+      moved: false
     }
+    History.begin('Set velocity', ['sequencer'])
+
+    document.addEventListener('mousemove', handleSequencerMouseMove)
+    document.addEventListener('mouseup', handleSequencerMouseUp)
+  }
+
+  const handleSequencerMouseMove = (e) => {
+    if (!velocityDrag) return
+
+    const deltaY = velocityDrag.startY - e.clientY  // Inverted: up = louder
+    if (!velocityDrag.moved && Math.abs(deltaY) < 4) return
+
+    velocityDrag.moved = true
+    // 100px = full range; never drag a step down to 0 (that would delete it)
+    const newVelocity = Math.max(0.05, Math.min(1, velocityDrag.startVelocity + deltaY / 100))
+    Sequencer.setStep(velocityDrag.track.id, velocityDrag.col, newVelocity)
+    renderSequencerGrid()
+  }
+
+  const handleSequencerMouseUp = async (e) => {
+    document.removeEventListener('mousemove', handleSequencerMouseMove)
+    document.removeEventListener('mouseup', handleSequencerMouseUp)
+    History.commit()
+
+    const drag = velocityDrag
+    velocityDrag = null
+    if (!drag || !drag.moved) return
+
+    // The browser only fires a click if the drag ended over the canvas
+    suppressNextSequencerClick = e.target === sequencerCanvas
+    await SongMode.saveCurrentPattern()
+    previewTrackStep(drag.track, drag.row, Sequencer.getStep(drag.track.id, drag.col))
   }
 
   /**
@@ -1243,6 +1947,13 @@ const UI = (() => {
    */
   const handleStepTriggered = (step) => {
     currentHighlightedStep = step
+
+    // Turn to the playhead's page when it leaves the one in view
+    const view = getGridView()
+    if (followPlayhead && view.page !== null && (step < view.start || step >= view.start + view.count)) {
+      viewPage = Math.floor(step / PAGE_SIZE)
+      renderPageSelector()
+    }
     renderSequencerGrid()
     updateBeatDisplay()
   }
@@ -1282,10 +1993,23 @@ const UI = (() => {
     }
   }
 
+  /**
+   * Check whether a key event target takes typed text, so shortcuts leave it alone
+   * @param {EventTarget} target - Key event target
+   * @returns {boolean} True for inputs, selects, textareas and editable content
+   */
+  const isTextEntry = (target) => {
+    if (!target) return false
+    return ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName) || !!target.isContentEditable
+  }
+
   /**
    * Handle keyboard shortcuts
    */
   const handleKeyboard = (e) => {
+    // Let form fields receive digits, '-' and space instead of loading presets or nudging tempo
+    if (isTextEntry(e.target)) return
+
     switch (e.key.toLowerCase()) {
       case ' ':
         e.preventDefault()
@@ -1303,6 +2027,17 @@ const UI = (() => {
           Storage.saveSession()
         }
         break
+      case 'z':
+        // Ctrl+Z undo, Ctrl+Shift+Z redo
+        if (e.ctrlKey || e.metaKey) {
+          e.preventDefault()
+          if (e.shiftKey) {
+            History.redo()
+          } else {
+            History.undo()
+          }
+        }
+        break
       case 'h':
         e.preventDefault()
         document.getElementById('help')?.classList.toggle('hidden')
@@ -1311,25 +2046,28 @@ const UI = (() => {
         e.preventDefault()
         cycleTheme()
         break
-      case '+':
-      case '=':
+      case 'r':
         e.preventDefault()
-        Sequencer.setTempo(Sequencer.getTempo() + 5)
-        const sliderPlus = document.getElementById('tempoSlider')
-        const valuePlus = document.getElementById('tempoValue')
-        if (sliderPlus) sliderPlus.value = Sequencer.getTempo()
-        if (valuePlus) valuePlus.textContent = Sequencer.getTempo()
-        updateTempoDisplay()
+        MIDIInput.setRecordArmed(!MIDIInput.getRecordArmed())
         break
+      case 'f':
+        e.preventDefault()
+        Sequencer.setFill(!Sequencer.getFill())
+        break
+      case '=':
       case '-':
+        // +/- nudge by 1 BPM, with Shift by 0.1 BPM
+        e.preventDefault()
+        nudgeTempo(e.key === '=' ? 1 : -1)
+        break
+      case '+':
       case '_':
         e.preventDefault()
-        Sequencer.setTempo(Sequencer.getTempo() - 5)
-        const sliderMinus = document.getElementById('tempoSlider')
-        const valueMinus = document.getElementById('tempoValue')
-        if (sliderMinus) sliderMinus.value = Sequencer.getTempo()
-        if (valueMinus) valueMinus.textContent = Sequencer.getTempo()
-        updateTempoDisplay()
+        nudgeTempo(e.key === '+' ? 0.1 : -0.1)
+        break
+      case 'b':
+        e.preventDefault()
+        handleTapTempo()
         break
       case '1':
       case '2':
@@ -1344,7 +2082,7 @@ const UI = (() => {
         const presetIndex = parseInt(e.key, 10) - 1
         const patterns = Presets.getDrumPatterns()
         if (patterns[presetIndex]) {
-          Sequencer.loadPattern(patterns[presetIndex])
+          History.perform('Load preset', ['sequencer'], () => Sequencer.loadPattern(patterns[presetIndex]))
           renderSequencerGrid()
         }
         break
@@ -1402,10 +2140,47 @@ const UI = (() => {
   const updateTempoDisplay = () => {
     const tempoDisplay = document.getElementById('tempoDisplay')
     if (tempoDisplay) {
-      tempoDisplay.textContent = `${Sequencer.getTempo()} BPM`
+      tempoDisplay.textContent = `${formatTempo(Sequencer.getTempo())} BPM`
     }
   }
 
+  /**
+   * Format a tempo for display (one decimal only when it has one)
+   * @param {number} tempo - Tempo in BPM
+   * @returns {string} Formatted tempo (e.g. "120" or "97.5")
+   */
+  const formatTempo = (tempo) => {
+    return Number.isInteger(tempo) ? String(tempo) : tempo.toFixed(1)
+  }
+
+  /**
+   * Show the current tempo on the slider, its value label and the transport
+   */
+  const refreshTempoControls = () => {
+    const tempoSlider = document.getElementById('tempoSlider')
+    const tempoValue = document.getElementById('tempoValue')
+    if (tempoSlider) tempoSlider.value = Sequencer.getTempo()
+    if (tempoValue) tempoValue.textContent = formatTempo(Sequencer.getTempo())
+    updateTempoDisplay()
+  }
+
+  /**
+   * Nudge the tempo while keeping playback running (merged into one undo step)
+   * @param {number} delta - BPM to add (negative to slow down)
+   */
+  const nudgeTempo = (delta) => {
+    History.perform('Change tempo', ['sequencer'], () => Sequencer.nudgeTempo(delta), { merge: 'tempo' })
+    refreshTempoControls()
+  }
+
+  /**
+   * Handle a tap on the tap tempo button (or the B key)
+   */
+  const handleTapTempo = () => {
+    History.perform('Tap tempo', ['sequencer'], () => Sequencer.tapTempo(), { merge: 'tempo' })
+    refreshTempoControls()
+  }
+
   /**
    * Update beat display
    */
@@ -1417,486 +2192,1057 @@ const UI = (() => {
   }
 
   /**
-   * Setup effects controls
+   * Setup effects rack controls
    */
   const setupEffectsControls = () => {
-    // Reverb controls
-    const reverbEnabled = document.getElementById('reverbEnabled')
-    const reverbWetDry = document.getElementById('reverbWetDry')
-    const reverbWetDryValue = document.getElementById('reverbWetDryValue')
-    const reverbDecay = document.getElementById('reverbDecay')
-    const reverbDecayValue = document.getElementById('reverbDecayValue')
+    const effectsRack = document.getElementById('effectsRack')
+    const effectTypeSelect = document.getElementById('effectTypeSelect')
+    const effectRackSelect = document.getElementById('effectRackSelect')
+    const addEffectBtn = document.getElementById('addEffectBtn')
 
-    if (reverbEnabled) {
-      reverbEnabled.addEventListener('change', (e) => {
-        Effects.setReverb({ enabled: e.target.checked })
-      })
+    if (effectTypeSelect) {
+      effectTypeSelect.innerHTML = Effects.getEffectTypes()
+        .map(({ type, name }) => `<option value="${type}">${name}</option>`)
+        .join('')
     }
 
-    if (reverbWetDry) {
-      reverbWetDry.addEventListener('input', (e) => {
-        const value = parseInt(e.target.value) / 100
-        Effects.setReverb({ wetDry: value })
-        if (reverbWetDryValue) reverbWetDryValue.textContent = `${e.target.value}%`
-      })
+    if (effectRackSelect) {
+      effectRackSelect.innerHTML = '<option value="master">Master</option>' + Effects.getSendBuses()
+        .map(({ id, name }) => `<option value="${id}">${name}</option>`)
+        .join('')
     }
 
-    if (reverbDecay) {
-      reverbDecay.addEventListener('input', (e) => {
-        const value = parseInt(e.target.value) / 10
-        Effects.setReverb({ decayTime: value })
-        if (reverbDecayValue) reverbDecayValue.textContent = `${value.toFixed(1)}s`
-      })
+    if (effectRackSelect) {
+      effectRackSelect.addEventListener('change', updateEffectsUI)
     }
 
-    // Delay controls
-    const delayEnabled = document.getElementById('delayEnabled')
-    const delayWetDry = document.getElementById('delayWetDry')
-    const delayWetDryValue = document.getElementById('delayWetDryValue')
-    const delayTime = document.getElementById('delayTime')
-    const delayTimeValue = document.getElementById('delayTimeValue')
-    const delayFeedback = document.getElementById('delayFeedback')
-    const delayFeedbackValue = document.getElementById('delayFeedbackValue')
-
-    if (delayEnabled) {
-      delayEnabled.addEventListener('change', (e) => {
-        Effects.setDelay({ enabled: e.target.checked })
+    if (addEffectBtn) {
+      addEffectBtn.addEventListener('click', () => {
+        const type = effectTypeSelect ? effectTypeSelect.value : 'reverb'
+        const rackId = effectRackSelect ? effectRackSelect.value : 'master'
+        History.perform('Add effect', ['effects'], () => Effects.addEffect(type, rackId))
+        updateEffectsUI()
       })
     }
 
-    if (delayWetDry) {
-      delayWetDry.addEventListener('input', (e) => {
-        const value = parseInt(e.target.value) / 100
-        Effects.setDelay({ wetDry: value })
-        if (delayWetDryValue) delayWetDryValue.textContent = `${e.target.value}%`
-      })
-    }
+    if (!effectsRack) return
 
-    if (delayTime) {
-      delayTime.addEventListener('input', (e) => {
-        const value = parseInt(e.target.value) / 100
-        Effects.setDelay({ delayTime: value })
-        if (delayTimeValue) delayTimeValue.textContent = `${value.toFixed(3)}s`
-      })
-    }
+    // Parameter sliders and selects, send return levels
+    effectsRack.addEventListener('input', (e) => {
+      if (e.target.dataset.returnBus) {
+        const level = parseFloat(e.target.value)
+        Effects.setReturnLevel(e.target.dataset.returnBus, level)
+        const valueLabel = e.target.parentElement.querySelector('.control__value')
+        if (valueLabel) valueLabel.textContent = formatPercent(level)
+        return
+      }
 
-    if (delayFeedback) {
-      delayFeedback.addEventListener('input', (e) => {
-        const value = parseInt(e.target.value) / 100
-        Effects.setDelay({ feedback: value })
-        if (delayFeedbackValue) delayFeedbackValue.textContent = `${e.target.value}%`
+      const param = e.target.dataset.param
+      const module = e.target.closest('[data-slot-id]')
+      if (!param || !module) return
+
+      const slotId = parseInt(module.dataset.slotId)
+      const value = e.target.tagName === 'SELECT' ? e.target.value : parseFloat(e.target.value)
+      Effects.setEffectParams(slotId, { [param]: value })
+
+      const valueLabel = e.target.parentElement.querySelector('.control__value')
+      const rackId = module.closest('[data-rack-id]').dataset.rackId
+      const slot = Effects.getRack(rackId).find(s => s.id === slotId)
+      const control = slot && EFFECT_CONTROLS[slot.type].find(c => c.param === param)
+      if (valueLabel && control?.format) {
+        valueLabel.textContent = control.format(slot.params[param])
+      }
+
+      // Turning sync on or off locks or frees the slider it replaces
+      module.querySelectorAll(`[data-synced-by="${param}"]`).forEach(slider => {
+        slider.disabled = value !== 'off'
       })
-    }
+    })
 
-    // Distortion controls
-    const distortionEnabled = document.getElementById('distortionEnabled')
-    const distortionAmount = document.getElementById('distortionAmount')
-    const distortionAmountValue = document.getElementById('distortionAmountValue')
-    const distortionTone = document.getElementById('distortionTone')
-    const distortionToneValue = document.getElementById('distortionToneValue')
+    // On/bypass toggles
+    effectsRack.addEventListener('change', (e) => {
+      if (!e.target.matches('[data-effect-toggle]')) return
 
-    if (distortionEnabled) {
-      distortionEnabled.addEventListener('change', (e) => {
-        Effects.setDistortion({ enabled: e.target.checked })
+      const slotId = parseInt(e.target.closest('[data-slot-id]').dataset.slotId)
+      Effects.setEffectBypass(slotId, !e.target.checked)
+    })
+
+    // Move and remove buttons
+    effectsRack.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-effect-action]')
+      if (!button) return
+
+      const slotId = parseInt(button.closest('[data-slot-id]').dataset.slotId)
+      const rackId = button.closest('[data-rack-id]').dataset.rackId
+      const index = Effects.getRack(rackId).findIndex(slot => slot.id === slotId)
+
+      switch (button.dataset.effectAction) {
+        case 'earlier':
+          History.perform('Move effect', ['effects'], () => Effects.moveEffect(slotId, index - 1))
+          break
+        case 'later':
+          History.perform('Move effect', ['effects'], () => Effects.moveEffect(slotId, index + 1))
+          break
+        case 'remove':
+          History.perform('Remove effect', ['effects'], () => Effects.removeEffect(slotId))
+          break
+        case 'load-impulse':
+          loadImpulseResponse(slotId)
+          return
+      }
+      updateEffectsUI()
+    })
+
+    updateEffectsUI()
+  }
+
+  /**
+   * Pick a WAV file and use it as a reverb slot's impulse response
+   * @param {number} slotId - Reverb slot id
+   */
+  const loadImpulseResponse = (slotId) => {
+    const input = document.createElement('input')
+    input.type = 'file'
+    input.accept = 'audio/*,.wav'
+    input.onchange = async (e) => {
+      const file = e.target.files[0]
+      if (!file) return
+
+      const id = await Effects.loadImpulseResponse(file)
+      if (!id) {
+        alert('Could not load the impulse response. Please choose a WAV file.')
+        return
+      }
+
+      History.perform('Load impulse response', ['effects'], () => {
+        Effects.setEffectParams(slotId, { algorithm: 'impulse', impulse: id })
       })
+      updateEffectsUI()
     }
+    input.click()
+  }
+
+  /**
+   * Update chain mode UI and pattern selection
+   */
+  const updateChainModeUI = () => {
+    // Update chain mode toggle
+    const chainModeToggle = document.getElementById('chainModeToggle')
+    if (chainModeToggle) {
+      chainModeToggle.checked = SongMode.getChainMode()
+    }
+
+    // Update pattern button selection
+    const currentIndex = SongMode.getCurrentPatternIndex()
+    const buttons = document.querySelectorAll('.pattern-slot__button')
+    buttons.forEach((btn, idx) => {
+      if (idx === currentIndex) {
+        btn.classList.add('is-active')
+      } else {
+        btn.classList.remove('is-active')
+      }
+    })
+  }
+
+  /**
+   * Render a rack slot's parameter control
+   * @param {Object} slot - Rack slot
+   * @param {Object} control - Entry from EFFECT_CONTROLS
+   * @param {string} idPrefix - Element id prefix ('effect' for the racks)
+   * @returns {string} Control HTML
+   */
+  const renderEffectControl = (slot, control, idPrefix = 'effect') => {
+    const id = `${idPrefix}${slot.id}-${control.param}`
+    const value = slot.params[control.param]
+
+    // Impulse responses are loaded from a file; the button shows the loaded one's name
+    if (control.impulse) {
+      const impulse = Effects.getImpulseResponses().find(ir => ir.id === value)
+      return `
+        <label class="control control--compact">
+          <span class="control__label">${control.label}</span>
+          <button id="${id}" class="btn btn--secondary btn--small" data-effect-action="load-impulse" title="Load a WAV impulse response">${impulse ? impulse.name : 'Load WAV…'}</button>
+        </label>`
+    }
+
+    if (control.options) {
+      const options = Object.entries(control.options)
+        .map(([option, label]) => `<option value="${option}"${option === value ? ' selected' : ''}>${label}</option>`)
+        .join('')
+      return `
+        <label class="control control--compact">
+          <span class="control__label">${control.label}</span>
+          <select id="${id}" class="control__select" data-param="${control.param}">${options}</select>
+        </label>`
+    }
+
+    // Sliders replaced by a tempo-synced note value are disabled while synced
+    const synced = control.syncedBy ? ` data-synced-by="${control.syncedBy}"${slot.params[control.syncedBy] !== 'off' ? ' disabled' : ''}` : ''
+    return `
+      <label class="control control--compact">
+        <span class="control__label">${control.label}</span>
+        <input type="range" id="${id}" class="control__slider" data-param="${control.param}"
+          min="${control.min}" max="${control.max}" step="${control.step}" value="${value}"${synced}>
+        <span class="control__value">${control.format(value)}</span>
+      </label>`
+  }
 
-    if (distortionAmount) {
-      distortionAmount.addEventListener('input', (e) => {
-        const value = parseInt(e.target.value) / 100
-        Effects.setDistortion({ amount: value })
-        if (distortionAmountValue) distortionAmountValue.textContent = `${e.target.value}%`
+  /**
+   * Render one effects rack's slots
+   * @param {Array<Object>} slots - Rack slots in processing order
+   * @param {Object} names - Effect names keyed by type
+   * @param {string} idPrefix - Element id prefix ('effect' for the racks, 'insert' for track inserts)
+   * @returns {string} Effect modules HTML
+   */
+  const renderEffectSlots = (slots, names, idPrefix = 'effect') => {
+    if (slots.length === 0) {
+      return '<p class="effects-rack__empty">No effects - add one to start the chain</p>'
+    }
+
+    return slots.map((slot, index) => `
+      <div class="effect-module" data-slot-id="${slot.id}">
+        <div class="effect-module__header">
+          <h3 class="effect-module__title">${index + 1}. ${names[slot.type]}</h3>
+          <div class="effect-module__actions">
+            <button class="effect-module__button" data-effect-action="earlier" aria-label="Move earlier in the chain"${index === 0 ? ' disabled' : ''}>◀</button>
+            <button class="effect-module__button" data-effect-action="later" aria-label="Move later in the chain"${index === slots.length - 1 ? ' disabled' : ''}>▶</button>
+            <button class="effect-module__button" data-effect-action="remove" aria-label="Remove effect">×</button>
+            <label class="toggle" title="On / bypass">
+              <input type="checkbox" id="${idPrefix}${slot.id}-enabled" data-effect-toggle${slot.bypassed ? '' : ' checked'}>
+              <span class="toggle__slider"></span>
+            </label>
+          </div>
+        </div>
+        <div class="effect-module__controls">
+          ${EFFECT_CONTROLS[slot.type].map(control => renderEffectControl(slot, control, idPrefix)).join('')}
+        </div>
+      </div>
+    `).join('')
+  }
+
+  /**
+   * Render the master effects rack and the send bus racks to match current settings
+   */
+  const updateEffectsUI = () => {
+    const effectsRack = document.getElementById('effectsRack')
+    const effectRackSelect = document.getElementById('effectRackSelect')
+    const addEffectBtn = document.getElementById('addEffectBtn')
+    if (!effectsRack) return
+
+    const names = Object.fromEntries(Effects.getEffectTypes().map(({ type, name }) => [type, name]))
+
+    if (addEffectBtn) {
+      const rackId = effectRackSelect ? effectRackSelect.value : 'master'
+      addEffectBtn.disabled = Effects.getRack(rackId).length >= Effects.MAX_SLOTS
+    }
+
+    const master = `
+      <section class="effects-rack" data-rack-id="master">
+        <h3 class="effects-rack__title">Master</h3>
+        <div class="effects-grid">${renderEffectSlots(Effects.getRack('master'), names)}</div>
+      </section>
+    `
+    const sends = Effects.getSendBuses().map(bus => `
+      <section class="effects-rack" data-rack-id="${bus.id}">
+        <div class="effects-rack__header">
+          <h3 class="effects-rack__title">${bus.name}</h3>
+          <label class="control control--compact effects-rack__return">
+            <span class="control__label">Return</span>
+            <input type="range" id="effectReturn${bus.id}" class="control__slider" data-return-bus="${bus.id}"
+              min="0" max="1" step="0.01" value="${bus.returnLevel}">
+            <span class="control__value">${formatPercent(bus.returnLevel)}</span>
+          </label>
+        </div>
+        <div class="effects-grid">${renderEffectSlots(Effects.getRack(bus.id), names)}</div>
+      </section>
+    `).join('')
+
+    effectsRack.innerHTML = master + sends
+  }
+
+  /**
+   * Setup song mode controls
+   */
+  const setupSongModeControls = () => {
+    const addSectionBtn = document.getElementById('addSectionBtn')
+    const playSongBtn = document.getElementById('playSongBtn')
+    const stopSongBtn = document.getElementById('stopSongBtn')
+    const clearSongBtn = document.getElementById('clearSongBtn')
+    const songSections = document.getElementById('songSections')
+
+    if (addSectionBtn) {
+      addSectionBtn.addEventListener('click', () => {
+        const name = prompt('Section name:', `Section ${SongMode.getSong().length + 1}`)
+        if (name) {
+          const section = SongMode.createSectionFromCurrent(name, 1)
+          History.perform('Add section', ['song'], () => SongMode.addSection(section))
+          updateSongSections()
+        }
       })
     }
 
-    if (distortionTone) {
-      distortionTone.addEventListener('input', (e) => {
-        const value = parseInt(e.target.value) / 100
-        Effects.setDistortion({ tone: value })
-        if (distortionToneValue) distortionToneValue.textContent = `${e.target.value}%`
+    if (playSongBtn) {
+      playSongBtn.addEventListener('click', () => {
+        SongMode.play()
       })
     }
 
-    // Compressor controls
-    const compressorEnabled = document.getElementById('compressorEnabled')
-    const compressorThreshold = document.getElementById('compressorThreshold')
-    const compressorThresholdValue = document.getElementById('compressorThresholdValue')
-    const compressorRatio = document.getElementById('compressorRatio')
-    const compressorRatioValue = document.getElementById('compressorRatioValue')
+    if (stopSongBtn) {
+      stopSongBtn.addEventListener('click', () => {
+        SongMode.stop()
+      })
+    }
 
-    if (compressorEnabled) {
-      compressorEnabled.addEventListener('change', (e) => {
-        Effects.setCompressor({ enabled: e.target.checked })
+    if (clearSongBtn) {
+      clearSongBtn.addEventListener('click', () => {
+        if (confirm('Clear entire song?')) {
+          History.perform('Clear song', ['song'], () => SongMode.clearSong())
+          updateSongSections()
+        }
       })
     }
 
-    if (compressorThreshold) {
-      compressorThreshold.addEventListener('input', (e) => {
-        const value = -100 + parseInt(e.target.value) // 0-100 -> -100 to 0 dB
-        Effects.setCompressor({ threshold: value })
-        if (compressorThresholdValue) compressorThresholdValue.textContent = `${value}dB`
+    // Ramp buttons open the section's tempo ramp settings
+    if (songSections) {
+      songSections.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-section-ramp]')
+        if (!button) return
+
+        editingSection = parseInt(button.dataset.sectionRamp, 10)
+        renderSectionPanel()
+        document.getElementById('section-panel')?.classList.remove('hidden')
       })
     }
+    document.getElementById('sectionRamp')?.addEventListener('change', updateEditingSectionRamp)
+    document.getElementById('sectionRampTarget')?.addEventListener('change', updateEditingSectionRamp)
+    document.getElementById('sectionRampCurve')?.addEventListener('change', updateEditingSectionRamp)
 
-    if (compressorRatio) {
-      compressorRatio.addEventListener('input', (e) => {
-        const value = parseInt(e.target.value)
-        Effects.setCompressor({ ratio: value })
-        if (compressorRatioValue) compressorRatioValue.textContent = `${value}:1`
+    // Listen to song mode events
+    SongMode.on('sectionAdded', () => updateSongSections())
+    SongMode.on('sectionRemoved', () => updateSongSections())
+    SongMode.on('songCleared', () => updateSongSections())
+  }
+
+  /**
+   * Setup MIDI panel, pad learn and record arm controls
+   */
+  const setupMIDIControls = () => {
+    const midiBtn = document.getElementById('midiBtn')
+    const midiPanel = document.getElementById('midi-panel')
+    const enableMidiBtn = document.getElementById('enableMidiBtn')
+    const midiStatus = document.getElementById('midiStatus')
+    const recordArm = document.getElementById('midiRecordArm')
+    const midiRecordBtn = document.getElementById('midiRecordBtn')
+    const midiMapping = document.getElementById('midiMapping')
+
+    if (midiBtn && midiPanel) {
+      midiBtn.addEventListener('click', () => {
+        renderMIDIMapping()
+        midiPanel.classList.remove('hidden')
       })
     }
 
-    // EQ controls
-    const eqEnabled = document.getElementById('eqEnabled')
-    const eqLow = document.getElementById('eqLow')
-    const eqLowValue = document.getElementById('eqLowValue')
-    const eqMid = document.getElementById('eqMid')
-    const eqMidValue = document.getElementById('eqMidValue')
-    const eqHigh = document.getElementById('eqHigh')
-    const eqHighValue = document.getElementById('eqHighValue')
+    if (enableMidiBtn) {
+      enableMidiBtn.addEventListener('click', async () => {
+        const enabled = await MIDIInput.init()
+        if (!enabled && midiStatus) {
+          midiStatus.textContent = 'MIDI is not available in this browser'
+        }
+      })
+    }
 
-    if (eqEnabled) {
-      eqEnabled.addEventListener('change', (e) => {
-        Effects.setEQ({ enabled: e.target.checked })
+    if (recordArm) {
+      recordArm.addEventListener('change', () => {
+        MIDIInput.setRecordArmed(recordArm.checked)
       })
     }
 
-    if (eqLow) {
-      eqLow.addEventListener('input', (e) => {
-        const value = parseFloat(e.target.value)
-        Effects.setEQ({ low: value })
-        if (eqLowValue) eqLowValue.textContent = `${value >= 0 ? '+' : ''}${value.toFixed(1)}dB`
+    if (midiRecordBtn) {
+      midiRecordBtn.addEventListener('click', () => {
+        MIDIInput.setRecordArmed(!MIDIInput.getRecordArmed())
       })
     }
 
-    if (eqMid) {
-      eqMid.addEventListener('input', (e) => {
-        const value = parseFloat(e.target.value)
-        Effects.setEQ({ mid: value })
-        if (eqMidValue) eqMidValue.textContent = `${value >= 0 ? '+' : ''}${value.toFixed(1)}dB`
+    if (midiMapping) {
+      midiMapping.addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-track-index]')
+        if (!btn) return
+
+        const trackIndex = parseInt(btn.dataset.trackIndex, 10)
+        if (MIDIInput.getLearnTrack() === trackIndex) {
+          MIDIInput.cancelLearn()
+        } else {
+          MIDIInput.startLearn(trackIndex)
+        }
       })
     }
 
-    if (eqHigh) {
-      eqHigh.addEventListener('input', (e) => {
-        const value = parseFloat(e.target.value)
-        Effects.setEQ({ high: value })
-        if (eqHighValue) eqHighValue.textContent = `${value >= 0 ? '+' : ''}${value.toFixed(1)}dB`
+    MIDIInput.on('inputsChanged', (inputs) => {
+      if (!midiStatus) return
+      midiStatus.textContent = inputs.length > 0
+        ? `Connected: ${inputs.map(input => input.name).join(', ')}`
+        : 'No MIDI devices connected'
+    })
+
+    MIDIInput.on('recordArmChanged', (armed) => {
+      if (recordArm) recordArm.checked = armed
+      if (midiRecordBtn) midiRecordBtn.classList.toggle('is-recording', armed)
+    })
+
+    // Clock sync mode
+    const clockMode = document.getElementById('midiClockMode')
+    const clockStatus = document.getElementById('midiClockStatus')
+    if (clockMode) {
+      clockMode.addEventListener('change', async () => {
+        const applied = await MIDIClock.setMode(clockMode.value)
+        if (!applied) {
+          clockMode.value = MIDIClock.getMode()
+          if (clockStatus) clockStatus.textContent = 'MIDI is not available in this browser'
+        }
       })
     }
 
-    // Filter controls
-    const filterEnabled = document.getElementById('filterEnabled')
-    const filterType = document.getElementById('filterType')
-    const filterFrequency = document.getElementById('filterFrequency')
-    const filterFrequencyValue = document.getElementById('filterFrequencyValue')
-    const filterResonance = document.getElementById('filterResonance')
-    const filterResonanceValue = document.getElementById('filterResonanceValue')
+    MIDIClock.on('modeChanged', (mode) => {
+      if (clockMode) clockMode.value = mode
+      if (!clockStatus) return
+      const statusText = {
+        off: '',
+        master: 'Sending clock, start and stop to all MIDI outputs',
+        slave: 'Waiting for external clock...'
+      }
+      clockStatus.textContent = statusText[mode]
+    })
+
+    MIDIClock.on('externalTempoChanged', (bpm) => {
+      if (clockStatus) clockStatus.textContent = `Following external clock: ${bpm} BPM`
+    })
+
+    MIDIInput.on('learnStarted', renderMIDIMapping)
+    MIDIInput.on('learnCancelled', renderMIDIMapping)
+    MIDIInput.on('noteLearned', renderMIDIMapping)
+    MIDIInput.on('noteMapChanged', renderMIDIMapping)
+  }
 
-    if (filterEnabled) {
-      filterEnabled.addEventListener('change', (e) => {
-        Effects.setFilter({ enabled: e.target.checked })
+  /**
+   * Setup the step settings panel and fill mode controls
+   */
+  const setupStepControls = () => {
+    const probability = document.getElementById('trigProbability')
+    const probabilityValue = document.getElementById('trigProbabilityValue')
+    const condition = document.getElementById('trigCondition')
+    const ratchet = document.getElementById('trigRatchet')
+    const ratchetValue = document.getElementById('trigRatchetValue')
+    const ratchetRamp = document.getElementById('trigRatchetRamp')
+    const resetStepBtn = document.getElementById('resetStepBtn')
+    const fillBtn = document.getElementById('fillBtn')
+
+    if (condition) {
+      const options = [
+        { value: '', label: 'Always' },
+        { value: 'fill', label: 'Fill only' },
+        { value: '!fill', label: 'Not in fill' }
+      ]
+      for (let b = 2; b <= Sequencer.MAX_CONDITION_BARS; b++) {
+        for (let a = 1; a <= b; a++) {
+          options.push({ value: `${a}:${b}`, label: `Bar ${a} of ${b} (${a}:${b})` })
+        }
+      }
+      options.forEach(({ value, label }) => {
+        const option = document.createElement('option')
+        option.value = value
+        option.textContent = label
+        condition.appendChild(option)
+      })
+
+      condition.addEventListener('change', () => {
+        updateEditingTrig('Set condition', { condition: condition.value || null })
       })
     }
 
-    if (filterType) {
-      filterType.addEventListener('change', (e) => {
-        Effects.setFilter({ type: e.target.value })
+    if (probability) {
+      probability.addEventListener('input', () => {
+        if (probabilityValue) {
+          probabilityValue.textContent = `${probability.value}%`
+        }
+        updateEditingTrig('Set probability', { probability: parseInt(probability.value, 10) }, 'probability')
       })
     }
 
-    if (filterFrequency) {
-      filterFrequency.addEventListener('input', (e) => {
-        const value = parseInt(e.target.value)
-        Effects.setFilter({ frequency: value })
-        if (filterFrequencyValue) filterFrequencyValue.textContent = `${value}Hz`
+    if (ratchet) {
+      ratchet.addEventListener('input', () => {
+        if (ratchetValue) {
+          ratchetValue.textContent = ratchet.value
+        }
+        if (ratchetRamp) {
+          ratchetRamp.disabled = parseInt(ratchet.value, 10) < 2
+        }
+        updateEditingTrig('Set ratchet', {
+          ratchet: parseInt(ratchet.value, 10),
+          ratchetRamp: ratchetRamp?.value || null
+        }, 'ratchet')
       })
     }
 
-    if (filterResonance) {
-      filterResonance.addEventListener('input', (e) => {
-        const value = parseInt(e.target.value) / 10  // 0-100 -> 0-10
-        Effects.setFilter({ resonance: value })
-        if (filterResonanceValue) filterResonanceValue.textContent = value.toFixed(1)
+    if (ratchetRamp) {
+      ratchetRamp.addEventListener('change', () => {
+        updateEditingTrig('Set ratchet ramp', { ratchetRamp: ratchetRamp.value || null })
       })
     }
 
-    // Chorus controls
-    const chorusEnabled = document.getElementById('chorusEnabled')
-    const chorusRate = document.getElementById('chorusRate')
-    const chorusRateValue = document.getElementById('chorusRateValue')
-    const chorusDepth = document.getElementById('chorusDepth')
-    const chorusDepthValue = document.getElementById('chorusDepthValue')
-    const chorusMix = document.getElementById('chorusMix')
-    const chorusMixValue = document.getElementById('chorusMixValue')
+    const locksContainer = document.getElementById('trigLocks')
+    if (locksContainer) {
+      LOCK_CONTROLS.forEach(({ param, label, step }) => {
+        const range = Sequencer.LOCK_RANGES[param]
+
+        const row = document.createElement('div')
+        row.className = 'control control--vertical control--lock'
+        row.dataset.param = param
 
-    if (chorusEnabled) {
-      chorusEnabled.addEventListener('change', (e) => {
-        Effects.setChorus({ enabled: e.target.checked })
+        const name = document.createElement('span')
+        name.className = 'control__label'
+        name.textContent = label
+
+        const slider = document.createElement('input')
+        slider.type = 'range'
+        slider.className = 'control__slider'
+        slider.min = range.min
+        slider.max = range.max
+        slider.step = step
+        slider.setAttribute('aria-label', `${label} lock`)
+
+        const value = document.createElement('span')
+        value.className = 'control__value'
+
+        const release = document.createElement('button')
+        release.className = 'btn btn--secondary btn--small'
+        release.textContent = '×'
+        release.title = `Release ${label.toLowerCase()} lock`
+        release.setAttribute('aria-label', `Release ${label.toLowerCase()} lock`)
+
+        slider.addEventListener('input', () => {
+          updateEditingTrig(`Lock ${label.toLowerCase()}`, { locks: { [param]: parseFloat(slider.value) } }, `lock-${param}`)
+          renderStepPanel()
+        })
+        release.addEventListener('click', () => {
+          updateEditingTrig(`Release ${label.toLowerCase()} lock`, { locks: { [param]: null } })
+          renderStepPanel()
+        })
+
+        row.append(name, slider, value, release)
+        locksContainer.appendChild(row)
       })
     }
 
-    if (chorusRate) {
-      chorusRate.addEventListener('input', (e) => {
-        const value = parseInt(e.target.value) / 10  // 1-100 -> 0.1-10 Hz
-        Effects.setChorus({ rate: value })
-        if (chorusRateValue) chorusRateValue.textContent = `${value.toFixed(1)}Hz`
+    if (resetStepBtn) {
+      resetStepBtn.addEventListener('click', () => {
+        updateEditingTrig('Reset step', { probability: null, condition: null, ratchet: null, ratchetRamp: null, locks: null })
+        renderStepPanel()
       })
     }
 
-    if (chorusDepth) {
-      chorusDepth.addEventListener('input', (e) => {
-        const value = parseInt(e.target.value) / 10000  // 0-100 -> 0-0.01
-        Effects.setChorus({ depth: value })
-        if (chorusDepthValue) chorusDepthValue.textContent = `${e.target.value}%`
+    if (fillBtn) {
+      fillBtn.addEventListener('click', () => {
+        Sequencer.setFill(!Sequencer.getFill())
       })
     }
 
-    if (chorusMix) {
-      chorusMix.addEventListener('input', (e) => {
-        const value = parseInt(e.target.value) / 100
-        Effects.setChorus({ mix: value })
-        if (chorusMixValue) chorusMixValue.textContent = `${e.target.value}%`
+    Sequencer.on('fillChanged', (active) => {
+      if (fillBtn) {
+        fillBtn.classList.toggle('is-active', active)
+        fillBtn.setAttribute('aria-pressed', active)
+      }
+    })
+  }
+
+  /**
+   * Apply a change to the trig being edited in the step panel
+   * @param {string} label - Undo history label
+   * @param {Object} settings - Trig settings to merge (see Sequencer.setTrig)
+   * @param {string} merge - Optional merge key for continuous edits
+   */
+  const updateEditingTrig = (label, settings, merge = null) => {
+    if (!editingStep) return
+
+    const { track, col } = editingStep
+    History.perform(label, ['sequencer'], () => Sequencer.setTrig(track.id, col, settings), { merge })
+    renderSequencerGrid()
+    SongMode.saveCurrentPattern()
+  }
+
+  /**
+   * Show the step being edited in the step settings panel
+   */
+  const renderStepPanel = () => {
+    if (!editingStep) return
+
+    const { track, col } = editingStep
+    const trig = Sequencer.getTrig(track.id, col) || {}
+
+    const info = document.getElementById('stepPanelInfo')
+    const probability = document.getElementById('trigProbability')
+    const probabilityValue = document.getElementById('trigProbabilityValue')
+    const condition = document.getElementById('trigCondition')
+    const ratchet = document.getElementById('trigRatchet')
+    const ratchetValue = document.getElementById('trigRatchetValue')
+    const ratchetRamp = document.getElementById('trigRatchetRamp')
+
+    if (info) {
+      info.textContent = `${track.name} - step ${col + 1}`
+    }
+    if (probability) {
+      probability.value = trig.probability ?? 100
+    }
+    if (probabilityValue) {
+      probabilityValue.textContent = `${trig.probability ?? 100}%`
+    }
+    if (condition) {
+      condition.value = trig.condition || ''
+    }
+    if (ratchet) {
+      ratchet.value = trig.ratchet || 1
+    }
+    if (ratchetValue) {
+      ratchetValue.textContent = trig.ratchet || 1
+    }
+    if (ratchetRamp) {
+      ratchetRamp.value = trig.ratchetRamp || ''
+      ratchetRamp.disabled = !trig.ratchet
+    }
+
+    // Parameter locks only apply to drum tracks; unlocked sliders show the track's mixer value
+    const locksSection = document.getElementById('trigLocksSection')
+    const isLoopTrack = track.id.startsWith('loop')
+    if (locksSection) {
+      locksSection.classList.toggle('hidden', isLoopTrack)
+    }
+    if (isLoopTrack) return
+
+    const mixerSettings = AudioEngine.getTrackMixerSettings(track.instrumentId) || {}
+    document.querySelectorAll('#trigLocks .control--lock').forEach(row => {
+      const param = row.dataset.param
+      const locked = trig.locks?.[param] !== undefined
+      const value = locked ? trig.locks[param] : (mixerSettings[param] ?? 0)
+
+      row.classList.toggle('is-unlocked', !locked)
+      row.querySelector('.control__slider').value = value
+      row.querySelector('.control__value').textContent = locked ? formatKnobValue(param, value) : 'Track'
+      row.querySelector('button').disabled = !locked
+    })
+  }
+
+  /**
+   * Setup the track settings panel (length, speed and Euclidean rhythm)
+   */
+  const setupTrackScaleControls = () => {
+    const length = document.getElementById('trackLength')
+    const lengthValue = document.getElementById('trackLengthValue')
+    const rate = document.getElementById('trackRate')
+    const resetBtn = document.getElementById('resetTrackScaleBtn')
+    const euclidSliders = ['euclidHits', 'euclidSteps', 'euclidRotation'].map(id => document.getElementById(id))
+
+    if (length) {
+      length.max = Sequencer.MAX_STEPS
+    }
+
+    if (rate) {
+      Sequencer.TRACK_RATES.forEach(value => {
+        const option = document.createElement('option')
+        option.value = value
+        option.textContent = TRACK_RATE_LABELS[value]
+        rate.appendChild(option)
+      })
+
+      rate.addEventListener('change', () => {
+        updateEditingTrackScale('Set track speed', { rate: parseFloat(rate.value) })
       })
     }
 
-    // Phaser controls
-    const phaserEnabled = document.getElementById('phaserEnabled')
-    const phaserRate = document.getElementById('phaserRate')
-    const phaserRateValue = document.getElementById('phaserRateValue')
-    const phaserDepth = document.getElementById('phaserDepth')
-    const phaserDepthValue = document.getElementById('phaserDepthValue')
-    const phaserFeedback = document.getElementById('phaserFeedback')
-    const phaserFeedbackValue = document.getElementById('phaserFeedbackValue')
+    if (length) {
+      length.addEventListener('input', () => {
+        if (lengthValue) {
+          lengthValue.textContent = length.value
+        }
+        updateEditingTrackScale('Set track length', { length: parseInt(length.value, 10) }, 'trackLength')
+        renderEuclidControls()
+      })
+    }
 
-    if (phaserEnabled) {
-      phaserEnabled.addEventListener('change', (e) => {
-        Effects.setPhaser({ enabled: e.target.checked })
+    if (resetBtn) {
+      resetBtn.addEventListener('click', () => {
+        updateEditingTrackScale('Reset track length', { length: null, rate: null })
+        renderTrackPanel()
       })
     }
 
-    if (phaserRate) {
-      phaserRate.addEventListener('input', (e) => {
-        const value = parseInt(e.target.value) / 10  // 1-100 -> 0.1-10 Hz
-        Effects.setPhaser({ rate: value })
-        if (phaserRateValue) phaserRateValue.textContent = `${value.toFixed(1)}Hz`
+    euclidSliders.forEach(slider => {
+      slider?.addEventListener('input', () => {
+        if (!editingTrack) return
+
+        renderEuclidControls()
+        const [hits, steps, rotation] = euclidSliders.map(input => parseInt(input?.value || 0, 10))
+        History.perform('Euclidean rhythm', ['sequencer'], () => {
+          Sequencer.generateEuclidean(editingTrack.id, { hits, steps, rotation })
+        }, { merge: `euclid-${editingTrack.id}` })
+        renderSequencerGrid()
+        SongMode.saveCurrentPattern()
+      })
+    })
+  }
+
+  /**
+   * Setup the pattern generator panel
+   */
+  const setupGenerateControls = () => {
+    const generateBtn = document.getElementById('generateBtn')
+    const generatePanel = document.getElementById('generate-panel')
+    const euclidAllBtn = document.getElementById('euclidAllBtn')
+
+    if (generateBtn && generatePanel) {
+      generateBtn.addEventListener('click', () => {
+        generatePanel.classList.remove('hidden')
+      })
+    }
+
+    if (euclidAllBtn) {
+      euclidAllBtn.addEventListener('click', () => {
+        applyGenerated('Generate Euclidean pattern', () => Sequencer.generateEuclideanAll())
       })
     }
 
-    if (phaserDepth) {
-      phaserDepth.addEventListener('input', (e) => {
-        const value = parseInt(e.target.value) / 100  // 0-100 -> 0-1
-        Effects.setPhaser({ depth: value })
-        if (phaserDepthValue) phaserDepthValue.textContent = `${e.target.value}%`
+    const genre = document.getElementById('generateGenre')
+    const seed = document.getElementById('generateSeed')
+    const seedBtn = document.getElementById('generateSeedBtn')
+    const fillLength = document.getElementById('generateFillLength')
+
+    if (genre) {
+      PatternGenerator.getGenres().forEach(name => {
+        const option = document.createElement('option')
+        option.value = name
+        option.textContent = name
+        genre.appendChild(option)
       })
     }
 
-    if (phaserFeedback) {
-      phaserFeedback.addEventListener('input', (e) => {
-        const value = parseInt(e.target.value) / 100  // 0-95 -> 0-0.95
-        Effects.setPhaser({ feedback: value })
-        if (phaserFeedbackValue) phaserFeedbackValue.textContent = `${e.target.value}%`
+    if (seedBtn && seed) {
+      seedBtn.addEventListener('click', () => {
+        seed.value = SeededRandom.randomSeed()
       })
     }
+
+    const getSeed = () => (parseInt(seed?.value, 10) || 0) >>> 0
+    const getGenre = () => genre?.value || PatternGenerator.detectGenre(Sequencer.getPattern().pattern, Sequencer.getStepCount())
+
+    document.getElementById('genrePatternBtn')?.addEventListener('click', () => {
+      applyGenerated('Generate pattern', () => Sequencer.generateGenrePattern(getGenre(), getSeed()))
+    })
+    document.getElementById('genreVariationBtn')?.addEventListener('click', () => {
+      applyGenerated('Generate variation', () => Sequencer.generateVariation(getSeed(), { genre: genre?.value || null }))
+    })
+    document.getElementById('genreFillBtn')?.addEventListener('click', () => {
+      applyGenerated('Generate fill', () => Sequencer.generateFill(getSeed(), parseInt(fillLength?.value || 4, 10)))
+    })
   }
 
   /**
-   * Update chain mode UI and pattern selection
+   * Run a pattern generator as one undoable edit and show the result
+   * @param {string} label - Undo history label
+   * @param {Function} generate - Sequencer generator call
    */
-  const updateChainModeUI = () => {
-    // Update chain mode toggle
-    const chainModeToggle = document.getElementById('chainModeToggle')
-    if (chainModeToggle) {
-      chainModeToggle.checked = SongMode.getChainMode()
-    }
+  const applyGenerated = (label, generate) => {
+    History.perform(label, ['sequencer'], generate)
+    renderSequencerGrid()
+    SongMode.saveCurrentPattern()
+  }
 
-    // Update pattern button selection
-    const currentIndex = SongMode.getCurrentPatternIndex()
-    const buttons = document.querySelectorAll('.pattern-slot__button')
-    buttons.forEach((btn, idx) => {
-      if (idx === currentIndex) {
-        btn.classList.add('is-active')
-      } else {
-        btn.classList.remove('is-active')
-      }
+  /**
+   * Fit the Euclidean sliders to the edited track's length and show their values
+   * The cycle can't exceed the track, hits can't exceed the cycle and rotation wraps within it
+   */
+  const renderEuclidControls = () => {
+    if (!editingTrack) return
+
+    const hits = document.getElementById('euclidHits')
+    const steps = document.getElementById('euclidSteps')
+    const rotation = document.getElementById('euclidRotation')
+    if (!hits || !steps || !rotation) return
+
+    const trackLength = Sequencer.getTrackScale(editingTrack.id)?.length || Sequencer.getStepCount()
+    steps.max = trackLength
+    steps.value = Math.min(parseInt(steps.value, 10), trackLength)
+    hits.max = steps.value
+    hits.value = Math.min(parseInt(hits.value, 10), parseInt(steps.value, 10))
+    rotation.max = Math.max(0, parseInt(steps.value, 10) - 1)
+    rotation.value = Math.min(parseInt(rotation.value, 10), parseInt(rotation.max, 10))
+
+    const values = { euclidHitsValue: hits.value, euclidStepsValue: steps.value, euclidRotationValue: rotation.value }
+    Object.entries(values).forEach(([id, value]) => {
+      const label = document.getElementById(id)
+      if (label) label.textContent = value
     })
   }
 
   /**
-   * Update effects UI elements to match current settings
+   * Apply a change to the track being edited in the track length panel
+   * @param {string} label - Undo history label
+   * @param {Object} settings - Track scale settings to merge (see Sequencer.setTrackScale)
+   * @param {string} merge - Optional merge key for continuous edits
    */
-  const updateEffectsUI = () => {
-    const settings = Effects.getSettings()
-
-    // Reverb
-    const reverbEnabled = document.getElementById('reverbEnabled')
-    const reverbWetDry = document.getElementById('reverbWetDry')
-    const reverbWetDryValue = document.getElementById('reverbWetDryValue')
-    const reverbDecay = document.getElementById('reverbDecay')
-    const reverbDecayValue = document.getElementById('reverbDecayValue')
-
-    if (reverbEnabled) reverbEnabled.checked = settings.reverb.enabled
-    if (reverbWetDry) reverbWetDry.value = Math.round(settings.reverb.wetDry * 100)
-    if (reverbWetDryValue) reverbWetDryValue.textContent = `${Math.round(settings.reverb.wetDry * 100)}%`
-    if (reverbDecay) reverbDecay.value = Math.round(settings.reverb.decayTime * 10)
-    if (reverbDecayValue) reverbDecayValue.textContent = `${settings.reverb.decayTime.toFixed(1)}s`
-
-    // Delay
-    const delayEnabled = document.getElementById('delayEnabled')
-    const delayWetDry = document.getElementById('delayWetDry')
-    const delayWetDryValue = document.getElementById('delayWetDryValue')
-    const delayTime = document.getElementById('delayTime')
-    const delayTimeValue = document.getElementById('delayTimeValue')
-    const delayFeedback = document.getElementById('delayFeedback')
-    const delayFeedbackValue = document.getElementById('delayFeedbackValue')
-
-    if (delayEnabled) delayEnabled.checked = settings.delay.enabled
-    if (delayWetDry) delayWetDry.value = Math.round(settings.delay.wetDry * 100)
-    if (delayWetDryValue) delayWetDryValue.textContent = `${Math.round(settings.delay.wetDry * 100)}%`
-    if (delayTime) delayTime.value = Math.round(settings.delay.delayTime * 100)
-    if (delayTimeValue) delayTimeValue.textContent = `${settings.delay.delayTime.toFixed(3)}s`
-    if (delayFeedback) delayFeedback.value = Math.round(settings.delay.feedback * 100)
-    if (delayFeedbackValue) delayFeedbackValue.textContent = `${Math.round(settings.delay.feedback * 100)}%`
-
-    // Distortion
-    const distortionEnabled = document.getElementById('distortionEnabled')
-    const distortionAmount = document.getElementById('distortionAmount')
-    const distortionAmountValue = document.getElementById('distortionAmountValue')
-    const distortionTone = document.getElementById('distortionTone')
-    const distortionToneValue = document.getElementById('distortionToneValue')
-
-    if (distortionEnabled) distortionEnabled.checked = settings.distortion.enabled
-    if (distortionAmount) distortionAmount.value = Math.round(settings.distortion.amount * 100)
-    if (distortionAmountValue) distortionAmountValue.textContent = `${Math.round(settings.distortion.amount * 100)}%`
-    if (distortionTone) distortionTone.value = Math.round(settings.distortion.tone * 100)
-    if (distortionToneValue) distortionToneValue.textContent = `${Math.round(settings.distortion.tone * 100)}%`
-
-    // Compressor
-    const compressorEnabled = document.getElementById('compressorEnabled')
-    const compressorThreshold = document.getElementById('compressorThreshold')
-    const compressorThresholdValue = document.getElementById('compressorThresholdValue')
-    const compressorRatio = document.getElementById('compressorRatio')
-    const compressorRatioValue = document.getElementById('compressorRatioValue')
-
-    if (compressorEnabled) compressorEnabled.checked = settings.compressor.enabled
-    if (compressorThreshold) compressorThreshold.value = settings.compressor.threshold + 100
-    if (compressorThresholdValue) compressorThresholdValue.textContent = `${settings.compressor.threshold}dB`
-    if (compressorRatio) compressorRatio.value = settings.compressor.ratio
-    if (compressorRatioValue) compressorRatioValue.textContent = `${settings.compressor.ratio}:1`
-
-    // EQ
-    const eqEnabled = document.getElementById('eqEnabled')
-    const eqLow = document.getElementById('eqLow')
-    const eqLowValue = document.getElementById('eqLowValue')
-    const eqMid = document.getElementById('eqMid')
-    const eqMidValue = document.getElementById('eqMidValue')
-    const eqHigh = document.getElementById('eqHigh')
-    const eqHighValue = document.getElementById('eqHighValue')
-
-    if (eqEnabled) eqEnabled.checked = settings.eq.enabled
-    if (eqLow) eqLow.value = settings.eq.low
-    if (eqLowValue) eqLowValue.textContent = `${settings.eq.low >= 0 ? '+' : ''}${settings.eq.low.toFixed(1)}dB`
-    if (eqMid) eqMid.value = settings.eq.mid
-    if (eqMidValue) eqMidValue.textContent = `${settings.eq.mid >= 0 ? '+' : ''}${settings.eq.mid.toFixed(1)}dB`
-    if (eqHigh) eqHigh.value = settings.eq.high
-    if (eqHighValue) eqHighValue.textContent = `${settings.eq.high >= 0 ? '+' : ''}${settings.eq.high.toFixed(1)}dB`
-
-    // Filter
-    const filterEnabled = document.getElementById('filterEnabled')
-    const filterType = document.getElementById('filterType')
-    const filterFrequency = document.getElementById('filterFrequency')
-    const filterFrequencyValue = document.getElementById('filterFrequencyValue')
-    const filterResonance = document.getElementById('filterResonance')
-    const filterResonanceValue = document.getElementById('filterResonanceValue')
-
-    if (filterEnabled) filterEnabled.checked = settings.filter.enabled
-    if (filterType) filterType.value = settings.filter.type
-    if (filterFrequency) filterFrequency.value = settings.filter.frequency
-    if (filterFrequencyValue) filterFrequencyValue.textContent = `${settings.filter.frequency}Hz`
-    if (filterResonance) filterResonance.value = Math.round(settings.filter.resonance * 10)
-    if (filterResonanceValue) filterResonanceValue.textContent = settings.filter.resonance.toFixed(1)
-
-    // Chorus
-    const chorusEnabled = document.getElementById('chorusEnabled')
-    const chorusRate = document.getElementById('chorusRate')
-    const chorusRateValue = document.getElementById('chorusRateValue')
-    const chorusDepth = document.getElementById('chorusDepth')
-    const chorusDepthValue = document.getElementById('chorusDepthValue')
-    const chorusMix = document.getElementById('chorusMix')
-    const chorusMixValue = document.getElementById('chorusMixValue')
-
-    if (chorusEnabled) chorusEnabled.checked = settings.chorus.enabled
-    if (chorusRate) chorusRate.value = Math.round(settings.chorus.rate * 10)
-    if (chorusRateValue) chorusRateValue.textContent = `${settings.chorus.rate.toFixed(1)}Hz`
-    if (chorusDepth) chorusDepth.value = Math.round(settings.chorus.depth * 10000)
-    if (chorusDepthValue) chorusDepthValue.textContent = `${Math.round(settings.chorus.depth * 10000)}%`
-    if (chorusMix) chorusMix.value = Math.round(settings.chorus.mix * 100)
-    if (chorusMixValue) chorusMixValue.textContent = `${Math.round(settings.chorus.mix * 100)}%`
-
-    // Phaser
-    const phaserEnabled = document.getElementById('phaserEnabled')
-    const phaserRate = document.getElementById('phaserRate')
-    const phaserRateValue = document.getElementById('phaserRateValue')
-    const phaserDepth = document.getElementById('phaserDepth')
-    const phaserDepthValue = document.getElementById('phaserDepthValue')
-    const phaserFeedback = document.getElementById('phaserFeedback')
-    const phaserFeedbackValue = document.getElementById('phaserFeedbackValue')
-
-    if (phaserEnabled) phaserEnabled.checked = settings.phaser.enabled
-    if (phaserRate) phaserRate.value = Math.round(settings.phaser.rate * 10)
-    if (phaserRateValue) phaserRateValue.textContent = `${settings.phaser.rate.toFixed(1)}Hz`
-    if (phaserDepth) phaserDepth.value = Math.round(settings.phaser.depth * 100)
-    if (phaserDepthValue) phaserDepthValue.textContent = `${Math.round(settings.phaser.depth * 100)}%`
-    if (phaserFeedback) phaserFeedback.value = Math.round(settings.phaser.feedback * 100)
-    if (phaserFeedbackValue) phaserFeedbackValue.textContent = `${Math.round(settings.phaser.feedback * 100)}%`
+  const updateEditingTrackScale = (label, settings, merge = null) => {
+    if (!editingTrack) return
+
+    History.perform(label, ['sequencer'], () => Sequencer.setTrackScale(editingTrack.id, settings), { merge })
+    renderSequencerGrid()
+    renderTrackNames()
+    SongMode.saveCurrentPattern()
   }
 
   /**
-   * Setup song mode controls
+   * Show the track being edited in the track length panel
    */
-  const setupSongModeControls = () => {
-    const addSectionBtn = document.getElementById('addSectionBtn')
-    const playSongBtn = document.getElementById('playSongBtn')
-    const stopSongBtn = document.getElementById('stopSongBtn')
-    const clearSongBtn = document.getElementById('clearSongBtn')
-    const songSections = document.getElementById('songSections')
+  const renderTrackPanel = () => {
+    if (!editingTrack) return
 
-    if (addSectionBtn) {
-      addSectionBtn.addEventListener('click', () => {
-        const name = prompt('Section name:', `Section ${SongMode.getSong().length + 1}`)
-        if (name) {
-          const section = SongMode.createSectionFromCurrent(name, 1)
-          SongMode.addSection(section)
-          updateSongSections()
-        }
-      })
+    const scale = Sequencer.getTrackScale(editingTrack.id) || {}
+    const trackLength = scale.length || Sequencer.getStepCount()
+
+    const info = document.getElementById('trackPanelInfo')
+    const length = document.getElementById('trackLength')
+    const lengthValue = document.getElementById('trackLengthValue')
+    const rate = document.getElementById('trackRate')
+
+    if (info) {
+      info.textContent = editingTrack.name
+    }
+    if (length) {
+      length.value = trackLength
+    }
+    if (lengthValue) {
+      lengthValue.textContent = trackLength
+    }
+    if (rate) {
+      rate.value = scale.rate || 1
     }
 
-    if (playSongBtn) {
-      playSongBtn.addEventListener('click', () => {
-        SongMode.play()
-      })
+    // Euclidean sliders start from the track's current hit count over its whole length
+    const hits = document.getElementById('euclidHits')
+    const steps = document.getElementById('euclidSteps')
+    const rotation = document.getElementById('euclidRotation')
+    if (hits && steps && rotation) {
+      const pattern = Sequencer.getPattern()
+      const trackSteps = pattern?.pattern?.[editingTrack.id] || []
+      steps.max = trackLength
+      steps.value = trackLength
+      hits.max = trackLength
+      hits.value = trackSteps.slice(0, trackLength).filter(value => value > 0).length
+      rotation.value = 0
     }
+    renderEuclidControls()
+  }
 
-    if (stopSongBtn) {
-      stopSongBtn.addEventListener('click', () => {
-        SongMode.stop()
+  /**
+   * Setup the track insert effects panel
+   * Uses the same effect modules as the effects racks, one insert chain per track
+   */
+  const setupInsertControls = () => {
+    const insertSlots = document.getElementById('insertSlots')
+    const insertTypeSelect = document.getElementById('insertTypeSelect')
+    const addInsertBtn = document.getElementById('addInsertBtn')
+
+    if (insertTypeSelect) {
+      insertTypeSelect.innerHTML = Effects.getEffectTypes()
+        .filter(({ type }) => Effects.INSERT_TYPES.includes(type))
+        .map(({ type, name }) => `<option value="${type}">${name}</option>`)
+        .join('')
+    }
+
+    if (addInsertBtn) {
+      addInsertBtn.addEventListener('click', () => {
+        const type = insertTypeSelect ? insertTypeSelect.value : 'filter'
+        updateEditingInserts('Add insert', [...getEditingInserts(), { type }])
+        renderInsertPanel()
       })
     }
 
-    if (clearSongBtn) {
-      clearSongBtn.addEventListener('click', () => {
-        if (confirm('Clear entire song?')) {
-          SongMode.clearSong()
-          updateSongSections()
-        }
-      })
+    if (!insertSlots) return
+
+    // Parameter sliders and selects
+    insertSlots.addEventListener('input', (e) => {
+      const param = e.target.dataset.param
+      const module = e.target.closest('[data-slot-id]')
+      if (!param || !module) return
+
+      const index = parseInt(module.dataset.slotId)
+      const inserts = getEditingInserts()
+      if (!inserts[index]) return
+
+      inserts[index].params[param] = e.target.tagName === 'SELECT' ? e.target.value : parseFloat(e.target.value)
+      updateEditingInserts('Change insert', inserts, `insert:${editingInserts.id}:${index}:${param}`)
+
+      const valueLabel = e.target.parentElement.querySelector('.control__value')
+      const control = EFFECT_CONTROLS[inserts[index].type].find(c => c.param === param)
+      if (valueLabel && control?.format) {
+        valueLabel.textContent = control.format(getEditingInserts()[index].params[param])
+      }
+    })
+
+    // On/bypass toggles
+    insertSlots.addEventListener('change', (e) => {
+      if (!e.target.matches('[data-effect-toggle]')) return
+
+      const index = parseInt(e.target.closest('[data-slot-id]').dataset.slotId)
+      const inserts = getEditingInserts()
+      if (!inserts[index]) return
+
+      inserts[index].bypassed = !e.target.checked
+      updateEditingInserts('Toggle insert', inserts)
+    })
+
+    // Move and remove buttons
+    insertSlots.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-effect-action]')
+      if (!button) return
+
+      const index = parseInt(button.closest('[data-slot-id]').dataset.slotId)
+      const inserts = getEditingInserts()
+      const [insert] = inserts.splice(index, 1)
+
+      switch (button.dataset.effectAction) {
+        case 'earlier':
+          inserts.splice(Math.max(0, index - 1), 0, insert)
+          updateEditingInserts('Move insert', inserts)
+          break
+        case 'later':
+          inserts.splice(index + 1, 0, insert)
+          updateEditingInserts('Move insert', inserts)
+          break
+        case 'remove':
+          updateEditingInserts('Remove insert', inserts)
+          break
+      }
+      renderInsertPanel()
+    })
+  }
+
+  /**
+   * Get the insert effects of the track open in the insert panel
+   * @returns {Array<Object>} Copies of the track's inserts
+   */
+  const getEditingInserts = () => {
+    if (!editingInserts) return []
+
+    const settings = editingInserts.isLoop
+      ? LoopPedal.getTrackMixerSettings(editingInserts.id)
+      : AudioEngine.getTrackMixerSettings(editingInserts.id)
+    return JSON.parse(JSON.stringify(settings?.inserts || []))
+  }
+
+  /**
+   * Replace the insert effects of the track open in the insert panel
+   * @param {string} label - Undo history label
+   * @param {Array<Object>} inserts - New inserts
+   * @param {string} merge - Optional merge key for continuous edits
+   */
+  const updateEditingInserts = (label, inserts, merge = null) => {
+    if (!editingInserts) return
+
+    const { isLoop, id } = editingInserts
+    History.perform(label, [isLoop ? 'loops' : 'mixer'], () => {
+      if (isLoop) {
+        LoopPedal.setTrackMixerParam(id, 'inserts', inserts)
+      } else {
+        AudioEngine.setTrackMixerParam(id, 'inserts', inserts)
+      }
+    }, { merge })
+    renderTrackNames()
+  }
+
+  /**
+   * Show the insert effects of the track open in the insert panel
+   */
+  const renderInsertPanel = () => {
+    if (!editingInserts) return
+
+    const insertSlots = document.getElementById('insertSlots')
+    const addInsertBtn = document.getElementById('addInsertBtn')
+    const info = document.getElementById('insertPanelInfo')
+    const inserts = getEditingInserts()
+
+    if (info) {
+      info.textContent = editingInserts.name
+    }
+    if (addInsertBtn) {
+      addInsertBtn.disabled = inserts.length >= Effects.MAX_INSERTS
+    }
+    if (insertSlots) {
+      const names = Object.fromEntries(Effects.getEffectTypes().map(({ type, name }) => [type, name]))
+      const slots = inserts.map((insert, index) => ({ ...insert, id: index }))
+      insertSlots.innerHTML = renderEffectSlots(slots, names, 'insert')
     }
+  }
 
-    // Listen to song mode events
-    SongMode.on('sectionAdded', () => updateSongSections())
-    SongMode.on('sectionRemoved', () => updateSongSections())
-    SongMode.on('songCleared', () => updateSongSections())
+  /**
+   * Get a MIDI note name (e.g. 36 -> "C2")
+   * @param {number} note - MIDI note number
+   * @returns {string} Note name
+   */
+  const getMIDINoteName = (note) => {
+    const names = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B']
+    return `${names[note % 12]}${Math.floor(note / 12) - 1}`
+  }
+
+  /**
+   * Render the MIDI pad mapping list (one row per drum track)
+   */
+  const renderMIDIMapping = () => {
+    const midiMapping = document.getElementById('midiMapping')
+    if (!midiMapping) return
+
+    const learnTrack = MIDIInput.getLearnTrack()
+    const drumTracks = Sequencer.getAllTracks().filter(track => track.isChangeable)
+
+    midiMapping.innerHTML = drumTracks.map(track => {
+      const notes = MIDIInput.getTrackNotes(track.trackIndex)
+      const noteText = notes.length > 0
+        ? notes.map(note => `${getMIDINoteName(note)} (${note})`).join(', ')
+        : '—'
+      const isLearning = learnTrack === track.trackIndex
+
+      return `
+        <div style="display: flex; justify-content: space-between; align-items: center; padding: 4px 0;">
+          <span>${track.name}</span>
+          <span style="display: flex; align-items: center; gap: 8px;">
+            <small style="color: var(--color-text-secondary);">${isLearning ? 'Hit a pad...' : noteText}</small>
+            <button class="btn btn--secondary${isLearning ? ' is-recording' : ''}" data-track-index="${track.trackIndex}" style="padding: 4px 8px;">${isLearning ? 'Cancel' : 'Learn'}</button>
+          </span>
+        </div>
+      `
+    }).join('')
+  }
+
+  /**
+   * Render the MIDI file import note map (one notes field per drum track)
+   */
+  const renderMIDIFileMapping = () => {
+    const midiFileMapping = document.getElementById('midiFileMapping')
+    if (!midiFileMapping) return
+
+    const map = MIDIFile.getNoteMap()
+    const drumTracks = Sequencer.getAllTracks().filter(track => track.isChangeable)
+
+    midiFileMapping.innerHTML = drumTracks.map(track => {
+      const notes = Object.keys(map)
+        .filter(note => map[note] === track.trackIndex)
+        .map(Number)
+        .sort((a, b) => a - b)
+
+      return `
+        <label style="display: flex; justify-content: space-between; align-items: center; gap: 8px; padding: 4px 0;">
+          <span>${track.name}</span>
+          <input type="text" class="control__input" data-track-index="${track.trackIndex}" value="${notes.join(', ')}"
+            size="12" aria-label="MIDI notes for ${track.name}" title="${notes.map(getMIDINoteName).join(', ')}">
+        </label>
+      `
+    }).join('')
   }
 
   /**
@@ -1924,14 +3270,74 @@ const UI = (() => {
         <div style="display: flex; justify-content: space-between; align-items: center;">
           <div>
             <strong>${section.name}</strong><br>
-            <small style="color: var(--color-text-secondary);">${section.tempo} BPM × ${section.repeats}</small>
+            <small style="color: var(--color-text-secondary);">${formatSectionTempo(section)} × ${section.repeats}</small>
+          </div>
+          <div>
+            <button class="btn btn--secondary" data-section-ramp="${index}" aria-label="Tempo ramp" style="padding: 4px 8px;">↗</button>
+            <button class="btn btn--danger" onclick="History.perform('Remove section', ['song'], () => SongMode.removeSection(${index})); UI.updateSongSections()" style="padding: 4px 8px;">×</button>
           </div>
-          <button class="btn btn--danger" onclick="SongMode.removeSection(${index}); UI.updateSongSections()" style="padding: 4px 8px;">×</button>
         </div>
       </div>
     `).join('')
   }
 
+  /**
+   * Format a section's tempo for the song list
+   * @param {Object} section - Song section
+   * @returns {string} e.g. "120 BPM" or "120 → 140 BPM (exp)"
+   */
+  const formatSectionTempo = (section) => {
+    if (!section.tempoRamp) {
+      return `${formatTempo(section.tempo)} BPM`
+    }
+    const curve = section.tempoRamp.curve === 'exponential' ? ' (exp)' : ''
+    return `${formatTempo(section.tempo)} → ${formatTempo(section.tempoRamp.target)} BPM${curve}`
+  }
+
+  /**
+   * Show the section being edited in the song section panel
+   */
+  const renderSectionPanel = () => {
+    const section = editingSection !== null ? SongMode.getSection(editingSection) : null
+    if (!section) return
+
+    const info = document.getElementById('sectionPanelInfo')
+    const ramp = document.getElementById('sectionRamp')
+    const target = document.getElementById('sectionRampTarget')
+    const curve = document.getElementById('sectionRampCurve')
+
+    if (info) {
+      info.textContent = `${section.name}: ${formatTempo(section.tempo)} BPM × ${section.repeats}`
+    }
+    if (ramp) {
+      ramp.checked = !!section.tempoRamp
+    }
+    if (target) {
+      target.value = section.tempoRamp ? section.tempoRamp.target : section.tempo
+      target.disabled = !section.tempoRamp
+    }
+    if (curve) {
+      curve.value = section.tempoRamp ? section.tempoRamp.curve : 'linear'
+      curve.disabled = !section.tempoRamp
+    }
+  }
+
+  /**
+   * Apply the section panel's tempo ramp settings to the section being edited
+   */
+  const updateEditingSectionRamp = () => {
+    if (editingSection === null) return
+
+    const ramp = document.getElementById('sectionRamp')
+    const target = document.getElementById('sectionRampTarget')
+    const curve = document.getElementById('sectionRampCurve')
+    const settings = ramp?.checked ? { target: parseFloat(target?.value), curve: curve?.value } : null
+
+    History.perform('Set tempo ramp', ['song'], () => SongMode.setSectionTempoRamp(editingSection, settings))
+    renderSectionPanel()
+    updateSongSections()
+  }
+
   /**
    * Pattern Selector - Render pattern slots with rotary knobs
    */
@@ -1966,6 +3372,14 @@ const UI = (() => {
         SongMode.switchToPattern(index)
       })
 
+      // Right-click opens the slot's auto fill settings
+      button.addEventListener('contextmenu', (e) => {
+        e.preventDefault()
+        editingSlot = index
+        renderSlotPanel()
+        document.getElementById('slot-panel')?.classList.remove('hidden')
+      })
+
       slotDiv.appendChild(button)
 
       // Rotary knob for repeat count
@@ -1994,7 +3408,7 @@ const UI = (() => {
       // Repeat count label
       const repeatLabel = document.createElement('div')
       repeatLabel.className = 'pattern-slot__repeats'
-      repeatLabel.textContent = `×${repeats}`
+      repeatLabel.textContent = formatSlotRepeats(repeats, slot.autoFill)
       slotDiv.appendChild(repeatLabel)
 
       container.appendChild(slotDiv)
@@ -2029,6 +3443,7 @@ const UI = (() => {
     draggedPatternKnob = knob
     dragStartPatternY = e.clientY
     dragStartRepeats = slot.repeats
+    History.begin('Change repeats', ['song'])
 
     document.addEventListener('mousemove', handlePatternKnobMouseMove)
     document.addEventListener('mouseup', handlePatternKnobMouseUp)
@@ -2048,6 +3463,7 @@ const UI = (() => {
 
   const handlePatternKnobMouseUp = () => {
     draggedPatternKnob = null
+    History.commit()
 
     document.removeEventListener('mousemove', handlePatternKnobMouseMove)
     document.removeEventListener('mouseup', handlePatternKnobMouseUp)
@@ -2064,10 +3480,58 @@ const UI = (() => {
     const slotDiv = knobSVG.closest('.pattern-slot')
     const repeatLabel = slotDiv.querySelector('.pattern-slot__repeats')
     if (repeatLabel) {
-      repeatLabel.textContent = `×${repeats}`
+      repeatLabel.textContent = formatSlotRepeats(repeats, SongMode.getPatternSlot(patternIndex)?.autoFill)
     }
   }
 
+  /**
+   * Format a pattern slot's repeat label (F marks an auto fill on the last repeat)
+   * @param {number} repeats - Repeat count
+   * @param {Object|null} autoFill - Slot auto fill settings
+   * @returns {string} Label text
+   */
+  const formatSlotRepeats = (repeats, autoFill) => {
+    return autoFill ? `×${repeats} F` : `×${repeats}`
+  }
+
+  /**
+   * Show the slot being edited in the pattern slot panel
+   */
+  const renderSlotPanel = () => {
+    if (editingSlot === null) return
+
+    const slot = SongMode.getPatternSlot(editingSlot)
+    const info = document.getElementById('slotPanelInfo')
+    const autoFill = document.getElementById('slotAutoFill')
+    const fillLength = document.getElementById('slotFillLength')
+
+    if (info) {
+      info.textContent = `${slot.name} (slot ${editingSlot + 1})`
+    }
+    if (autoFill) {
+      autoFill.checked = !!slot.autoFill
+    }
+    if (fillLength) {
+      fillLength.value = slot.autoFill ? String(slot.autoFill.length || '') : '4'
+      fillLength.disabled = !slot.autoFill
+    }
+  }
+
+  /**
+   * Apply the slot panel's auto fill settings to the slot being edited
+   */
+  const updateEditingSlotAutoFill = () => {
+    if (editingSlot === null) return
+
+    const autoFill = document.getElementById('slotAutoFill')
+    const fillLength = document.getElementById('slotFillLength')
+    const settings = autoFill?.checked ? { length: parseInt(fillLength?.value, 10) || null } : null
+
+    History.perform('Set auto fill', ['song'], () => SongMode.setPatternAutoFill(editingSlot, settings))
+    renderSlotPanel()
+    renderPatternSlots()
+  }
+
   /**
    * Setup pattern selector event listeners
    */
@@ -2080,6 +3544,10 @@ const UI = (() => {
       })
     }
 
+    // Pattern slot panel (auto fill)
+    document.getElementById('slotAutoFill')?.addEventListener('change', updateEditingSlotAutoFill)
+    document.getElementById('slotFillLength')?.addEventListener('change', updateEditingSlotAutoFill)
+
     // Listen to SongMode events
     SongMode.on('patternSwitched', handlePatternSwitched)
     SongMode.on('patternSwitchQueued', handlePatternSwitchQueued)
@@ -2311,7 +3779,9 @@ const UI = (() => {
     if (currentPickerTrackIndex === null) return
 
     // Update the sequencer's track instrument
-    Sequencer.setTrackInstrument(currentPickerTrackIndex, instrumentId)
+    History.perform('Change instrument', ['sequencer'], () => {
+      Sequencer.setTrackInstrument(currentPickerTrackIndex, instrumentId)
+    })
 
     // Re-render track names to show the new instrument name
     renderTrackNames()
@@ -180,53 +180,317 @@ const WAVEncoder = (() => {
     return outputBuffer
   }
 
+  // How often (in rendered seconds) to report progress while rendering
+  const PROGRESS_INTERVAL = 1
+
+  // Extra time rendered after the last step so samples ring out (effect tails come on top)
+  const SAMPLE_TAIL = 2
+  const SILENCE_THRESHOLD = 0.0001 // -80dB: quieter tail audio is trimmed from a mix
+
   /**
    * Render sequencer pattern to audio buffer
-   * @param {AudioContext} audioContext - Audio context
-   * @param {Object} pattern - Sequencer pattern
-   * @param {number} tempo - BPM
+   * @param {AudioContext} audioContext - Live audio context (provides the sample rate)
+   * @param {Object} state - Playback state from Sequencer.getPlaybackState() (the edited pattern by default)
    * @param {number} bars - Number of bars to render (default 4)
+   * @param {Object} options - Render options (see renderSegments)
    * @returns {Promise<AudioBuffer>} Rendered audio buffer
    */
-  const renderPattern = async (audioContext, pattern, tempo, bars = 4) => {
-    const beatsPerBar = 4
-    const stepsPerBeat = 4
-    const totalBeats = bars * beatsPerBar
-    const totalSteps = totalBeats * stepsPerBeat
-    const secondsPerBeat = 60 / tempo
-    const duration = totalBeats * secondsPerBeat
+  const renderPattern = async (audioContext, state = Sequencer.getPlaybackState(true), bars = 4, options = {}) => {
+    return await renderSegments(audioContext, [{ state, bars }], options)
+  }
+
+  /**
+   * Render a sequence of patterns back to back into one audio buffer
+   * Rebuilds the live graph (drum channel strips, sample one-shots, effects chain)
+   * inside an OfflineAudioContext so the result matches what the sequencer plays.
+   *
+   * Segment structure:
+   * {
+   *   state: object,              // Playback state (see Sequencer.getPlaybackState)
+   *   bars: number,               // Times to play the pattern
+   *   drumMixerSettings: object,  // Optional drum mixer settings (current settings if omitted)
+   *   loopTracks: array|null      // Optional saved pattern tracks 4-7 (current tracks if omitted)
+   * }
+   *
+   * @param {AudioContext} audioContext - Live audio context (provides the sample rate)
+   * @param {Array<Object>} segments - Segments to render in order
+   * @param {Object} options - { onProgress(progress, stage) } where progress is 0-1
+   *   and stage is 'preparing' or 'rendering'
+   * @returns {Promise<AudioBuffer>} Rendered audio buffer
+   */
+  const renderSegments = async (audioContext, segments, options = {}) => {
+    const { onProgress = null } = options
+    const report = createReporter(onProgress)
+
+    const decodedTracks = await prepareSegments(segments, (progress) => report(progress * 0.1, 'preparing'))
+
+    const buffer = await renderPass(audioContext, segments, decodedTracks, {
+      onProgress: (progress) => report(0.1 + progress * 0.9, 'rendering')
+    })
+    return trimTail(audioContext, buffer, getSegmentsDuration(segments))
+  }
+
+  /**
+   * Render every drum and sample track that plays into its own buffer (stems)
+   * Stems are time-aligned and post-mixer, all the same length (tails included);
+   * tracks without hits or a free-running loop are skipped
+   * @param {AudioContext} audioContext - Live audio context (provides the sample rate)
+   * @param {Array<Object>} segments - Segments to render in order (see renderSegments)
+   * @param {Object} options - { preEffects, onProgress(progress, stage) }
+   *   preEffects renders the stems without the master effects chain and send buses
+   * @returns {Promise<Array>} Stems { type: 'drum'|'sample', index, instruments, buffer }
+   *   instruments lists the instrument IDs a drum stem played, in order of first use (empty for samples)
+   */
+  const renderStems = async (audioContext, segments, options = {}) => {
+    const { preEffects = false, onProgress = null } = options
+    const report = createReporter(onProgress)
+
+    const decodedTracks = await prepareSegments(segments, (progress) => report(progress * 0.1, 'preparing'))
+
+    // Dry run of the scheduler to find the tracks that actually play
+    const playing = []
+    const markPlaying = (type, index, instrumentId = null) => {
+      let track = playing.find(track => track.type === type && track.index === index)
+      if (!track) {
+        track = { type, index, instruments: [] }
+        playing.push(track)
+      }
+      if (instrumentId && !track.instruments.includes(instrumentId)) {
+        track.instruments.push(instrumentId)
+      }
+    }
+    LoopPedal.getRunningLoops().forEach(index => markPlaying('sample', index))
+    let time = 0
+    let position = Sequencer.getRenderStartPosition(segments[0]?.state)
+    segments.forEach(segment => {
+      time = Sequencer.schedulePattern(segment.state, {
+        playDrum: (instrumentId, hitTime, velocity, trackIndex) => markPlaying('drum', trackIndex, instrumentId),
+        playSample: (trackIndex) => markPlaying('sample', trackIndex)
+      }, time, segment.bars, position)
+      position = getSegmentEnd(position, segment)
+    })
+
+    // Drum tracks first, then sample tracks, each in track order
+    playing.sort((a, b) => {
+      if (a.type !== b.type) return a.type === 'drum' ? -1 : 1
+      return a.index - b.index
+    })
+
+    // One render pass per track
+    const stems = []
+    for (let i = 0; i < playing.length; i++) {
+      const track = playing[i]
+      const buffer = await renderPass(audioContext, segments, decodedTracks, {
+        trackFilter: track,
+        preEffects,
+        onProgress: (progress) => report(0.1 + (i + progress) / playing.length * 0.9, 'rendering')
+      })
+
+      // Sample tracks can have hits but no recording
+      if (!isSilent(buffer)) {
+        stems.push({ ...track, buffer })
+      }
+    }
+
+    report(1, 'rendering')
+    return stems
+  }
+
+  /**
+   * Create a progress callback that clamps progress to 0-1 and ignores a missing callback
+   * @param {Function|null} onProgress - Progress callback (progress, stage)
+   * @returns {Function} Reporter (progress, stage)
+   */
+  const createReporter = (onProgress) => {
+    return (progress, stage) => {
+      if (onProgress) onProgress(Math.max(0, Math.min(1, progress)), stage)
+    }
+  }
+
+  /**
+   * Load the samples and decode the pattern loop tracks the segments need
+   * @param {Array<Object>} segments - Segments to render
+   * @param {Function} onProgress - Progress callback (0-1)
+   * @returns {Promise<Array>} Decoded loop tracks per segment (undefined = keep current tracks)
+   */
+  const prepareSegments = async (segments, onProgress) => {
+    onProgress(0)
+
+    // Make sure every sample the segments play is loaded
+    const instrumentIds = new Set()
+    segments.forEach(segment => {
+      (segment.state.trackInstruments || []).forEach(id => instrumentIds.add(id))
+    })
+    await AudioEngine.preloadInstruments([...instrumentIds])
+
+    // Decode pattern-specific loop tracks of each segment
+    const decodedTracks = []
+    for (let i = 0; i < segments.length; i++) {
+      const { loopTracks } = segments[i]
+      decodedTracks.push(loopTracks === undefined ? undefined : await LoopPedal.decodePatternTracks(loopTracks))
+      onProgress((i + 1) / segments.length)
+    }
+
+    return decodedTracks
+  }
+
+  /**
+   * Get the playback position after a segment (see Sequencer.schedulePattern)
+   * @param {Object} position - { bar, tick, random } at the start of the segment
+   * @param {Object} segment - Segment { state, bars }
+   * @returns {Object} { bar, tick, random } at the start of the next segment
+   */
+  const getSegmentEnd = (position, segment) => {
+    return {
+      ...position,
+      bar: position.bar + segment.bars,
+      tick: position.tick + segment.bars * segment.state.stepCount
+    }
+  }
+
+  /**
+   * Get the musical length of segments (without tails)
+   * @param {Array<Object>} segments - Segments to render
+   * @returns {number} Duration in seconds
+   */
+  const getSegmentsDuration = (segments) => {
+    return segments.reduce((total, segment) => {
+      return total + Sequencer.getPatternDuration(segment.state, segment.bars)
+    }, 0)
+  }
+
+  /**
+   * Render prepared segments in an OfflineAudioContext
+   * The render runs past the last step long enough for samples and effect tails to ring out
+   * @param {AudioContext} audioContext - Live audio context (provides the sample rate)
+   * @param {Array<Object>} segments - Segments to render
+   * @param {Array} decodedTracks - Decoded loop tracks per segment (from prepareSegments)
+   * @param {Object} options - { trackFilter: { type, index }, preEffects, onProgress(progress) }
+   * @returns {Promise<AudioBuffer>} Rendered audio buffer
+   */
+  const renderPass = async (audioContext, segments, decodedTracks, options = {}) => {
+    const { trackFilter = null, preEffects = false, onProgress = null } = options
+
+    // Synced delays and LFOs start at the first segment's tempo and ring out at the last one's
+    const firstTempo = Sequencer.getStepTempo(segments[0].state, 0)
+    const last = segments[segments.length - 1]
+    const lastTempo = Sequencer.getStepTempo(last.state, last.bars * last.state.stepCount - 1)
+
+    const musicDuration = getSegmentsDuration(segments)
+    const duration = musicDuration + SAMPLE_TAIL + (preEffects ? 0 : Effects.getTailDuration(undefined, lastTempo))
 
     // Create offline audio context for rendering
     const offlineContext = new OfflineAudioContext(
       2, // stereo
-      duration * audioContext.sampleRate,
+      Math.max(1, Math.ceil(duration * audioContext.sampleRate)),
       audioContext.sampleRate
     )
 
-    // Schedule all notes
-    const instruments = Object.keys(pattern.pattern)
-    const stepDuration = secondsPerBeat / stepsPerBeat
-
-    for (let step = 0; step < totalSteps; step++) {
-      const patternStep = step % 16
-      const time = step * stepDuration
-
-      instruments.forEach(instrument => {
-        if (pattern.pattern[instrument][patternStep]) {
-          // Get the audio buffer for this instrument
-          const buffer = AudioEngine.getSampleBuffer(instrument)
-          if (buffer) {
-            const source = offlineContext.createBufferSource()
-            source.buffer = buffer
-            source.connect(offlineContext.destination)
-            source.start(time)
-          }
-        }
-      })
+    // Same routing as live: tracks -> master (and send buses -> master) -> effects -> destination
+    let masterDestination = offlineContext.destination
+    let effects = null
+    if (!preEffects) {
+      effects = Effects.createChain(offlineContext, undefined, firstTempo)
+      effects.output.connect(offlineContext.destination)
+      masterDestination = effects.input
+    }
+    const drums = AudioEngine.createRenderGraph(offlineContext, masterDestination, { withSends: !preEffects, tempo: firstTempo })
+    const samples = LoopPedal.createRenderGraph(offlineContext, drums.master, drums.sends)
+
+    // Only play the filtered track when rendering a stem
+    const output = {
+      playDrum: (instrumentId, time, velocity, trackIndex, duration, locks) => {
+        if (trackFilter && (trackFilter.type !== 'drum' || trackFilter.index !== trackIndex)) return
+        drums.playDrum(instrumentId, time, velocity, locks)
+      },
+      playSample: (trackIndex, time, velocity) => {
+        if (trackFilter && (trackFilter.type !== 'sample' || trackFilter.index !== trackIndex)) return
+        samples.playTrack(trackIndex, time, velocity)
+      },
+      // Each segment's tempo (and every step of a ramp) moves the synced effects
+      setTempo: (bpm, time) => {
+        if (effects) effects.setTempo(bpm, time)
+        drums.setTempo(bpm, time)
+      }
+    }
+
+    // Free-running loops play along until the music ends
+    samples.startLoops((trackIndex) => !trackFilter || (trackFilter.type === 'sample' && trackFilter.index === trackIndex))
+
+    // Schedule all notes, switching mixer settings and sample tracks per segment
+    // (all notes are scheduled up front, so the graphs can be swapped between segments)
+    let time = 0
+    let position = Sequencer.getRenderStartPosition(segments[0]?.state)
+    segments.forEach((segment, i) => {
+      if (segment.drumMixerSettings) {
+        drums.setMixerSettings(segment.drumMixerSettings)
+      }
+      if (decodedTracks[i] !== undefined) {
+        samples.stopLoops(time, true)
+        samples.setPatternTracks(decodedTracks[i])
+      }
+      time = Sequencer.schedulePattern(segment.state, output, time, segment.bars, position)
+      position = getSegmentEnd(position, segment)
+    })
+    samples.stopLoops(musicDuration)
+
+    // Report progress as the render passes each checkpoint (not every browser supports suspend)
+    if (onProgress && typeof offlineContext.suspend === 'function') {
+      for (let t = PROGRESS_INTERVAL; t < duration; t += PROGRESS_INTERVAL) {
+        offlineContext.suspend(t).then(() => {
+          onProgress(t / duration)
+          offlineContext.resume()
+        })
+      }
     }
 
     // Render offline context
-    return await offlineContext.startRendering()
+    if (onProgress) onProgress(0)
+    const renderedBuffer = await offlineContext.startRendering()
+    if (onProgress) onProgress(1)
+    return renderedBuffer
+  }
+
+  /**
+   * Cut the silent end off a rendered buffer, keeping at least the musical length
+   * @param {AudioContext} audioContext - Audio context (creates the trimmed buffer)
+   * @param {AudioBuffer} buffer - Rendered buffer
+   * @param {number} minDuration - Length to keep in seconds (the music without its tail)
+   * @returns {AudioBuffer} Trimmed buffer (the same buffer if there is nothing to trim)
+   */
+  const trimTail = (audioContext, buffer, minDuration) => {
+    let end = Math.min(buffer.length, Math.max(1, Math.ceil(minDuration * buffer.sampleRate)))
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      const data = buffer.getChannelData(channel)
+      for (let i = data.length - 1; i >= end; i--) {
+        if (Math.abs(data[i]) > SILENCE_THRESHOLD) {
+          end = i + 1
+          break
+        }
+      }
+    }
+    if (end >= buffer.length) return buffer
+
+    const trimmed = audioContext.createBuffer(buffer.numberOfChannels, end, buffer.sampleRate)
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      trimmed.getChannelData(channel).set(buffer.getChannelData(channel).subarray(0, end))
+    }
+    return trimmed
+  }
+
+  /**
+   * Check whether a buffer contains only silence
+   * @param {AudioBuffer} buffer - Buffer to check
+   * @returns {boolean} True if every sample is zero
+   */
+  const isSilent = (buffer) => {
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      const data = buffer.getChannelData(channel)
+      for (let i = 0; i < data.length; i++) {
+        if (data[i] !== 0) return false
+      }
+    }
+    return true
   }
 
   // Public API
@@ -235,6 +499,8 @@ const WAVEncoder = (() => {
     encodeWAVBase64,
     decodeWAVBase64,
     mixBuffers,
-    renderPattern
+    renderPattern,
+    renderSegments,
+    renderStems
   }
 })()
@@ -0,0 +1,163 @@
+/**
+ * Web Drum Machine & Sample Recorder
+ * Copyright (C) 2025 maddog75
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * ZIP Writer Module
+ * Bundles files into an uncompressed (stored) ZIP archive
+ */
+
+const ZipWriter = (() => {
+  // CRC-32 lookup table (polynomial 0xEDB88320)
+  let crcTable = null
+
+  /**
+   * Build the CRC-32 lookup table on first use
+   * @returns {Uint32Array} Lookup table
+   */
+  const getCrcTable = () => {
+    if (crcTable) return crcTable
+
+    crcTable = new Uint32Array(256)
+    for (let n = 0; n < 256; n++) {
+      let c = n
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+      }
+      crcTable[n] = c >>> 0
+    }
+    return crcTable
+  }
+
+  /**
+   * Calculate the CRC-32 checksum of some bytes
+   * @param {Uint8Array} bytes - Data to checksum
+   * @returns {number} Unsigned CRC-32
+   */
+  const crc32 = (bytes) => {
+    const table = getCrcTable()
+    let crc = 0xFFFFFFFF
+    for (let i = 0; i < bytes.length; i++) {
+      crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8)
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0
+  }
+
+  /**
+   * Convert a Date to MS-DOS time and date fields
+   * @param {Date} date - Date to convert
+   * @returns {Object} { time, date }
+   */
+  const toDosDateTime = (date) => {
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    }
+  }
+
+  /**
+   * Get the bytes of a file's data
+   * @param {Blob|ArrayBuffer|Uint8Array|string} data - File data
+   * @returns {Promise<Uint8Array>} File bytes
+   */
+  const toBytes = async (data) => {
+    if (data instanceof Uint8Array) return data
+    if (data instanceof ArrayBuffer) return new Uint8Array(data)
+    if (typeof data === 'string') return new TextEncoder().encode(data)
+    return new Uint8Array(await data.arrayBuffer())
+  }
+
+  /**
+   * Create a ZIP archive
+   * Files are stored without compression (WAV audio barely compresses anyway)
+   * @param {Array<Object>} files - Files to add: { name, data (Blob, ArrayBuffer, Uint8Array or string) }
+   * @returns {Promise<Blob>} ZIP file blob
+   */
+  const createZip = async (files) => {
+    const encoder = new TextEncoder()
+    const { time, date } = toDosDateTime(new Date())
+    const parts = []
+    const centralDirectory = []
+    let offset = 0
+
+    for (const file of files) {
+      const nameBytes = encoder.encode(file.name)
+      const bytes = await toBytes(file.data)
+      const crc = crc32(bytes)
+
+      // Local file header
+      const header = new DataView(new ArrayBuffer(30))
+      header.setUint32(0, 0x04034B50, true) // signature
+      header.setUint16(4, 20, true) // version needed (2.0)
+      header.setUint16(6, 0x0800, true) // flags: UTF-8 names
+      header.setUint16(8, 0, true) // method: stored
+      header.setUint16(10, time, true)
+      header.setUint16(12, date, true)
+      header.setUint32(14, crc, true)
+      header.setUint32(18, bytes.length, true) // compressed size
+      header.setUint32(22, bytes.length, true) // uncompressed size
+      header.setUint16(26, nameBytes.length, true)
+      header.setUint16(28, 0, true) // extra field length
+
+      parts.push(header.buffer, nameBytes, bytes)
+
+      // Central directory entry
+      const entry = new DataView(new ArrayBuffer(46))
+      entry.setUint32(0, 0x02014B50, true) // signature
+      entry.setUint16(4, 20, true) // version made by
+      entry.setUint16(6, 20, true) // version needed
+      entry.setUint16(8, 0x0800, true) // flags: UTF-8 names
+      entry.setUint16(10, 0, true) // method: stored
+      entry.setUint16(12, time, true)
+      entry.setUint16(14, date, true)
+      entry.setUint32(16, crc, true)
+      entry.setUint32(20, bytes.length, true)
+      entry.setUint32(24, bytes.length, true)
+      entry.setUint16(28, nameBytes.length, true)
+      entry.setUint16(30, 0, true) // extra field length
+      entry.setUint16(32, 0, true) // comment length
+      entry.setUint16(34, 0, true) // disk number
+      entry.setUint16(36, 0, true) // internal attributes
+      entry.setUint32(38, 0, true) // external attributes
+      entry.setUint32(42, offset, true) // local header offset
+
+      centralDirectory.push(entry.buffer, nameBytes)
+      offset += 30 + nameBytes.length + bytes.length
+    }
+
+    const centralSize = centralDirectory.reduce((total, part) => total + part.byteLength, 0)
+
+    // End of central directory record
+    const end = new DataView(new ArrayBuffer(22))
+    end.setUint32(0, 0x06054B50, true) // signature
+    end.setUint16(4, 0, true) // disk number
+    end.setUint16(6, 0, true) // disk with central directory
+    end.setUint16(8, files.length, true) // entries on this disk
+    end.setUint16(10, files.length, true) // total entries
+    end.setUint32(12, centralSize, true)
+    end.setUint32(16, offset, true) // central directory offset
+    end.setUint16(20, 0, true) // comment length
+
+    return new Blob([...parts, ...centralDirectory, end.buffer], { type: 'application/zip' })
+  }
+
+  // Public API
+  return {
+    createZip,
+    crc32
+  }
+})()